@@ -0,0 +1,42 @@
+// Generates the simplified boundary files in public/geo from the us-atlas 1:10m topology, one
+// TopoJSON file per level and resolution. The map loads the resolution that suits the current
+// zoom (see BOUNDARY_RESOLUTIONS in src/lib/boundaries.js); the full-detail county file is
+// counties-10m.json itself, which stays the source for exports, adjacency and hit testing.
+// Run with `npm run boundaries`, then bump BOUNDARY_CACHE in src/lib/boundaries.js so browsers
+// drop their cached copies.
+import { readFileSync, writeFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { feature, quantize } from 'topojson-client'
+import { topology } from 'topojson-server'
+import { presimplify, quantile, simplify } from 'topojson-simplify'
+
+const require = createRequire(import.meta.url)
+const atlas = JSON.parse(readFileSync(require.resolve('us-atlas/counties-10m.json'), 'utf8'))
+
+// Share of the simplifiable points kept (null keeps all) and the quantization grid per resolution
+const OUTPUTS = [
+  { level: 'states', resolution: 'low', keep: 0.05, quantization: 1e4 },
+  { level: 'states', resolution: 'medium', keep: 0.25, quantization: 1e5 },
+  { level: 'states', resolution: 'high', keep: null, quantization: 1e5 },
+  { level: 'counties', resolution: 'low', keep: 0.05, quantization: 1e4 },
+  { level: 'counties', resolution: 'medium', keep: 0.25, quantization: 1e5 }
+]
+
+// Rebuilding the topology from one level's features splits arcs only where those features meet,
+// so state files do not carry every county junction
+function levelTopology(level) {
+  return topology({ [level]: feature(atlas, atlas.objects[level]) })
+}
+
+OUTPUTS.forEach(({ level, resolution, keep, quantization }) => {
+  let result = levelTopology(level)
+  if (keep !== null) {
+    result = presimplify(result)
+    result = simplify(result, quantile(result, keep))
+  }
+  result = quantize(result, quantization)
+  const file = `public/geo/${level}-${resolution}.json`
+  const json = JSON.stringify(result)
+  writeFileSync(file, json)
+  console.log(`Wrote ${file}: ${result.objects[level].geometries.length} ${level}, ${Math.round(json.length / 1024)} KB`)
+})
@@ -0,0 +1,161 @@
+// Generates src/data/counties.json (names), src/data/landArea.json (land area in km²),
+// src/data/cbsa.json (metro and micropolitan areas with their member counties and main places)
+// and src/data/zips.json (ZIP codes with their county, place and location) from the us-atlas
+// county boundaries, the Census TIGER attributes shipped in us-counties and the GeoNames US
+// postal code list shipped in zipcodes-us (CC BY 4.0).
+// Run with `npm run gazetteer`.
+import { readFileSync, writeFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { geoArea, geoContains } from 'd3-geo'
+import { feature } from 'topojson-client'
+
+const require = createRequire(import.meta.url)
+const atlas = JSON.parse(readFileSync(require.resolve('us-atlas/counties-10m.json'), 'utf8'))
+const tiger = JSON.parse(readFileSync(require.resolve('us-counties/county.geo.json'), 'utf8'))
+// zipcodes-us only exports its bundled lookup; the raw GeoNames file sits next to it
+const geonames = readFileSync(new URL('../data/US.txt', `file://${require.resolve('zipcodes-us')}`), 'utf8')
+
+// Counties renamed since the 2010 TIGER release, plus territory subdivisions it does not cover
+const SUFFIX_OVERRIDES = {
+  '02158': ' Census Area',
+  '46102': ' County',
+  '60010': ' District',
+  '60020': ' District',
+  '60050': ' District',
+  '66010': '',
+  '69085': ' Municipality',
+  '69100': ' Municipality',
+  '69110': ' Municipality',
+  '69120': ' Municipality',
+  '78010': ' Island',
+  '78020': ' Island',
+  '78030': ' Island'
+}
+
+// Renamed counties whose FIPS code changed since 2010, mapped to their 2010 code
+const RENAMED_FROM = {
+  '02158': '02270',
+  '46102': '46113'
+}
+
+// TIGER stores the legal/statistical area description as NAMELSAD = NAME + suffix
+const suffixByFips = {}
+const landByFips = {}
+const cbsaByFips = {}
+const stateFpByPostal = {}
+for (const { properties: p } of tiger.features) {
+  stateFpByPostal[p.state] = p.STATEFP10
+  suffixByFips[p.GEOID10] = p.NAMELSAD10.slice(p.NAME10.length)
+  landByFips[p.GEOID10] = p.ALAND10
+  if (p.CBSAFP10) cbsaByFips[p.GEOID10] = p.CBSAFP10
+}
+
+// us-atlas names are correctly encoded UTF-8, so only the suffix comes from TIGER
+const counties = atlas.objects.counties.geometries
+  .map(g => {
+    const suffix = SUFFIX_OVERRIDES[g.id] ?? suffixByFips[g.id]
+    if (suffix === undefined) throw new Error(`No name suffix for county ${g.id} (${g.properties.name})`)
+    return [g.id, g.properties.name + suffix]
+  })
+  .sort((a, b) => a[0].localeCompare(b[0]))
+
+const out = new URL('../src/data/counties.json', import.meta.url)
+writeFileSync(out, JSON.stringify(counties) + '\n')
+console.log(`Wrote ${counties.length} counties to ${out.pathname}`)
+
+// TIGER land area (ALAND, m²) where available. Territory subdivisions missing from the 2010
+// file get the area of their us-atlas polygon instead, which is close since they are small islands.
+const EARTH_RADIUS_KM = 6371.0088
+const landArea = {}
+let estimated = 0
+for (const f of feature(atlas, atlas.objects.counties).features) {
+  const aland = landByFips[RENAMED_FROM[f.id] || f.id]
+  if (aland !== undefined) {
+    landArea[f.id] = Math.round(aland / 1e5) / 10
+  } else {
+    landArea[f.id] = Math.round(geoArea(f) * EARTH_RADIUS_KM ** 2 * 10) / 10
+    estimated++
+  }
+}
+const areaOut = new URL('../src/data/landArea.json', import.meta.url)
+writeFileSync(areaOut, JSON.stringify(landArea) + '\n')
+console.log(`Wrote land area for ${Object.keys(landArea).length} counties (${estimated} from polygons) to ${areaOut.pathname}`)
+
+// Core-based statistical areas by 5-digit CBSA code, as delineated in the 2010 TIGER county
+// file (the only delineation bundled), with the current FIPS codes of their member counties.
+// Counties merged away since 2010 (Bedford city, VA) are dropped.
+const cbsaMembers = new Map()
+for (const g of atlas.objects.counties.geometries) {
+  const cbsa = cbsaByFips[RENAMED_FROM[g.id] || g.id]
+  if (!cbsa) continue
+  if (!cbsaMembers.has(cbsa)) cbsaMembers.set(cbsa, [])
+  cbsaMembers.get(cbsa).push(g.id)
+}
+
+// ZIP codes as [zip, county FIPS, place, lng, lat] from GeoNames. Its county codes follow the
+// current delineation, so ZIPs in counties the atlas does not have (Connecticut's planning
+// regions, the Alaska areas split from Valdez-Cordova) are placed in the atlas county that
+// contains them. Military and freely associated state codes are skipped.
+const countyFeatures = feature(atlas, atlas.objects.counties).features
+const atlasCounties = new Set(countyFeatures.map(f => f.id))
+const zips = []
+const seen = new Set()
+let relocated = 0
+for (const line of geonames.split('\n')) {
+  const [, zip, place, , postal, , countyCode, , , lat, lng] = line.split('\t')
+  if (!zip || seen.has(zip) || !stateFpByPostal[postal] || !countyCode) continue
+  seen.add(zip)
+  const point = [Number(lng), Number(lat)]
+  let fips = stateFpByPostal[postal] + countyCode
+  if (!atlasCounties.has(fips)) {
+    fips = countyFeatures.find(f => f.id.startsWith(stateFpByPostal[postal]) && geoContains(f, point))?.id
+    if (!fips) continue
+    relocated++
+  }
+  zips.push([zip, fips, place, ...point])
+}
+console.log(`Read ${zips.length} ZIP codes (${relocated} placed by their location)`)
+
+// A CBSA's main places are those with the most ZIP codes in its counties, a stand-in for its
+// principal cities since no official titles are bundled. The first is only used as the name when
+// it clearly leads (otherwise gazetteer.js names the CBSA after its counties).
+const MAIN_PLACES = 3
+const zipCountsByCounty = new Map()
+for (const [, fips, place] of zips) {
+  if (!zipCountsByCounty.has(fips)) zipCountsByCounty.set(fips, new Map())
+  const counts = zipCountsByCounty.get(fips)
+  counts.set(place, (counts.get(place) || 0) + 1)
+}
+function mainPlaces(counties) {
+  const counts = new Map()
+  counties.forEach(fips => zipCountsByCounty.get(fips)?.forEach((n, place) => counts.set(place, (counts.get(place) || 0) + n)))
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+  const leads = ranked.length && (ranked.length === 1 || ranked[0][1] > ranked[1][1])
+  return { name: leads ? ranked[0][0] : null, places: ranked.slice(0, MAIN_PLACES).map(([place]) => place) }
+}
+
+const cbsas = [...cbsaMembers.entries()]
+  .map(([code, members]) => {
+    const { name, places } = mainPlaces(members)
+    return [code, members.sort(), name, places]
+  })
+  .sort((a, b) => a[0].localeCompare(b[0]))
+const cbsaOut = new URL('../src/data/cbsa.json', import.meta.url)
+writeFileSync(cbsaOut, JSON.stringify(cbsas) + '\n')
+console.log(`Wrote ${cbsas.length} CBSAs covering ${cbsas.reduce((n, [, m]) => n + m.length, 0)} counties (${cbsas.filter(c => c[2]).length} named after a place) to ${cbsaOut.pathname}`)
+
+// ZIP codes grouped by county and place, [[fips, place, [[zip, lng, lat], ...]], ...], with
+// locations rounded to about 100 m. Loaded on demand by the app (see loadZips in gazetteer.js).
+const round = n => Math.round(n * 1000) / 1000
+const zipGroups = new Map()
+for (const [zip, fips, place, lng, lat] of zips) {
+  const key = `${fips}|${place}`
+  if (!zipGroups.has(key)) zipGroups.set(key, [fips, place, []])
+  zipGroups.get(key)[2].push([zip, round(lng), round(lat)])
+}
+const zipRows = [...zipGroups.values()]
+  .map(([fips, place, rows]) => [fips, place, rows.sort((a, b) => a[0].localeCompare(b[0]))])
+  .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]))
+const zipOut = new URL('../src/data/zips.json', import.meta.url)
+writeFileSync(zipOut, JSON.stringify(zipRows) + '\n')
+console.log(`Wrote ${zips.length} ZIP codes in ${zipRows.length} places to ${zipOut.pathname}`)
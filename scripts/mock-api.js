@@ -0,0 +1,154 @@
+// Local stand-in for the selections backend, for developing without the real one. Keeps
+// selections in memory (seeded with two examples) and answers the same routes:
+//
+//   GET    /                              { message }
+//   GET    /test                          database status, as shown on the /test page
+//   GET    /api/selections                list
+//   POST   /api/selections                create, returns the record
+//   GET    /api/selections/:id            one record
+//   PUT    /api/selections/:id            replace, returns the record
+//   DELETE /api/selections/:id            204
+//   GET    /api/selections/:id/export.csv codes as CSV
+//
+// Run with `npm run mock-api` and set the backend URL in Settings to http://localhost:8000.
+// Environment variables:
+//   PORT                 port to listen on (8000)
+//   MOCK_API_TOKEN       when set, /api routes require `Authorization: Bearer <token>`
+//   MOCK_API_LATENCY     delay per response in ms (200)
+//   MOCK_API_FAIL_RATE   share of /api requests answered 503, to exercise retries (0)
+import { createServer } from 'node:http'
+
+const PORT = Number(process.env.PORT) || 8000
+const TOKEN = process.env.MOCK_API_TOKEN || ''
+const LATENCY = Number(process.env.MOCK_API_LATENCY ?? 200)
+const FAIL_RATE = Number(process.env.MOCK_API_FAIL_RATE) || 0
+const LEVELS = ['state', 'county', 'cbsa', 'zip']
+
+let nextId = 1
+const selections = new Map()
+
+function store(selection) {
+  const record = { id: String(nextId++), ...selection }
+  selections.set(record.id, record)
+  return record
+}
+
+store({ name: 'West Coast', level: 'state', items: ['CA', 'OR', 'WA'] })
+store({
+  name: 'Bay Area reps',
+  level: 'county',
+  items: ['06001', '06013', '06075', '06081', '06085'],
+  groups: [
+    { id: '1', name: 'East Bay', color: '#3b82f6', items: ['06001', '06013'] },
+    { id: '2', name: 'Peninsula', color: '#ef4444', items: ['06075', '06081', '06085'] }
+  ]
+})
+
+// Same rules as the client checks before sending
+function validate(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'body must be a JSON object'
+  if (typeof body.name !== 'string' || !body.name.trim()) return 'name is required'
+  if (!LEVELS.includes(body.level)) return `level must be one of ${LEVELS.join(', ')}`
+  if (!Array.isArray(body.items) || !body.items.every(c => typeof c === 'string')) return 'items must be a list of codes'
+  if (body.groups !== undefined && !Array.isArray(body.groups)) return 'groups must be a list'
+  return null
+}
+
+function contentOf(body) {
+  const content = { name: body.name, level: body.level, items: body.items }
+  if (body.groups) content.groups = body.groups
+  return content
+}
+
+// (method, path segments, parsed body) -> { status, body, type }
+function handle(method, parts, body) {
+  if (parts.length === 0 && method === 'GET') return { status: 200, body: { message: 'Mock selections API' } }
+  if (parts[0] === 'test' && method === 'GET') {
+    return {
+      status: 200,
+      body: { backend: 'mock', database: 'in-memory', database_url: 'memory://', database_name: 'mock', connection_status: 'Connected', collections: ['selections'] }
+    }
+  }
+  if (parts[0] !== 'api' || parts[1] !== 'selections') return { status: 404, body: { detail: 'Not found' } }
+
+  const [, , id, action] = parts
+  if (!id) {
+    if (method === 'GET') return { status: 200, body: [...selections.values()] }
+    if (method === 'POST') {
+      const problem = validate(body)
+      return problem ? { status: 422, body: { detail: problem } } : { status: 201, body: store(contentOf(body)) }
+    }
+    return { status: 405, body: { detail: 'Method not allowed' } }
+  }
+
+  const record = selections.get(id)
+  if (!record) return { status: 404, body: { detail: `Selection ${id} not found` } }
+  if (action === 'export.csv' && method === 'GET') {
+    return { status: 200, type: 'text/csv', body: ['code', ...record.items].join('\n') + '\n' }
+  }
+  if (action) return { status: 404, body: { detail: 'Not found' } }
+  if (method === 'GET') return { status: 200, body: record }
+  if (method === 'PUT') {
+    const problem = validate(body)
+    if (problem) return { status: 422, body: { detail: problem } }
+    const updated = { id, ...contentOf(body) }
+    selections.set(id, updated)
+    return { status: 200, body: updated }
+  }
+  if (method === 'DELETE') {
+    selections.delete(id)
+    return { status: 204 }
+  }
+  return { status: 405, body: { detail: 'Method not allowed' } }
+}
+
+async function readBody(req) {
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  const text = Buffer.concat(chunks).toString('utf8')
+  if (!text) return undefined
+  try {
+    return JSON.parse(text)
+  } catch {
+    return null
+  }
+}
+
+const server = createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept')
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end()
+    return
+  }
+
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`)
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent)
+  const body = await readBody(req)
+  await new Promise(resolve => setTimeout(resolve, LATENCY))
+
+  let result
+  if (parts[0] === 'api' && TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    result = { status: 401, body: { detail: 'Missing or wrong bearer token' } }
+  } else if (parts[0] === 'api' && Math.random() < FAIL_RATE) {
+    result = { status: 503, body: { detail: 'Simulated outage' } }
+  } else if (body === null) {
+    result = { status: 400, body: { detail: 'Body is not valid JSON' } }
+  } else {
+    result = handle(req.method, parts, body)
+  }
+
+  console.log(`${req.method} ${pathname} -> ${result.status}`)
+  if (result.body === undefined) {
+    res.writeHead(result.status).end()
+  } else if (result.type) {
+    res.writeHead(result.status, { 'Content-Type': result.type }).end(result.body)
+  } else {
+    res.writeHead(result.status, { 'Content-Type': 'application/json' }).end(JSON.stringify(result.body))
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock selections API on http://localhost:${PORT}${TOKEN ? ' (bearer token required)' : ''}`)
+})
@@ -1,384 +1,509 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
-
-// Simple Google Maps loader without extra deps
-function useGoogleMaps(apiKey) {
-  const [loaded, setLoaded] = useState(false)
-
-  useEffect(() => {
-    // If already loaded, nothing to do
-    if (window.google && window.google.maps) {
-      setLoaded(true)
-      return
-    }
-
-    if (!apiKey) return
-
-    const existing = document.getElementById('google-maps')
-    if (existing) {
-      const src = existing.getAttribute('src') || ''
-      // If the existing script does not include this apiKey, replace it
-      if (!src.includes(apiKey)) {
-        existing.remove()
-      } else {
-        existing.addEventListener('load', () => setLoaded(true))
-        return
-      }
-    }
-
-    const script = document.createElement('script')
-    script.id = 'google-maps'
-    script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=places`
-    script.async = true
-    script.defer = true
-    script.onload = () => setLoaded(true)
-    document.body.appendChild(script)
-  }, [apiKey])
-
-  return loaded
-}
-
-// Resolve settings from env, URL params, or localStorage so you can use the app without editing code
-function useSettings() {
-  const params = new URLSearchParams(window.location.search)
-  const initialApiKey = (
-    import.meta.env.VITE_GOOGLE_MAPS_API_KEY ||
-    localStorage.getItem('gmaps_api_key') ||
-    params.get('gmaps_key') ||
-    ''
-  )
-  const initialBackend = (
-    import.meta.env.VITE_BACKEND_URL ||
-    localStorage.getItem('backend_url') ||
-    ''
-  )
-  const [apiKey, setApiKey] = useState(initialApiKey)
-  const [backendUrl, setBackendUrl] = useState(initialBackend)
-
-  // Persist changes
-  useEffect(() => {
-    if (apiKey) localStorage.setItem('gmaps_api_key', apiKey)
-  }, [apiKey])
-  useEffect(() => {
-    if (backendUrl) localStorage.setItem('backend_url', backendUrl)
-  }, [backendUrl])
-
-  return { apiKey, setApiKey, backendUrl, setBackendUrl }
-}
-
-const STATE_NAME_TO_POSTAL = {
-  Alabama: 'AL', Alaska: 'AK', Arizona: 'AZ', Arkansas: 'AR', California: 'CA', Colorado: 'CO',
-  Connecticut: 'CT', Delaware: 'DE', Florida: 'FL', Georgia: 'GA', Hawaii: 'HI', Idaho: 'ID',
-  Illinois: 'IL', Indiana: 'IN', Iowa: 'IA', Kansas: 'KS', Kentucky: 'KY', Louisiana: 'LA',
-  Maine: 'ME', Maryland: 'MD', Massachusetts: 'MA', Michigan: 'MI', Minnesota: 'MN',
-  Mississippi: 'MS', Missouri: 'MO', Montana: 'MT', Nebraska: 'NE', Nevada: 'NV',
-  'New Hampshire': 'NH', 'New Jersey': 'NJ', 'New Mexico': 'NM', 'New York': 'NY',
-  'North Carolina': 'NC', 'North Dakota': 'ND', Ohio: 'OH', Oklahoma: 'OK', Oregon: 'OR',
-  Pennsylvania: 'PA', 'Rhode Island': 'RI', 'South Carolina': 'SC', 'South Dakota': 'SD',
-  Tennessee: 'TN', Texas: 'TX', Utah: 'UT', Vermont: 'VT', Virginia: 'VA', Washington: 'WA',
-  'West Virginia': 'WV', Wisconsin: 'WI', Wyoming: 'WY',
-  // DC and territories (optional in this GeoJSON)
-  'District of Columbia': 'DC'
-}
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { loadAdjacency } from './lib/adjacency'
+import { loadLevelPolygons, resolutionForZoom } from './lib/boundaries'
+import { computeBreaks } from './lib/classify'
+import { rampColors } from './lib/colorRamps'
+import { downloadBlob, fileBasename } from './lib/export'
+import { crosswalkGroups } from './lib/crosswalk'
+import { labelFor, loadLevelNames, optionsForLevel } from './lib/gazetteer'
+import { circleRing, codesInShape } from './lib/areaSelect'
+import { allItems, applySelection, assignItem, groupIndex, normalizeGroups } from './lib/groups'
+import { LEVELS, UNAVAILABLE_LEVELS, getLevel, isLevel, levelNoun } from './lib/levels'
+import { regionAt } from './lib/hitTest'
+import { isArrowKey, nearestRegion, regionCentroids, regionInDirection } from './lib/keyboardNav'
+import { DEFAULT_VIEW, MAP_RENDERERS, createMapProvider, rendererFor } from './lib/mapProvider'
+import { formatValue } from './lib/metrics'
+import { restyledCodes, styleForRegion } from './lib/regionStyle'
+import { createApiClient } from './lib/selectionsApi'
+import { buildSearchParams, parseUrlState, shareUrl } from './lib/urlState'
+import AdjacencyPanel from './components/AdjacencyPanel'
+import ExportMenu from './components/ExportMenu'
+import GroupsPanel from './components/GroupsPanel'
+import ChoroplethPanel from './components/ChoroplethPanel'
+import CrosswalkPanel from './components/CrosswalkPanel'
+import ImportDialog from './components/ImportDialog'
+import MapTools from './components/MapTools'
+import MapLegend from './components/MapLegend'
+import RegionJump from './components/RegionJump'
+import RegionPicker from './components/RegionPicker'
+import SavedSelections from './components/SavedSelections'
+import SelectionStats from './components/SelectionStats'
+import SelectionTable from './components/SelectionTable'
+import { useToast } from './components/Toasts'
+import { useGoogleMaps } from './hooks/useGoogleMaps'
+import { useHistory } from './hooks/useHistory'
+import { useSavedSelections } from './hooks/useSavedSelections'
+import { useSettings } from './hooks/useSettings'
 
 function App() {
   const mapRef = useRef(null)
-  const mapInstance = useRef(null)
-  const drawingLayer = useRef(null)
-  const clickListenerRef = useRef(null)
-  const dataClickListenerRef = useRef(null)
-  const geojsonLoadedRef = useRef(false)
-
-  const { apiKey, setApiKey, backendUrl, setBackendUrl } = useSettings()
-
-  const [level, setLevel] = useState('state') // state | county
-  const [selectedItems, setSelectedItems] = useState([])
-  const [name, setName] = useState('My Selection')
-  const [saving, setSaving] = useState(false)
-  const [saved, setSaved] = useState([])
+  // `${level}-${resolution}` of the polygons on the map
+  const loadedPolygonsRef = useRef(null)
+
+  const { apiKey, setApiKey, backendUrl, setBackendUrl, mapRenderer, setMapRenderer, apiToken, setApiToken, authToken } = useSettings()
+
+  // Selection and map view restored from a shared link, if any
+  const [searchParams, setSearchParams] = useSearchParams()
+  const initialUrlState = useRef(null)
+  if (!initialUrlState.current) initialUrlState.current = parseUrlState(searchParams)
+
+  // Level and groups change together and are undoable. `stash` keeps each level's groups while
+  // the other level is shown, so switching level does not discard a selection.
+  const history = useHistory(() => ({
+    level: initialUrlState.current.level || 'state', // an id from lib/levels
+    groups: normalizeGroups(initialUrlState.current.groups, initialUrlState.current.items || []),
+    stash: {}
+  }))
+  const { level, groups } = history.value
+  const [activeGroupId, setActiveGroupId] = useState(() => groups[0].id)
+  const toast = useToast()
+  const [name, setName] = useState(initialUrlState.current.name || 'My Selection')
+  const [view, setView] = useState(initialUrlState.current.view)
+  const [shading, setShading] = useState({ mode: 'selection', method: 'quantile', ramp: 'blues', classes: 5 })
+  const [metric, setMetric] = useState(null) // { level, name, values: { code: number }, isPopulation }
+  const [hover, setHover] = useState(null)
+  const [tool, setTool] = useState('click') // click | lasso | rect | radius
+  const [toolOptions, setToolOptions] = useState({ match: 'intersects', radius: 100, unit: 'mi' })
+  const [currentId, setCurrentId] = useState(null) // localId of the saved selection being edited
   const [showSettings, setShowSettings] = useState(false)
   const [hint, setHint] = useState('')
-
-  const mapsLoaded = useGoogleMaps(apiKey)
-
+  const [showTable, setShowTable] = useState(false)
+  // Keyboard cursor on the map (see lib/keyboardNav), outlined like a hovered region
+  const [cursor, setCursor] = useState(null)
+  const cursorRef = useRef(cursor)
+  cursorRef.current = cursor
+  const [jumpOpen, setJumpOpen] = useState(false)
+  const [mapFocusVisible, setMapFocusVisible] = useState(false)
+
+  const renderer = rendererFor(apiKey, mapRenderer)
+  const mapsLoaded = useGoogleMaps(renderer === 'google' ? apiKey : '')
+  const [map, setMap] = useState(null) // active map provider, see lib/mapProvider
+  const viewRef = useRef(view)
+  viewRef.current = view
+
+  const { set: setHistory } = history
+  const setGroups = useCallback((next, options) => {
+    setHistory(doc => {
+      const groups = typeof next === 'function' ? next(doc.groups) : next
+      // Skip no-op updates so they do not become undo steps
+      const same = groups.length === doc.groups.length && groups.every((g, i) => g === doc.groups[i])
+      return same ? doc : { ...doc, groups }
+    }, options)
+  }, [setHistory])
+
+  // The active group may disappear on undo; fall back to the first one
   useEffect(() => {
-    if (!mapsLoaded || !mapRef.current || mapInstance.current) return
-    const center = { lat: 39.8283, lng: -98.5795 } // USA center
-    mapInstance.current = new window.google.maps.Map(mapRef.current, {
-      center,
-      zoom: 4,
-      mapTypeControl: false,
-      streetViewControl: false,
-      fullscreenControl: false
-    })
-  }, [mapsLoaded])
+    if (!groups.some(g => g.id === activeGroupId)) setActiveGroupId(groups[0].id)
+  }, [groups, activeGroupId])
+
+  // The flat selection is the union of all groups; changes to it go through the active group
+  const selectedItems = useMemo(() => allItems(groups), [groups])
+  // Latest groups for handlers subscribed once per map
+  const groupsRef = useRef(groups)
+  groupsRef.current = groups
+  const groupByCode = useMemo(() => groupIndex(groups), [groups])
+  const setSelectedItems = useCallback((next) => {
+    setGroups(prev => applySelection(prev, activeGroupId, typeof next === 'function' ? next(allItems(prev)) : next))
+  }, [activeGroupId, setGroups])
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes; text fields keep their own undo
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) history.undo()
+      else if ((key === 'z' && e.shiftKey) || key === 'y') history.redo()
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [history.undo, history.redo])
+
+  // Status line over the map; it is a live region, so screen readers read out every message
+  const hintTimerRef = useRef(null)
+  const announce = useCallback((message, duration = 2500) => {
+    setHint(message)
+    clearTimeout(hintTimerRef.current)
+    hintTimerRef.current = setTimeout(() => setHint(''), duration)
+  }, [])
+
+  function undoAction() {
+    return { label: 'Undo', onClick: history.undo }
+  }
 
-  // Toggle selection by code (state postal or county FIPS)
-  function toggleItem(code) {
-    setSelectedItems(prev => {
-      if (prev.includes(code)) return prev.filter(c => c !== code)
-      return [...prev, code]
-    })
+  // Show the other level, keeping this level's groups to come back to
+  function switchLevel(next) {
+    if (next === level) return
+    setHistory(doc => ({
+      level: next,
+      groups: doc.stash[next] || doc.groups.map(g => ({ ...g, items: [] })),
+      stash: { ...doc.stash, [doc.level]: doc.groups }
+    }))
+    if (selectedItems.length) {
+      toast({ title: `Switched to ${getLevel(next).plural}`, description: `Your ${selectedItems.length} ${levelNoun(level, selectedItems.length)} are kept for when you switch back.` })
+    }
   }
 
-  // Minimal lists to demonstrate interaction without huge datasets
-  const stateOptions = useMemo(() => [
-    { code: 'CA', name: 'California' },
-    { code: 'TX', name: 'Texas' },
-    { code: 'NY', name: 'New York' },
-    { code: 'FL', name: 'Florida' },
-    { code: 'WA', name: 'Washington' },
-    { code: 'IL', name: 'Illinois' },
-  ], [])
-
-  const countyOptions = useMemo(() => [
-    { code: '06075', name: 'San Francisco County, CA' },
-    { code: '06037', name: 'Los Angeles County, CA' },
-    { code: '36061', name: 'New York County, NY' },
-    { code: '12086', name: 'Miami-Dade County, FL' },
-    { code: '53033', name: 'King County, WA' },
-  ], [])
-
-  // Map of county name+state to FIPS for demo counties
-  const countyNameToFips = useMemo(() => ({
-    'San Francisco County, CA': '06075',
-    'Los Angeles County, CA': '06037',
-    'New York County, NY': '36061',
-    'Miami-Dade County, FL': '12086',
-    'King County, WA': '53033',
-  }), [])
-
-  async function saveSelection() {
-    if (!name.trim()) return
-    setSaving(true)
+  // Replace level and groups at once (opening a saved selection, importing at another level)
+  function replaceSelection(nextLevel, nextGroups) {
+    setHistory(doc => ({
+      level: nextLevel,
+      groups: nextGroups,
+      stash: nextLevel === doc.level ? doc.stash : { ...doc.stash, [doc.level]: doc.groups }
+    }))
+    setActiveGroupId(nextGroups[0].id)
+  }
+
+  // Replace the selection with its counterpart at another level (see lib/crosswalk)
+  async function convertSelection(target, mode) {
     try {
-      const res = await fetch(`${backendUrl}/api/selections`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name, level, items: selectedItems })
-      })
-      const data = await res.json()
-      if (res.ok) {
-        const listRes = await fetch(`${backendUrl}/api/selections`)
-        const list = await listRes.json()
-        setSaved(list)
-      } else {
-        console.error(data)
-        alert('Failed to save')
-      }
+      await Promise.all([loadLevelNames(level), loadLevelNames(target)])
     } catch (e) {
       console.error(e)
-      alert('Error while saving')
-    } finally {
-      setSaving(false)
+      toast({ title: `Could not load ${getLevel(target).plural}`, variant: 'error' })
+      return
+    }
+    const { groups: converted, uncovered } = crosswalkGroups(level, groups, target, mode)
+    const count = allItems(converted).length
+    if (!count) {
+      toast({ title: `No ${getLevel(target).plural} match the selection`, variant: 'error' })
+      return
     }
+    replaceSelection(target, converted)
+    toast({
+      title: `Converted to ${count} ${levelNoun(target, count)}`,
+      description: uncovered.length ? `${uncovered.length} ${levelNoun(level, uncovered.length)} had no matching ${getLevel(target).singular}.` : undefined,
+      action: undoAction()
+    })
+  }
+
+  function clearAll() {
+    if (!selectedItems.length) return
+    setSelectedItems([])
+    toast({ title: `Cleared ${selectedItems.length} ${levelNoun(level, selectedItems.length)}`, action: undoAction() })
   }
 
+  // Create the map with the chosen renderer; recreated (at the current view) when it changes
   useEffect(() => {
-    // Initial load of saved selections
-    async function loadSaved() {
-      try {
-        if (!backendUrl) return
-        const res = await fetch(`${backendUrl}/api/selections`)
-        const data = await res.json()
-        if (Array.isArray(data)) setSaved(data)
-      } catch {}
+    if (!mapRef.current || (renderer === 'google' && !mapsLoaded)) return
+    const { center, zoom } = viewRef.current || DEFAULT_VIEW
+    const provider = createMapProvider(renderer, mapRef.current, { center, zoom })
+    // Track the view so it can be written to the URL
+    const offView = provider.on('view', setView)
+    loadedPolygonsRef.current = null
+    setMap(provider)
+    return () => {
+      offView()
+      provider.destroy()
+      setMap(null)
     }
-    loadSaved()
-  }, [backendUrl])
+  }, [renderer, mapsLoaded])
 
-  // Load and render US state polygons via GeoJSON in Data Layer when level === 'state'
+  // Keep the URL in sync with the selection and view (replacing, so Back is not flooded)
   useEffect(() => {
-    if (!mapsLoaded || !mapInstance.current) return
-
-    // Clear previous data and listeners when switching levels
-    mapInstance.current.data.setStyle(null)
-    mapInstance.current.data.forEach(f => mapInstance.current.data.remove(f))
-    if (dataClickListenerRef.current) {
-      window.google.maps.event.removeListener(dataClickListenerRef.current)
-      dataClickListenerRef.current = null
+    const timer = setTimeout(() => {
+      const next = buildSearchParams({ level, items: selectedItems, groups, name, view }, searchParams)
+      if (next.toString() !== searchParams.toString()) setSearchParams(next, { replace: true })
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [level, selectedItems, groups, name, view, searchParams, setSearchParams])
+
+  async function copyShareLink() {
+    const url = shareUrl({ level, items: selectedItems, groups, name, view })
+    try {
+      await navigator.clipboard.writeText(url)
+      announce('Share link copied to clipboard')
+    } catch {
+      window.prompt('Copy this link', url)
     }
+  }
 
-    if (level !== 'state') {
-      geojsonLoadedRef.current = false
-      return
-    }
+  // Toggle selection by code: a region in another group moves to the active group, one already
+  // in the active group is removed. The change is announced.
+  function toggleItem(code) {
+    const current = groupsRef.current
+    const active = current.find(g => g.id === activeGroupId) || current[0]
+    const name = labelFor(code, level) || code
+    const removing = active.items.includes(code)
+    setGroups(prev => assignItem(prev, activeGroupId, code))
+    announce(removing ? `Removed ${name}` : `Selected ${name}${current.length > 1 ? ` in ${active.name}` : ''}`)
+  }
+
+  function removeItem(code) {
+    setSelectedItems(prev => prev.filter(c => c !== code))
+    announce(`Removed ${labelFor(code, level) || code}`)
+  }
+
+  // "Fresno County, CA, selected in North" for the region under the keyboard cursor
+  function describeRegion(code) {
+    const group = groupByCode.get(code)
+    const name = labelFor(code, level) || code
+    if (!group) return `${name}, not selected`
+    return `${name}, selected${groups.length > 1 ? ` in ${group.name}` : ''}`
+  }
+
+  function moveCursor(code) {
+    setCursor(code)
+    map?.panTo(code)
+    announce(describeRegion(code))
+  }
 
-    async function ensureGeoJsonLoaded() {
-      if (geojsonLoadedRef.current) return
+  // Keyboard use of the focused map: arrow keys move the cursor to a neighboring region (the
+  // first press starts at the region nearest the map center), Enter or Space toggles it, "/"
+  // opens the jump box and Escape drops the cursor. Keys inside Google Maps' own controls are
+  // left to them.
+  async function onMapKeyDown(e) {
+    if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey) return
+    const { singular } = getLevel(level)
+    if (isArrowKey(e.key)) {
+      e.preventDefault()
       try {
-        // Public domain US states GeoJSON with names
-        const url = 'https://raw.githubusercontent.com/PublicaMundi/MappingAPI/master/data/geojson/us-states.json'
-        const res = await fetch(url)
-        const gj = await res.json()
-        mapInstance.current.data.addGeoJson(gj)
-        // Assign postal property based on state name for easy use later
-        mapInstance.current.data.forEach((feature) => {
-          const name = feature.getProperty('name')
-          const postal = STATE_NAME_TO_POSTAL[name]
-          if (postal) feature.setProperty('postal', postal)
-        })
-        geojsonLoadedRef.current = true
-      } catch (e) {
-        console.error('Failed to load state polygons', e)
-        setHint('Could not load state polygons. Check your network and try again.')
-        setTimeout(() => setHint(''), 3000)
+        const [fc, adjacency] = await Promise.all([loadLevelPolygons(level), loadAdjacency(level)])
+        const centroids = regionCentroids(fc)
+        const next = cursor
+          ? regionInDirection(cursor, e.key, centroids, adjacency)
+          : nearestRegion(centroids, (view || DEFAULT_VIEW).center)
+        if (next) moveCursor(next)
+        else announce(`No ${singular} in that direction`)
+      } catch (err) {
+        console.error(err)
+        announce(`Could not load ${singular} boundaries`)
       }
+    } else if ((e.key === 'Enter' || e.key === ' ') && cursor) {
+      e.preventDefault()
+      toggleItem(cursor)
+    } else if (e.key === '/') {
+      e.preventDefault()
+      setJumpOpen(true)
+    } else if (e.key === 'Escape' && cursor) {
+      setCursor(null)
     }
+  }
 
-    ensureGeoJsonLoaded().then(() => {
-      // Style based on selection
-      mapInstance.current.data.setStyle((feature) => {
-        const code = feature.getProperty('postal') || STATE_NAME_TO_POSTAL[feature.getProperty('name')] || null
-        const selected = code ? selectedItems.includes(code) : false
-        return {
-          fillColor: selected ? '#3b82f6' : '#93c5fd',
-          fillOpacity: selected ? 0.55 : 0.15,
-          strokeColor: selected ? '#1d4ed8' : '#2563eb',
-          strokeWeight: selected ? 2 : 1
-        }
-      })
-
-      // Clicking directly on a state polygon toggles it
-      dataClickListenerRef.current = mapInstance.current.data.addListener('click', (e) => {
-        const name = e.feature.getProperty('name')
-        const code = e.feature.getProperty('postal') || STATE_NAME_TO_POSTAL[name]
-        if (code) {
-          toggleItem(code)
-          setHint(`Toggled state ${code}`)
-          setTimeout(() => setHint(''), 2000)
-        }
-      })
-    })
-  }, [mapsLoaded, level, selectedItems])
+  function jumpTo(code) {
+    setJumpOpen(false)
+    mapRef.current?.focus()
+    moveCursor(code)
+  }
 
-  // Clicking on the base map (non-polygon areas) selects based on reverse geocoding (for states)
+  // The cursor belongs to one level
   useEffect(() => {
-    if (!mapsLoaded || !mapInstance.current) return
+    setCursor(null)
+  }, [level])
 
-    // Cleanup previous listener
-    if (clickListenerRef.current) {
-      window.google.maps.event.removeListener(clickListenerRef.current)
-      clickListenerRef.current = null
+  useEffect(() => {
+    map?.setHighlight(cursor)
+  }, [map, cursor])
+
+  // Apply an imported list, switching level when the import is at the other level
+  function handleImport({ level: importLevel, codes, mode }) {
+    if (importLevel !== level) {
+      replaceSelection(importLevel, applySelection(groups.map(g => ({ ...g, items: [] })), activeGroupId, codes))
+    } else if (mode === 'add') {
+      setSelectedItems(prev => [...prev, ...codes.filter(c => !prev.includes(c))])
+    } else {
+      setSelectedItems(codes)
     }
+    const replaced = selectedItems.length && (importLevel !== level || mode !== 'add')
+    toast({ title: `Imported ${codes.length} ${levelNoun(importLevel, codes.length)}`, action: replaced ? undoAction() : undefined })
+  }
 
-    const geocoder = new window.google.maps.Geocoder()
+  // Class breaks and colors for choropleth mode, when a metric for this level is loaded
+  const choropleth = useMemo(() => {
+    if (shading.mode !== 'choropleth' || !metric || metric.level !== level) return null
+    const values = Object.values(metric.values)
+    const classes = Math.min(shading.classes, new Set(values).size)
+    if (!classes) return null
+    const breaks = computeBreaks(shading.method, values, classes)
+    return { name: metric.name, values: metric.values, breaks, colors: rampColors(shading.ramp, breaks.length - 1) }
+  }, [shading, metric, level])
+
+  // Names of the level's regions; ZIP codes are loaded on demand (see loadZips in lib/gazetteer)
+  const [namesLevel, setNamesLevel] = useState(null)
+  useEffect(() => {
+    let cancelled = false
+    loadLevelNames(level)
+      .then(() => { if (!cancelled) setNamesLevel(level) })
+      .catch(e => console.error(`Failed to load ${level} names`, e))
+    return () => { cancelled = true }
+  }, [level])
+
+  // Full list of the level's regions from the gazetteer
+  const options = useMemo(() => optionsForLevel(level), [level, namesLevel])
+
+  const api = useMemo(() => (backendUrl ? createApiClient({ baseUrl: backendUrl, token: authToken }) : null), [backendUrl, authToken])
+  const { saved, saving, connection, pending, create, update, rename, duplicate, remove, resolveConflict } = useSavedSelections(api, {
+    onError: (msg) => toast({ title: 'Saved selections', description: msg, variant: 'error' })
+  })
+
+  // Save over the open selection or create a new one; stored locally and synced in the background
+  async function saveSelection({ asNew = false } = {}) {
+    if (!name.trim()) return
+    const payload = { name, level, items: selectedItems, groups }
+    const record = currentId && !asNew ? await update(currentId, payload) : await create(payload)
+    if (record) setCurrentId(record.localId)
+  }
 
-    function extractStateCode(components) {
-      const stateComp = components.find(c => c.types.includes('administrative_area_level_1'))
-      return stateComp?.short_name || null
+  // Restore a saved selection onto the map
+  function openSaved(entry) {
+    replaceSelection(isLevel(entry.level) ? entry.level : 'state', normalizeGroups(entry.groups, entry.items || []))
+    if (selectedItems.length && entry.localId !== currentId) {
+      toast({ title: `Opened "${entry.name}"`, description: 'The previous selection was replaced.', action: undoAction() })
     }
+    setName(entry.name)
+    setCurrentId(entry.localId)
+  }
 
-    function extractCountyLabel(components) {
-      const countyComp = components.find(c => c.types.includes('administrative_area_level_2'))
-      const stateComp = components.find(c => c.types.includes('administrative_area_level_1'))
-      if (!countyComp || !stateComp) return null
-      let countyName = countyComp.long_name
-      if (!/County$/i.test(countyName) && !/Parish$/i.test(countyName) && !/Borough$/i.test(countyName)) {
-        countyName = countyName + ' County'
-      }
-      const label = `${countyName}, ${stateComp.short_name}`
-      return label
+  async function renameSaved(entry, newName) {
+    const record = await rename(entry, newName)
+    if (record && entry.localId === currentId) setName(newName)
+  }
+
+  async function exportSavedCsv(entry) {
+    try {
+      downloadBlob(await api.exportSelectionCsv(entry.id), `${fileBasename(entry.name)}.csv`)
+    } catch (e) {
+      console.error(e)
+      toast({ title: 'CSV export failed', description: e.message, variant: 'error' })
     }
+  }
+
+  async function deleteSaved(entry) {
+    if (!window.confirm(`Delete "${entry.name}"? This cannot be undone.`)) return
+    const ok = await remove(entry)
+    if (ok && entry.localId === currentId) setCurrentId(null)
+  }
 
-    clickListenerRef.current = mapInstance.current.addListener('click', (e) => {
-      const latLng = e.latLng
-      // If user clicks a polygon, Data layer handles it. This is for base map clicks.
-      const geocodeFor = level === 'state' ? 'state' : 'county'
-      geocoder.geocode({ location: latLng }, (results, status) => {
-        if (status !== 'OK' || !results || !results[0]) return
-        const components = results[0].address_components || []
-        if (geocodeFor === 'state') {
-          const code = extractStateCode(components)
-          if (code) {
-            toggleItem(code)
-            setHint(`Toggled state ${code}`)
-          } else {
-            setHint('Could not determine state here')
-          }
-        } else {
-          const label = extractCountyLabel(components)
-          if (label && countyNameToFips[label]) {
-            const fips = countyNameToFips[label]
-            toggleItem(fips)
-            setHint(`Toggled ${label}`)
-          } else {
-            setHint('Clicked county not in demo list. We will add full US counties soon.')
-          }
-        }
-        setTimeout(() => setHint(''), 2500)
+  // Load and render polygons for the current level from the bundled boundaries, simplified to
+  // suit the zoom level. The previous polygons stay on the map until the new ones are ready.
+  const resolution = resolutionForZoom((view || DEFAULT_VIEW).zoom)
+  const [polygonRetry, setPolygonRetry] = useState(0)
+  useEffect(() => {
+    if (!map) return
+    const key = `${level}-${resolution}`
+    if (loadedPolygonsRef.current === key) return
+    let cancelled = false
+    loadLevelPolygons(level, resolution)
+      .then(fc => {
+        if (cancelled) return
+        map.setFeatures(fc)
+        loadedPolygonsRef.current = key
       })
-    })
+      .catch(e => {
+        console.error(`Failed to load ${level} polygons`, e)
+        if (cancelled) return
+        toast({
+          title: `Could not load ${level} boundaries`,
+          description: e.message,
+          variant: 'error',
+          action: { label: 'Try again', onClick: () => setPolygonRetry(n => n + 1) }
+        })
+      })
+    return () => { cancelled = true }
+  }, [map, level, resolution, polygonRetry])
 
-    return () => {
-      if (clickListenerRef.current) {
-        window.google.maps.event.removeListener(clickListenerRef.current)
-      }
+  // Style based on selection, or on the loaded metric in choropleth mode. The style function
+  // reads the latest inputs from the ref, so a selection change only restyles the regions whose
+  // group color changed; a new map or metric restyles everything.
+  const styleRef = useRef(null)
+  useEffect(() => {
+    if (!map) return
+    const previous = styleRef.current
+    styleRef.current = { map, groupByCode, choropleth }
+    if (previous?.map === map && previous.choropleth === choropleth) {
+      map.updateStyle(restyledCodes(previous.groupByCode, groupByCode))
+    } else {
+      map.setStyle(code => styleForRegion(code, styleRef.current.groupByCode, styleRef.current.choropleth))
     }
-  }, [mapsLoaded, level, countyNameToFips])
+  }, [map, groupByCode, choropleth])
 
-  // Basic visual feedback for counties using markers (until full county polygons are added)
+  // Pointer on the polygons: a click toggles the region, hovering highlights it (with a tooltip
+  // of its value in choropleth mode)
   useEffect(() => {
-    if (!mapsLoaded || !mapInstance.current) return
+    if (!map) return
+    const unsubscribe = [
+      map.on('click', ({ code }) => {
+        if (code) toggleItem(code)
+      }),
+      map.on('hover', ({ code, x, y }) => {
+        map.setHighlight(code)
+        const metric = styleRef.current?.choropleth
+        if (metric) setHover({ name: labelFor(code, level), value: metric.values[code], x, y })
+      }),
+      map.on('hoverend', () => {
+        map.setHighlight(cursorRef.current)
+        setHover(null)
+      })
+    ]
+    return () => {
+      unsubscribe.forEach(off => off())
+      setHover(null)
+    }
+  }, [map, level, activeGroupId])
 
-    // For states, Data layer handles polygons. Clear marker layer.
-    if (level === 'state') {
-      if (drawingLayer.current) {
-        drawingLayer.current.forEach(m => m.setMap(null))
+  // Drawing tools: select (or with Alt, deselect) every region matched by the drawn shape
+  useEffect(() => {
+    if (!map) return
+    map.setDrawMode(tool)
+    return map.on('draw', async ({ ring, point, subtract }) => {
+      const shape = point ? circleRing(point, toolOptions.radius, toolOptions.unit) : ring
+      try {
+        const codes = new Set(await codesInShape(level, shape, toolOptions.match))
+        setSelectedItems(prev => subtract ? prev.filter(c => !codes.has(c)) : [...prev, ...[...codes].filter(c => !prev.includes(c))])
+        announce(`${subtract ? 'Removed' : 'Selected'} ${codes.size} ${levelNoun(level, codes.size)}`)
+      } catch (e) {
+        console.error(e)
+        announce(`Could not load ${getLevel(level).singular} boundaries`)
       }
-      drawingLayer.current = []
-      return
-    }
+    })
+  }, [map, tool, toolOptions, level, setSelectedItems, announce])
 
-    // Counties demo with markers
-    if (drawingLayer.current) {
-      drawingLayer.current.forEach(m => m.setMap(null))
-    }
-    drawingLayer.current = []
-
-    const geocoder = new window.google.maps.Geocoder()
-
-    const items = selectedItems.slice(0, 12) // cap to avoid quota
-    items.forEach((code) => {
-      const query = `FIPS ${code} county USA`
-      geocoder.geocode({ address: query }, (results, status) => {
-        if (status === 'OK' && results && results[0]) {
-          const loc = results[0].geometry.location
-          const marker = new window.google.maps.Marker({
-            position: loc,
-            map: mapInstance.current,
-            title: code,
-            icon: {
-              path: window.google.maps.SymbolPath.CIRCLE,
-              scale: 8,
-              fillColor: '#f59e0b',
-              fillOpacity: 0.9,
-              strokeWeight: 1,
-              strokeColor: '#111827'
-            }
-          })
-          drawingLayer.current.push(marker)
-        }
-      })
+  // Clicking on the base map (non-polygon areas) selects the region found there by a local
+  // point-in-polygon test against the bundled boundaries
+  useEffect(() => {
+    if (!map) return
+    return map.on('backgroundClick', async (latLng) => {
+      try {
+        const code = await regionAt(level, latLng)
+        if (code) toggleItem(code)
+        else announce(`No ${getLevel(level).singular} here`)
+      } catch (e) {
+        console.error(e)
+        announce(`Could not load ${getLevel(level).singular} boundaries`)
+      }
     })
-  }, [mapsLoaded, level, selectedItems])
+  }, [map, level, activeGroupId])
 
   return (
     <div className="min-h-screen grid grid-rows-[auto,1fr]">
       <header className="px-4 py-3 border-b bg-white/70 backdrop-blur flex items-center justify-between">
         <div className="flex items-center gap-3">
           <span className="text-xl font-semibold">Geo Shade Builder</span>
-          <span className="text-xs text-gray-500">Select US states or counties and save/export</span>
+          <span className="text-xs text-gray-500">Select US states, counties or metro areas and save/export</span>
         </div>
         <div className="flex items-center gap-2">
           <button className="text-sm text-gray-600 underline" onClick={() => setShowSettings(s => !s)}>
             {showSettings ? 'Hide settings' : 'Settings'}
           </button>
-          <select value={level} onChange={e => { setLevel(e.target.value); setSelectedItems([]) }} className="border rounded px-2 py-1">
-            <option value="state">States</option>
-            <option value="county">Counties</option>
+          <button onClick={history.undo} disabled={!history.canUndo} title="Undo (Ctrl+Z)" className="border px-2 py-1 rounded disabled:opacity-50">Undo</button>
+          <button onClick={history.redo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)" className="border px-2 py-1 rounded disabled:opacity-50">Redo</button>
+          <select value={level} onChange={e => switchLevel(e.target.value)} aria-label="Level" className="border rounded px-2 py-1">
+            {LEVELS.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+            <optgroup label="Not available yet">
+              {UNAVAILABLE_LEVELS.map(l => <option key={l.id} value={l.id} disabled>{l.label}: {l.reason}</option>)}
+            </optgroup>
           </select>
           <input value={name} onChange={e => setName(e.target.value)} className="border rounded px-2 py-1" placeholder="Selection name" />
-          <button onClick={saveSelection} disabled={saving || !selectedItems.length || !backendUrl} className="bg-blue-600 text-white px-3 py-1 rounded disabled:opacity-50">{saving ? 'Saving...' : 'Save'}</button>
+          <button onClick={() => saveSelection()} disabled={saving || !selectedItems.length} className="bg-blue-600 text-white px-3 py-1 rounded disabled:opacity-50">{saving ? 'Saving...' : currentId ? 'Save changes' : 'Save'}</button>
+          {currentId && (
+            <button onClick={() => saveSelection({ asNew: true })} disabled={saving || !selectedItems.length} className="border px-3 py-1 rounded disabled:opacity-50">Save as new</button>
+          )}
+          <ImportDialog level={level} onImport={handleImport} />
+          <button onClick={copyShareLink} className="border px-3 py-1 rounded">Copy share link</button>
+          <ExportMenu name={name} level={level} items={selectedItems} groups={groups} metric={metric} choropleth={choropleth} onError={msg => announce(msg, 3000)} />
         </div>
       </header>
 
@@ -392,8 +517,18 @@ function App() {
             <label className="w-40 text-sm text-gray-700">Backend URL</label>
             <input className="flex-1 border rounded px-2 py-1" placeholder="https://your-backend" value={backendUrl} onChange={e => setBackendUrl(e.target.value.trim())} />
           </div>
+          <div className="flex items-center gap-2">
+            <label className="w-40 text-sm text-gray-700">API token</label>
+            <input type="password" autoComplete="off" className="flex-1 border rounded px-2 py-1" placeholder="Bearer token, if the backend needs one" value={apiToken} onChange={e => setApiToken(e.target.value.trim())} />
+          </div>
+          <div className="flex items-center gap-2">
+            <label className="w-40 text-sm text-gray-700">Map</label>
+            <select className="flex-1 border rounded px-2 py-1" value={mapRenderer} onChange={e => setMapRenderer(e.target.value)}>
+              {MAP_RENDERERS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+            </select>
+          </div>
           <div className="md:col-span-2 text-xs text-gray-500">
-            Tips: You can also supply these via URL params: ?gmaps_key=YOUR_KEY&backend=https://your-backend. Values are saved in your browser.
+            Tips: You can also supply the map key and renderer via URL params: ?gmaps_key=YOUR_KEY&renderer=svg. Values are saved in your browser. The backend is only taken from a link on read-only viewer pages, and the API token is only ever stored in this browser, never in links.
           </div>
         </div>
       )}
@@ -401,63 +536,151 @@ function App() {
       <div className="grid grid-cols-1 md:grid-cols-[320px,1fr]">
         <aside className="p-4 border-r space-y-4 bg-white">
           <div>
-            <div className="text-sm font-medium mb-2">Choose {level === 'state' ? 'states' : 'counties'}</div>
-            <div className="text-xs text-gray-500 mb-2">Tip: Click directly on the map to toggle a {level === 'state' ? 'state' : 'county'}.</div>
-            <div className="max-h-64 overflow-auto space-y-1 pr-1">
-              {(level === 'state' ? stateOptions : countyOptions).map(opt => (
-                <label key={opt.code} className="flex items-center gap-2 text-sm">
-                  <input type="checkbox" checked={selectedItems.includes(opt.code)} onChange={() => toggleItem(opt.code)} />
-                  <span>{opt.name}</span>
-                  <span className="ml-auto text-gray-400 text-xs">{opt.code}</span>
-                </label>
-              ))}
-            </div>
+            <div className="text-sm font-medium mb-2">Choose {getLevel(level).plural}</div>
+            <div className="text-xs text-gray-500 mb-2">Tip: Click directly on the map to toggle a {getLevel(level).singular}.</div>
+            {getLevel(level).note && <div className="text-xs text-yellow-900 bg-yellow-50 border border-yellow-200 p-2 rounded mb-2">{getLevel(level).note}</div>}
+            <RegionPicker
+              key={level}
+              level={level}
+              options={options}
+              selectedItems={selectedItems}
+              toggleItem={toggleItem}
+              setSelectedItems={setSelectedItems}
+            />
           </div>
+          <GroupsPanel
+            groups={groups}
+            setGroups={setGroups}
+            activeGroupId={activeGroupId}
+            setActiveGroupId={setActiveGroupId}
+            onDeleted={group => toast({ title: `Deleted group "${group.name}"`, action: undoAction() })}
+          />
           <div>
             <div className="text-sm font-medium mb-2">Selected</div>
-            <div className="flex flex-wrap gap-2">
-              {selectedItems.map(code => (
-                <span key={code} className="px-2 py-0.5 bg-blue-100 text-blue-700 rounded text-xs flex items-center gap-1">
-                  {code}
-                  <button onClick={() => toggleItem(code)} className="text-blue-700 hover:text-blue-900">×</button>
-                </span>
-              ))}
+            <SelectionStats level={level} items={selectedItems} metric={metric} />
+            <div className="flex flex-wrap gap-2 mt-2 max-h-48 overflow-auto">
+              {selectedItems.map(code => {
+                const group = groupByCode.get(code)
+                return (
+                  <span key={code} title={`${code} • ${group.name}`} className="px-2 py-0.5 rounded text-xs flex items-center gap-1 border" style={{ borderColor: group.color, backgroundColor: `${group.color}1a` }}>
+                    <span aria-hidden="true" className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: group.color }} />
+                    {labelFor(code, level) || code}
+                    <button onClick={() => removeItem(code)} aria-label={`Remove ${labelFor(code, level) || code}`} className="text-gray-600 hover:text-gray-900">×</button>
+                  </span>
+                )
+              })}
             </div>
-            <button onClick={() => setSelectedItems([])} className="mt-2 text-xs text-gray-600 hover:underline">Clear all</button>
+            <button onClick={clearAll} className="mt-2 text-xs text-gray-600 hover:underline">Clear all</button>
           </div>
 
+          {getLevel(level).borders && (
+            <AdjacencyPanel
+              level={level}
+              groups={groups}
+              activeGroupId={activeGroupId}
+              setSelectedItems={setSelectedItems}
+              onMessage={msg => announce(msg)}
+            />
+          )}
+
+          <CrosswalkPanel key={level} level={level} count={selectedItems.length} onConvert={convertSelection} />
+
+          <ChoroplethPanel
+            level={level}
+            shading={shading}
+            setShading={setShading}
+            metric={metric}
+            setMetric={setMetric}
+            onSwitchLevel={switchLevel}
+          />
+
           <div>
-            <div className="text-sm font-medium mb-2">Saved selections</div>
+            <div className="flex items-center text-sm font-medium mb-2">
+              <span>Saved selections</span>
+              {saved.length >= 2 && <Link to="/compare" className="ml-2 text-xs font-normal text-blue-600 hover:underline">Compare</Link>}
+              <span className="ml-auto text-xs font-normal text-gray-500">
+                {connection === 'local' && 'Saved in this browser'}
+                {connection === 'syncing' && 'Syncing…'}
+                {connection === 'online' && (pending ? `${pending} waiting to sync` : 'All changes synced')}
+                {connection === 'offline' && `Offline${pending ? ` • ${pending} waiting to sync` : ''}`}
+                {connection === 'error' && <span className="text-red-700">Sync failed{pending ? ` • ${pending} waiting to sync` : ''}</span>}
+              </span>
+            </div>
             {!backendUrl && (
               <div className="text-xs text-yellow-700 bg-yellow-50 border border-yellow-200 p-2 rounded mb-2">
-                Set your backend URL in Settings to enable save and export.
+                Selections are saved in this browser. Set your backend URL in Settings to sync them.
               </div>
             )}
-            <div className="space-y-2">
-              {saved.map(s => (
-                <div key={s.id} className="border rounded p-2">
-                  <div className="text-sm font-medium">{s.name}</div>
-                  <div className="text-xs text-gray-500">{s.level} • {s.items?.length || 0} items</div>
-                  <div className="flex gap-2 mt-2">
-                    <a className="text-blue-600 text-xs hover:underline" href={`${backendUrl}/api/selections/${s.id}/export.csv`} target="_blank" rel="noreferrer">Export CSV</a>
-                  </div>
-                </div>
-              ))}
-            </div>
+            <SavedSelections
+              saved={saved}
+              currentId={currentId}
+              backendUrl={backendUrl}
+              onOpen={openSaved}
+              onRename={renameSaved}
+              onDuplicate={duplicate}
+              onDelete={deleteSaved}
+              onResolve={resolveConflict}
+              onExportCsv={exportSavedCsv}
+            />
           </div>
         </aside>
         <main className="relative">
           {!apiKey && (
-            <div className="absolute inset-0 z-10 bg-yellow-50 border-b border-yellow-200 p-3 text-sm text-yellow-900">
-              Add a Google Maps API key in Settings or via URL param gmaps_key to enable map rendering.
+            <div className="absolute top-2 right-2 z-20 bg-yellow-50 border border-yellow-200 rounded px-2 py-1 text-xs text-yellow-900 shadow">
+              Offline map. Add a Google Maps API key in Settings for the Google base map.
             </div>
           )}
-          {hint && (
-            <div className="absolute top-2 left-2 z-20 bg-white/90 border rounded px-2 py-1 text-xs text-gray-700 shadow">
-              {hint}
+          <div role="group" aria-label="Show the selection as" className="absolute top-2 left-2 z-40 flex border rounded bg-white/95 shadow text-xs overflow-hidden">
+            <button onClick={() => setShowTable(false)} aria-pressed={!showTable} className={`px-2 py-1 ${showTable ? '' : 'bg-blue-600 text-white'}`}>Map</button>
+            <button onClick={() => setShowTable(true)} aria-pressed={showTable} className={`px-2 py-1 ${showTable ? 'bg-blue-600 text-white' : ''}`}>Table</button>
+          </div>
+          {/* Always rendered: screen readers only announce changes to a live region already on the page */}
+          <div role="status" aria-live="polite" aria-atomic="true" className={hint ? 'absolute top-11 left-2 z-40 bg-white/90 border rounded px-2 py-1 text-xs text-gray-700 shadow' : 'sr-only'}>
+            {hint}
+          </div>
+          {showTable ? (
+            <div className="absolute inset-0 z-30 bg-white overflow-auto p-4 pt-20">
+              <SelectionTable level={level} groups={groups} metric={metric} onRemove={removeItem} />
             </div>
+          ) : (
+            <>
+              <MapTools tool={tool} setTool={setTool} options={toolOptions} setOptions={setToolOptions} />
+              {choropleth && <MapLegend title={choropleth.name} breaks={choropleth.breaks} colors={choropleth.colors} />}
+              {hover && (
+                <div className="absolute z-20 pointer-events-none bg-white/95 border rounded px-2 py-1 text-xs shadow" style={{ left: hover.x + 12, top: hover.y + 12 }}>
+                  <div className="font-medium">{hover.name}</div>
+                  <div className="text-gray-600">{choropleth?.name}: {formatValue(hover.value)}</div>
+                </div>
+              )}
+              {jumpOpen && (
+                <RegionJump
+                  level={level}
+                  options={options}
+                  onJump={jumpTo}
+                  onClose={returnFocus => {
+                    setJumpOpen(false)
+                    if (returnFocus) mapRef.current?.focus()
+                  }}
+                />
+              )}
+              {mapFocusVisible && <div aria-hidden="true" className="absolute inset-0 z-10 pointer-events-none ring-2 ring-inset ring-blue-600" />}
+            </>
           )}
-          <div ref={mapRef} className="w-full h-[70vh] md:h-full" />
+          <div id="map-keys" className={mapFocusVisible ? 'absolute bottom-2 left-1/2 -translate-x-1/2 z-20 bg-white/95 border rounded shadow px-2 py-1 text-xs text-gray-700' : 'sr-only'}>
+            Arrow keys move between {getLevel(level).plural}, Enter or Space selects, / searches, Escape clears.
+          </div>
+          <div
+            ref={mapRef}
+            tabIndex={showTable ? -1 : 0}
+            role="application"
+            aria-roledescription="map"
+            aria-label={`Map of ${getLevel(level).plural}`}
+            aria-describedby="map-keys"
+            onKeyDown={onMapKeyDown}
+            onFocus={e => setMapFocusVisible(e.target === e.currentTarget && e.currentTarget.matches(':focus-visible'))}
+            onBlur={() => setMapFocusVisible(false)}
+            className={`w-full h-[70vh] md:h-full outline-none ${showTable ? 'invisible' : ''}`}
+          />
         </main>
       </div>
     </div>
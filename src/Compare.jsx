@@ -0,0 +1,197 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { loadLevelPolygons } from './lib/boundaries'
+import { COMPARE_RESULTS, compareSelections, comparisonGroups, resultName } from './lib/compare'
+import { labelFor, loadLevelNames } from './lib/gazetteer'
+import { defaultGroups, groupIndex } from './lib/groups'
+import { getLevel, levelNoun } from './lib/levels'
+import { DEFAULT_VIEW, createMapProvider, rendererFor } from './lib/mapProvider'
+import { styleForRegion } from './lib/regionStyle'
+import { createApiClient } from './lib/selectionsApi'
+import GroupLegend from './components/GroupLegend'
+import { useToast } from './components/Toasts'
+import { useGoogleMaps } from './hooks/useGoogleMaps'
+import { useSavedSelections } from './hooks/useSavedSelections'
+import { useSettings } from './hooks/useSettings'
+
+// Compare saved selections at /compare: pick two or more, see their union, intersection and
+// difference on the map and save any of them as a new selection
+function Compare() {
+  const { apiKey, backendUrl, mapRenderer, authToken } = useSettings()
+  const renderer = rendererFor(apiKey, mapRenderer)
+  const mapsLoaded = useGoogleMaps(renderer === 'google' ? apiKey : '')
+  const mapRef = useRef(null)
+  const [map, setMap] = useState(null)
+  const [chosenIds, setChosenIds] = useState([]) // localIds, in the order they were picked
+  const [baseId, setBaseId] = useState(null)
+  const [hover, setHover] = useState(null)
+  const [error, setError] = useState('')
+  const toast = useToast()
+
+  const api = useMemo(() => (backendUrl ? createApiClient({ baseUrl: backendUrl, token: authToken }) : null), [backendUrl, authToken])
+  const { saved, saving, create } = useSavedSelections(api, {
+    onError: (msg) => toast({ title: 'Saved selections', description: msg, variant: 'error' })
+  })
+
+  const chosen = useMemo(() => chosenIds.map(id => saved.find(s => s.localId === id)).filter(Boolean), [chosenIds, saved])
+  const baseIndex = Math.max(0, chosen.findIndex(s => s.localId === baseId))
+
+  // Levels of the chosen selections, compared once their names have loaded (ZIP codes load on demand)
+  const levels = [...new Set(chosen.map(s => s.level))].sort().join(',')
+  const [loadedLevels, setLoadedLevels] = useState('')
+  useEffect(() => {
+    let cancelled = false
+    Promise.all(levels.split(',').map(loadLevelNames))
+      .then(() => { if (!cancelled) setLoadedLevels(levels) })
+      .catch(e => {
+        console.error(e)
+        if (!cancelled) setError('Could not load ZIP codes.')
+      })
+    return () => { cancelled = true }
+  }, [levels])
+
+  const result = useMemo(() => (chosen.length >= 2 && loadedLevels === levels ? compareSelections(chosen, baseIndex) : null), [chosen, baseIndex, loadedLevels, levels])
+  const groups = useMemo(() => (result ? comparisonGroups(result, chosen[baseIndex].name) : []), [result, chosen, baseIndex])
+  const groupByCode = useMemo(() => groupIndex(groups), [groups])
+
+  function toggleChosen(entry) {
+    setChosenIds(prev => prev.includes(entry.localId) ? prev.filter(id => id !== entry.localId) : [...prev, entry.localId])
+  }
+
+  useEffect(() => {
+    if (!mapRef.current || (renderer === 'google' && !mapsLoaded)) return
+    const provider = createMapProvider(renderer, mapRef.current, DEFAULT_VIEW)
+    setMap(provider)
+    return () => {
+      provider.destroy()
+      setMap(null)
+    }
+  }, [renderer, mapsLoaded])
+
+  const level = result?.level || 'state'
+
+  useEffect(() => {
+    if (!map) return
+    let cancelled = false
+    setError('')
+    loadLevelPolygons(level)
+      .then(fc => {
+        if (cancelled) return
+        map.setFeatures(fc)
+        map.setStyle(code => styleForRegion(code, groupByCode, null))
+      })
+      .catch(e => {
+        console.error(e)
+        if (!cancelled) setError(`Could not load ${getLevel(level).singular} boundaries.`)
+      })
+    return () => { cancelled = true }
+  }, [map, level, groupByCode])
+
+  useEffect(() => {
+    if (!map) return
+    const unsubscribe = [
+      map.on('hover', ({ code, x, y }) => {
+        map.setHighlight(code)
+        setHover({ name: labelFor(code, level), group: groupByCode.get(code), x, y })
+      }),
+      map.on('hoverend', () => {
+        map.setHighlight(null)
+        setHover(null)
+      })
+    ]
+    return () => {
+      unsubscribe.forEach(off => off())
+      setHover(null)
+    }
+  }, [map, level, groupByCode])
+
+  async function saveResult(id) {
+    const items = result[id]
+    const name = resultName(id, chosen.map(s => s.name), baseIndex)
+    const record = await create({ name, level: result.level, items, groups: defaultGroups(items) })
+    if (record) toast({ title: `Saved "${name}"`, description: `${items.length} ${levelNoun(result.level, items.length)}, listed with your saved selections.` })
+  }
+
+  return (
+    <div className="h-screen grid grid-rows-[auto,1fr]">
+      <header className="px-4 py-3 border-b bg-white/70 backdrop-blur flex items-center gap-3">
+        <span className="text-xl font-semibold">Compare selections</span>
+        <span className="text-xs text-gray-500">Union, intersection and difference of saved selections</span>
+        <Link to="/" className="ml-auto border px-3 py-1 rounded text-sm">Back to editor</Link>
+      </header>
+
+      <div className="grid grid-cols-1 md:grid-cols-[320px,1fr] min-h-0">
+        <aside className="p-4 border-r space-y-4 bg-white overflow-auto">
+          <div>
+            <div className="text-sm font-medium mb-2">Saved selections</div>
+            {!saved.length && <div className="text-xs text-gray-500">Nothing saved yet. Save selections in the editor to compare them.</div>}
+            <ul className="space-y-1">
+              {saved.map(entry => (
+                <li key={entry.localId}>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={chosenIds.includes(entry.localId)} onChange={() => toggleChosen(entry)} />
+                    <span className="truncate">{entry.name}</span>
+                    <span className="ml-auto text-xs text-gray-500 whitespace-nowrap">{entry.items?.length || 0} {levelNoun(entry.level, entry.items?.length || 0)}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+            {chosen.length < 2 && <div className="text-xs text-gray-500 mt-2">Pick two or more selections.</div>}
+          </div>
+
+          {result && (
+            <>
+              <div>
+                <div className="text-sm font-medium mb-2">Difference</div>
+                <label className="flex items-center gap-2 text-xs">
+                  Start from
+                  <select value={chosen[baseIndex].localId} onChange={e => setBaseId(e.target.value)} className="border rounded px-1 py-0.5 min-w-0 flex-1">
+                    {chosen.map(s => <option key={s.localId} value={s.localId}>{s.name}</option>)}
+                  </select>
+                </label>
+                <div className="text-xs text-gray-500 mt-1">and remove every region in the other selections.</div>
+              </div>
+
+              {result.converted.length > 0 && (
+                <div className="text-xs text-yellow-900 bg-yellow-50 border border-yellow-200 p-2 rounded">
+                  The selections use different levels, so they are compared as {getLevel(result.level).plural}: {result.converted.map(s => `"${s.name}"`).join(', ')} {result.converted.length === 1 ? 'was' : 'were'} converted.
+                </div>
+              )}
+
+              <div>
+                <div className="text-sm font-medium mb-2">Results</div>
+                <ul className="space-y-2">
+                  {COMPARE_RESULTS.map(({ id, label }) => (
+                    <li key={id} className="flex items-center gap-2 text-sm">
+                      <span>{label}</span>
+                      <span className="text-xs text-gray-500">{result[id].length} {levelNoun(result.level, result[id].length)}</span>
+                      <button disabled={!result[id].length || saving} onClick={() => saveResult(id)} className="ml-auto border px-2 py-0.5 rounded text-xs disabled:opacity-50">
+                        Save as new
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </>
+          )}
+        </aside>
+
+        <main className="relative">
+          {error && (
+            <div className="absolute inset-x-0 top-2 mx-auto w-fit z-20 border rounded px-3 py-1 text-sm shadow bg-red-50 border-red-200 text-red-800">{error}</div>
+          )}
+          {result && <GroupLegend groups={groups} level={result.level} />}
+          {hover && (
+            <div className="absolute z-20 pointer-events-none bg-white/95 border rounded px-2 py-1 text-xs shadow" style={{ left: hover.x + 12, top: hover.y + 12 }}>
+              <div className="font-medium">{hover.name}</div>
+              {hover.group && <div className="text-gray-600">{hover.group.name}</div>}
+            </div>
+          )}
+          <div ref={mapRef} className="absolute inset-0" />
+        </main>
+      </div>
+    </div>
+  )
+}
+
+export default Compare
@@ -1,127 +1,119 @@
-import { useState, useEffect } from 'react'
+import { useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { CHECKS, diagnosticsReport, maskSecret, runCheck } from './lib/diagnostics'
+import { useToast } from './components/Toasts'
+import { useSettings } from './hooks/useSettings'
 
-function Test() {
-  const [backendStatus, setBackendStatus] = useState('checking...')
-  const [backendUrl, setBackendUrl] = useState('')
-  const [databaseStatus, setDatabaseStatus] = useState(null)
-
-  useEffect(() => {
-    checkBackendConnection()
-  }, [])
+const STATUS_STYLES = {
+  ok: { label: 'OK', className: 'text-green-800 bg-green-100' },
+  warn: { label: 'Warning', className: 'text-yellow-900 bg-yellow-100' },
+  fail: { label: 'Failed', className: 'text-red-800 bg-red-100' },
+  skip: { label: 'Skipped', className: 'text-gray-600 bg-gray-100' },
+  running: { label: 'Running…', className: 'text-blue-800 bg-blue-50' }
+}
 
-  const checkBackendConnection = async () => {
-    try {
-      // Get backend URL from environment variable
-      const baseUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
-      setBackendUrl(baseUrl)
+function StatusBadge({ status }) {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.skip
+  return <span className={`inline-block w-20 text-center px-1.5 py-0.5 rounded text-xs font-medium ${style.className}`}>{style.label}</span>
+}
 
-      // Test basic backend connectivity
-      const response = await fetch(`${baseUrl}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
+// Diagnostics dashboard: checks the backend configured in Settings, the selections API, the
+// Google Maps key, the bundled boundaries and browser storage, with timings and a copyable report
+function Test() {
+  const toast = useToast()
+  const { apiKey, backendUrl, mapRenderer, authToken } = useSettings()
+  const [writeTest, setWriteTest] = useState(true)
+  const [results, setResults] = useState({})
+  const [running, setRunning] = useState(false)
+  const settings = { apiKey, backendUrl, mapRenderer, apiToken: authToken, writeTest }
 
-      if (response.ok) {
-        const data = await response.json()
-        setBackendStatus(`✅ Connected - ${data.message || 'OK'}`)
-        
-        // Now test database connectivity
-        await checkDatabaseConnection(baseUrl)
-      } else {
-        setBackendStatus(`❌ Failed - ${response.status} ${response.statusText}`)
-        setDatabaseStatus({ error: 'Backend not accessible' })
-      }
-    } catch (error) {
-      setBackendStatus(`❌ Error - ${error.message}`)
-      setDatabaseStatus({ error: 'Backend not accessible' })
+  // One check at a time so the timings are not skewed by each other
+  async function runAll() {
+    setRunning(true)
+    setResults({})
+    for (const check of CHECKS) {
+      setResults(r => ({ ...r, [check.id]: { status: 'running' } }))
+      const outcome = await runCheck(check, settings)
+      setResults(r => ({ ...r, [check.id]: outcome }))
     }
+    setRunning(false)
   }
 
-  const checkDatabaseConnection = async (baseUrl) => {
-    try {
-      const response = await fetch(`${baseUrl}/test`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
+  // Run once on load (StrictMode would otherwise run the write test twice in development)
+  const startedRef = useRef(false)
+  useEffect(() => {
+    if (startedRef.current) return
+    startedRef.current = true
+    runAll()
+  }, [])
 
-      if (response.ok) {
-        const dbData = await response.json()
-        setDatabaseStatus(dbData)
-      } else {
-        setDatabaseStatus({ error: `Failed to check database - ${response.status}` })
-      }
-    } catch (error) {
-      setDatabaseStatus({ error: `Database check failed - ${error.message}` })
+  async function copyReport() {
+    try {
+      await navigator.clipboard.writeText(diagnosticsReport(results, settings))
+      toast({ title: 'Report copied', description: 'Paste it into your support ticket. Keys and tokens are masked.' })
+    } catch {
+      toast({ title: 'Could not copy the report', description: 'Your browser blocked clipboard access.', variant: 'error' })
     }
   }
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-8">
-      <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
-        <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">
-          Backend & Database Test
-        </h1>
+  const finished = Object.values(results).filter(r => r.status !== 'running')
+  const failed = finished.filter(r => r.status === 'fail').length
+  const warned = finished.filter(r => r.status === 'warn').length
+  const groups = [...new Set(CHECKS.map(c => c.group))]
 
-        <div className="space-y-4">
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
-            <p className="text-sm text-gray-600 break-all bg-gray-100 p-2 rounded">
-              {backendUrl || 'Detecting...'}
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-8">
+      <div className="max-w-4xl mx-auto space-y-4">
+        <header className="flex flex-wrap items-center gap-3">
+          <div className="flex-1 min-w-0">
+            <h1 className="text-2xl font-semibold text-gray-800">Diagnostics</h1>
+            <p className="text-sm text-gray-500">
+              {running
+                ? 'Running checks…'
+                : failed || warned
+                  ? `${failed} failed, ${warned} with warnings`
+                  : finished.length ? 'All checks passed' : ''}
             </p>
           </div>
+          <button onClick={runAll} disabled={running} className="border bg-white px-3 py-1 rounded disabled:opacity-50">Run again</button>
+          <button onClick={copyReport} disabled={running || !finished.length} className="bg-blue-600 text-white px-3 py-1 rounded disabled:opacity-50">Copy report</button>
+          <Link to="/" className="text-sm text-blue-600 hover:underline">Back to the map</Link>
+        </header>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend Status:</h3>
-            <p className="text-sm font-mono bg-gray-100 p-2 rounded">
-              {backendStatus}
-            </p>
-          </div>
+        <section className="bg-white border rounded p-4 grid gap-1 text-sm md:grid-cols-2">
+          <div><span className="text-gray-500">Backend URL:</span> <span className="font-mono break-all">{backendUrl || 'not set'}</span></div>
+          <div><span className="text-gray-500">API token:</span> {maskSecret(authToken)}</div>
+          <div><span className="text-gray-500">Google Maps key:</span> {maskSecret(apiKey)}</div>
+          <div><span className="text-gray-500">Map renderer:</span> {mapRenderer}</div>
+          <label className="md:col-span-2 flex items-center gap-2 mt-2 text-gray-700">
+            <input type="checkbox" checked={writeTest} onChange={e => setWriteTest(e.target.checked)} />
+            Include the write test (creates a temporary selection on the backend and deletes it again)
+          </label>
+        </section>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Database Status:</h3>
-            <div className="text-sm bg-gray-100 p-3 rounded">
-              {databaseStatus ? (
-                databaseStatus.error ? (
-                  <p className="text-red-600 font-mono">{databaseStatus.error}</p>
-                ) : (
-                  <div className="space-y-2">
-                    <p><span className="font-semibold">Backend:</span> {databaseStatus.backend}</p>
-                    <p><span className="font-semibold">Database:</span> {databaseStatus.database}</p>
-                    <p><span className="font-semibold">DB URL:</span> {databaseStatus.database_url}</p>
-                    <p><span className="font-semibold">DB Name:</span> {databaseStatus.database_name}</p>
-                    <p><span className="font-semibold">Connection:</span> {databaseStatus.connection_status}</p>
-                    {databaseStatus.collections && databaseStatus.collections.length > 0 && (
-                      <p><span className="font-semibold">Collections:</span> {databaseStatus.collections.join(', ')}</p>
-                    )}
-                  </div>
+        {groups.map(group => (
+          <section key={group} className="bg-white border rounded">
+            <h2 className="px-4 py-2 border-b text-sm font-medium text-gray-700">{group}</h2>
+            <ul className="divide-y">
+              {CHECKS.filter(c => c.group === group).map(check => {
+                const r = results[check.id]
+                return (
+                  <li key={check.id} className="px-4 py-2 flex items-start gap-3 text-sm">
+                    <StatusBadge status={r?.status} />
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium">{check.label}</div>
+                      {r?.detail && <div className="text-xs text-gray-600 break-words">{r.detail}</div>}
+                    </div>
+                    <span className="w-16 text-right text-xs text-gray-500 tabular-nums">{r?.ms !== undefined ? `${r.ms} ms` : ''}</span>
+                  </li>
                 )
-              ) : (
-                <p className="text-gray-500 font-mono">Checking database...</p>
-              )}
-            </div>
-          </div>
-
-          <button
-            onClick={checkBackendConnection}
-            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded transition-colors"
-          >
-            Test Again
-          </button>
-
-          <a
-            href="/"
-            className="block w-full bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
-          >
-            Back to Home
-          </a>
-        </div>
+              })}
+            </ul>
+          </section>
+        ))}
       </div>
     </div>
   )
 }
 
-export default Test
\ No newline at end of file
+export default Test
@@ -0,0 +1,152 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { loadLevelPolygons } from './lib/boundaries'
+import { loadViewerSelection, parseViewerOptions, viewerUrl } from './lib/embed'
+import { labelFor } from './lib/gazetteer'
+import { allItems, groupIndex, isDefaultGrouping, normalizeGroups } from './lib/groups'
+import { isLevel, levelNoun } from './lib/levels'
+import { DEFAULT_VIEW, createMapProvider, rendererFor } from './lib/mapProvider'
+import { styleForRegion } from './lib/regionStyle'
+import { createApiClient } from './lib/selectionsApi'
+import { buildSearchParams } from './lib/urlState'
+import GroupLegend from './components/GroupLegend'
+import { useGoogleMaps } from './hooks/useGoogleMaps'
+import { useSettings } from './hooks/useSettings'
+
+// Read-only map of one saved selection, for /view/:id (full page) and /embed/:id (iframes).
+// No settings, saving or picking; clicks do nothing and hovering shows the region's name.
+function Viewer({ embed = false }) {
+  const { id } = useParams()
+  const [searchParams] = useSearchParams()
+  const { fit, legend, theme } = parseViewerOptions(searchParams)
+  const { apiKey, backendUrl, mapRenderer, authToken } = useSettings({ readOnly: true })
+  const renderer = rendererFor(apiKey, mapRenderer)
+  const mapsLoaded = useGoogleMaps(renderer === 'google' ? apiKey : '')
+  const mapRef = useRef(null)
+  const [map, setMap] = useState(null)
+  const [selection, setSelection] = useState(null) // { name, level, groups }
+  const [error, setError] = useState('')
+  const [hover, setHover] = useState(null)
+  const dark = theme === 'dark'
+
+  const api = useMemo(() => createApiClient({ baseUrl: backendUrl, token: authToken }), [backendUrl, authToken])
+
+  useEffect(() => {
+    let cancelled = false
+    setSelection(null)
+    setError('')
+    loadViewerSelection(api, id)
+      .then(record => {
+        if (cancelled) return
+        const level = isLevel(record.level) ? record.level : 'state'
+        setSelection({ name: record.name || 'Untitled selection', level, groups: normalizeGroups(record.groups, record.items || []) })
+      })
+      .catch(e => {
+        console.error(e)
+        if (!cancelled) setError(e.status === 404 ? 'This selection does not exist or was deleted.' : 'Could not load this selection.')
+      })
+    return () => { cancelled = true }
+  }, [api, id])
+
+  useEffect(() => {
+    if (!mapRef.current || (renderer === 'google' && !mapsLoaded)) return
+    const provider = createMapProvider(renderer, mapRef.current, { ...DEFAULT_VIEW, theme })
+    setMap(provider)
+    return () => {
+      provider.destroy()
+      setMap(null)
+    }
+  }, [renderer, mapsLoaded, theme])
+
+  const groupByCode = useMemo(() => groupIndex(selection?.groups || []), [selection])
+
+  useEffect(() => {
+    if (!map || !selection) return
+    let cancelled = false
+    const unsubscribe = []
+    loadLevelPolygons(selection.level)
+      .then(fc => {
+        if (cancelled) return
+        map.setFeatures(fc)
+        map.setStyle(code => styleForRegion(code, groupByCode, null))
+        if (fit) map.fitTo(allItems(selection.groups))
+        unsubscribe.push(map.on('hover', ({ code, x, y }) => {
+          map.setHighlight(code)
+          setHover({ name: labelFor(code, selection.level), group: groupByCode.get(code), x, y })
+        }))
+        unsubscribe.push(map.on('hoverend', () => {
+          map.setHighlight(null)
+          setHover(null)
+        }))
+      })
+      .catch(e => {
+        console.error(e)
+        if (!cancelled) setError(`Could not load ${selection.level} boundaries.`)
+      })
+    return () => {
+      cancelled = true
+      unsubscribe.forEach(off => off())
+      setHover(null)
+    }
+  }, [map, selection, groupByCode, fit])
+
+  const count = selection ? allItems(selection.groups).length : 0
+  const noun = selection ? levelNoun(selection.level, count) : ''
+  const showGroupNames = selection && !isDefaultGrouping(selection.groups)
+  const editorLink = selection
+    ? `/?${buildSearchParams({ level: selection.level, items: allItems(selection.groups), groups: selection.groups, name: selection.name }).toString()}`
+    : '/'
+
+  const mapArea = (
+    <div className="relative flex-1 min-h-0">
+      {error && (
+        <div className={`absolute inset-x-0 top-2 mx-auto w-fit z-20 border rounded px-3 py-1 text-sm shadow ${dark ? 'bg-red-950 border-red-800 text-red-200' : 'bg-red-50 border-red-200 text-red-800'}`}>{error}</div>
+      )}
+      {!selection && !error && (
+        <div className={`absolute inset-x-0 top-2 mx-auto w-fit z-20 text-xs ${dark ? 'text-slate-400' : 'text-gray-500'}`}>Loading…</div>
+      )}
+      {selection && legend && <GroupLegend groups={selection.groups} level={selection.level} dark={dark} />}
+      {hover && (
+        <div className={`absolute z-20 pointer-events-none border rounded px-2 py-1 text-xs shadow ${dark ? 'bg-slate-800/95 border-slate-600' : 'bg-white/95'}`} style={{ left: hover.x + 12, top: hover.y + 12 }}>
+          <div className="font-medium">{hover.name}</div>
+          {hover.group && showGroupNames && <div className={dark ? 'text-slate-400' : 'text-gray-600'}>{hover.group.name}</div>}
+        </div>
+      )}
+      <div ref={mapRef} className="absolute inset-0" />
+    </div>
+  )
+
+  if (embed) {
+    return (
+      <div className={`h-screen w-screen overflow-hidden flex flex-col ${dark ? 'bg-slate-900 text-slate-100' : 'bg-white text-gray-900'}`}>
+        {selection && (
+          <a
+            href={viewerUrl(id, { fit, legend, theme, backendUrl })}
+            target="_blank"
+            rel="noreferrer"
+            className={`absolute top-2 left-2 z-30 border rounded shadow px-2 py-1 text-xs font-medium hover:underline ${dark ? 'bg-slate-800/95 border-slate-600' : 'bg-white/95'}`}
+            title="Open in a new tab"
+          >
+            {selection.name} <span className={dark ? 'text-slate-400' : 'text-gray-500'}>· {count} {noun}</span>
+          </a>
+        )}
+        {mapArea}
+      </div>
+    )
+  }
+
+  return (
+    <div className={`h-screen flex flex-col ${dark ? 'bg-slate-900 text-slate-100' : 'bg-white text-gray-900'}`}>
+      <header className={`border-b px-4 py-3 flex items-center gap-3 ${dark ? 'border-slate-700' : ''}`}>
+        <div className="flex-1 min-w-0">
+          <div className="text-xl font-semibold truncate">{selection?.name || 'Saved selection'}</div>
+          {selection && <div className={`text-xs ${dark ? 'text-slate-400' : 'text-gray-500'}`}>{count} {noun}{showGroupNames ? ` in ${selection.groups.length} groups` : ''} • read-only</div>}
+        </div>
+        {selection && <Link to={editorLink} className="border px-3 py-1 rounded text-sm">Open in editor</Link>}
+      </header>
+      {mapArea}
+    </div>
+  )
+}
+
+export default Viewer
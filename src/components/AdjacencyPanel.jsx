@@ -0,0 +1,84 @@
+import { useEffect, useMemo, useState } from 'react'
+import { connectedPieces, enclosedGaps, growByRings, loadAdjacency, neighborsOf } from '../lib/adjacency'
+import { labelFor } from '../lib/gazetteer'
+import { getLevel, levelNoun } from '../lib/levels'
+
+// Labels listed per disconnected piece before summarizing the rest
+const MAX_PIECE_LABELS = 3
+
+function pieceSummary(piece, level) {
+  const labels = piece.slice(0, MAX_PIECE_LABELS).map(code => labelFor(code, level) || code)
+  return piece.length > MAX_PIECE_LABELS ? `${labels.join('; ')} and ${piece.length - MAX_PIECE_LABELS} more` : labels.join('; ')
+}
+
+// Topology-aware actions on the active group (neighbors, rings, gaps) and a contiguity check
+// for every group
+function AdjacencyPanel({ level, groups, activeGroupId, setSelectedItems, onMessage }) {
+  const [adjacency, setAdjacency] = useState(null)
+  const [rings, setRings] = useState(1)
+
+  useEffect(() => {
+    let cancelled = false
+    setAdjacency(null)
+    loadAdjacency(level)
+      .then(adj => { if (!cancelled) setAdjacency(adj) })
+      .catch(e => console.error('Failed to load adjacency', e))
+    return () => { cancelled = true }
+  }, [level])
+
+  const active = groups.find(g => g.id === activeGroupId)
+  const noun = getLevel(level).plural
+
+  // Groups split into more than one piece
+  const broken = useMemo(() => {
+    if (!adjacency) return []
+    return groups
+      .map(g => ({ group: g, pieces: connectedPieces(adjacency, g.items) }))
+      .filter(({ pieces }) => pieces.length > 1)
+  }, [adjacency, groups])
+
+  // Regions already in another group stay there
+  function add(codes, what) {
+    const selected = new Set(groups.flatMap(g => g.items))
+    const added = codes.filter(c => !selected.has(c))
+    setSelectedItems(prev => [...prev, ...added])
+    onMessage(added.length ? `Added ${added.length} ${what}` : `No ${what} to add`)
+  }
+
+  const disabled = !adjacency || !active?.items.length
+
+  return (
+    <div>
+      <div className="text-sm font-medium mb-2">Neighbors and contiguity</div>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <button disabled={disabled} onClick={() => add(neighborsOf(adjacency, active.items), `neighboring ${noun}`)} className="border px-2 py-0.5 rounded disabled:opacity-50">
+          Add neighbors
+        </button>
+        <span className="flex items-center gap-1">
+          <button disabled={disabled} onClick={() => add(growByRings(adjacency, active.items, rings).filter(c => !active.items.includes(c)), noun)} className="border px-2 py-0.5 rounded disabled:opacity-50">
+            Grow by
+          </button>
+          <input type="number" min="1" max="10" value={rings} onChange={e => setRings(Math.max(1, Number(e.target.value) || 1))} className="w-12 border rounded px-1" />
+          rings
+        </span>
+        <button disabled={disabled} onClick={() => add(enclosedGaps(adjacency, active.items), `enclosed ${noun}`)} className="border px-2 py-0.5 rounded disabled:opacity-50">
+          Fill gaps
+        </button>
+      </div>
+      <div className="text-xs text-gray-500 mt-1">Actions apply to the active group{active ? ` (${active.name})` : ''}.</div>
+
+      {broken.map(({ group, pieces }) => (
+        <div key={group.id} className="mt-2 text-xs text-yellow-900 bg-yellow-50 border border-yellow-200 p-2 rounded">
+          <div className="font-medium">{group.name} is not contiguous: {pieces.length} separate pieces</div>
+          <ol className="list-decimal ml-4 mt-1 space-y-0.5">
+            {pieces.map((piece, i) => (
+              <li key={i}>{piece.length} {levelNoun(level, piece.length)}: {pieceSummary(piece, level)}</li>
+            ))}
+          </ol>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default AdjacencyPanel
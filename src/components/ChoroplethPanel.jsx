@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { CLASSIFICATION_METHODS } from '../lib/classify'
+import { COLOR_RAMPS, rampColors } from '../lib/colorRamps'
+import { getLevel, levelNoun } from '../lib/levels'
+import { parseMetric } from '../lib/metrics'
+
+const CLASS_COUNTS = [3, 4, 5, 6, 7, 8, 9]
+
+// Sidebar controls for shading regions by an uploaded metric instead of by selection
+function ChoroplethPanel({ level, shading, setShading, metric, setMetric, onSwitchLevel }) {
+  const [text, setText] = useState('')
+  const [error, setError] = useState('')
+
+  function load(content) {
+    setError('')
+    try {
+      const parsed = parseMetric(content, { level })
+      if (!Object.keys(parsed.values).length) throw new Error('No rows matched a region with a numeric value')
+      setMetric(parsed)
+      setShading(s => ({ ...s, mode: 'choropleth' }))
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0]
+    if (!file) return
+    const content = await file.text()
+    setText(content)
+    load(content)
+  }
+
+  const update = (key) => (e) => setShading(s => ({ ...s, [key]: key === 'classes' ? Number(e.target.value) : e.target.value }))
+  const count = metric ? Object.keys(metric.values).length : 0
+
+  return (
+    <div>
+      <div className="flex items-center text-sm font-medium mb-2">
+        <span>Shading</span>
+        <select value={shading.mode} onChange={update('mode')} className="ml-auto border rounded px-1 text-xs font-normal">
+          <option value="selection">By selection</option>
+          <option value="choropleth" disabled={!metric}>By metric</option>
+        </select>
+      </div>
+      <div className="space-y-2">
+        <input type="file" accept=".csv,.tsv,.txt" onChange={handleFile} className="text-xs" />
+        <textarea
+          value={text}
+          onChange={e => setText(e.target.value)}
+          rows={3}
+          placeholder={'state,value\nCA,39.5\nTX,29.1'}
+          className="w-full border rounded px-2 py-1 text-xs font-mono"
+        />
+        <div className="flex items-center gap-2 text-xs">
+          <button onClick={() => load(text)} disabled={!text.trim()} className="border px-2 py-0.5 rounded disabled:opacity-50">Load values</button>
+          {metric && (
+            <button onClick={() => { setMetric(null); setShading(s => ({ ...s, mode: 'selection' })) }} className="text-gray-600 hover:underline">Clear</button>
+          )}
+        </div>
+        {error && <div className="text-xs text-red-700">{error}</div>}
+        {metric && (
+          <div className="text-xs text-gray-600">
+            {metric.name}: {count} {levelNoun(metric.level, count)}
+            {metric.unmatched.length > 0 && <span className="text-yellow-800" title={metric.unmatched.slice(0, 20).join('\n')}> • {metric.unmatched.length} rows not matched</span>}
+          </div>
+        )}
+        {metric && metric.level !== 'state' && (
+          <label className="flex items-center gap-2 text-xs">
+            <input type="checkbox" checked={!!metric.isPopulation} onChange={e => setMetric(m => ({ ...m, isPopulation: e.target.checked }))} />
+            Values are population counts (used for the population totals)
+          </label>
+        )}
+        {metric && metric.level !== level && (
+          <div className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 p-2 rounded">
+            These values are for {getLevel(metric.level).plural}.{' '}
+            <button onClick={() => onSwitchLevel(metric.level)} className="text-blue-700 hover:underline">
+              Switch to {getLevel(metric.level).label}
+            </button>
+          </div>
+        )}
+        {metric && (
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            <label className="col-span-2 flex items-center gap-2">
+              <span className="w-16 text-gray-600">Method</span>
+              <select value={shading.method} onChange={update('method')} className="flex-1 border rounded px-1">
+                {CLASSIFICATION_METHODS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="w-16 text-gray-600">Classes</span>
+              <select value={shading.classes} onChange={update('classes')} className="flex-1 border rounded px-1">
+                {CLASS_COUNTS.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-600">Colors</span>
+              <select value={shading.ramp} onChange={update('ramp')} className="flex-1 border rounded px-1">
+                {COLOR_RAMPS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+              </select>
+            </label>
+            <div className="col-span-2 flex h-2 rounded overflow-hidden">
+              {rampColors(shading.ramp, shading.classes).map((c, i) => <span key={i} className="flex-1" style={{ backgroundColor: c }} />)}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ChoroplethPanel
@@ -0,0 +1,33 @@
+import { useState } from 'react'
+import { CROSSWALK_MODES } from '../lib/crosswalk'
+import { LEVELS, getLevel } from '../lib/levels'
+
+// Convert the selection to another level, e.g. counties to the metro areas they fall in.
+// Remount with key={level} so the target resets when the level changes.
+function CrosswalkPanel({ level, count, onConvert }) {
+  const targets = LEVELS.filter(l => l.id !== level)
+  const [target, setTarget] = useState(targets[0].id)
+  const [mode, setMode] = useState(CROSSWALK_MODES[0].id)
+
+  return (
+    <div>
+      <div className="text-sm font-medium mb-2">Convert selection</div>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <select value={target} onChange={e => setTarget(e.target.value)} className="border rounded px-1 py-0.5">
+          {targets.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+        </select>
+        <select value={mode} onChange={e => setMode(e.target.value)} className="border rounded px-1 py-0.5">
+          {CROSSWALK_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+        <button disabled={!count} onClick={() => onConvert(target, mode)} className="border px-2 py-0.5 rounded disabled:opacity-50">
+          Convert
+        </button>
+      </div>
+      <div className="text-xs text-gray-500 mt-1">
+        Replaces the selected {getLevel(level).plural} with {getLevel(target).plural}, matched by county. Groups are kept.
+      </div>
+    </div>
+  )
+}
+
+export default CrosswalkPanel
@@ -0,0 +1,84 @@
+import { useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { DEFAULT_EMBED_SIZE, VIEWER_THEMES, embedSnippet, viewerUrl } from '../lib/embed'
+import { useToast } from './Toasts'
+
+// Options and copyable <iframe> snippet for the read-only viewer of a saved selection
+function EmbedDialog({ entry, backendUrl }) {
+  const toast = useToast()
+  const [open, setOpen] = useState(false)
+  const [options, setOptions] = useState({ fit: true, legend: true, theme: 'light', ...DEFAULT_EMBED_SIZE })
+  // Sizes are typed freely and only clamped in the snippet
+  const size = (value, fallback) => Math.max(100, Math.min(4000, Math.round(Number(value)) || fallback))
+  const snippet = embedSnippet(entry.id, {
+    ...options,
+    width: size(options.width, DEFAULT_EMBED_SIZE.width),
+    height: size(options.height, DEFAULT_EMBED_SIZE.height),
+    name: entry.name,
+    backendUrl
+  })
+
+  const update = (changes) => setOptions(o => ({ ...o, ...changes }))
+
+  async function copySnippet() {
+    try {
+      await navigator.clipboard.writeText(snippet)
+      toast({ title: 'Embed snippet copied', description: `Paste it into a wiki page or dashboard to show "${entry.name}".` })
+      setOpen(false)
+    } catch {
+      toast({ title: 'Could not copy', description: 'Select the snippet and copy it manually.', variant: 'error' })
+    }
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={setOpen}>
+      <Dialog.Trigger asChild>
+        <button className="text-blue-600 hover:underline">Embed</button>
+      </Dialog.Trigger>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content className="fixed z-50 left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[min(32rem,calc(100vw-2rem))] max-h-[90vh] overflow-auto bg-white rounded shadow-lg p-4 space-y-3">
+          <Dialog.Title className="text-lg font-semibold">Embed "{entry.name}"</Dialog.Title>
+          <Dialog.Description className="text-xs text-gray-500">
+            A read-only map of this saved selection. Later changes to it show up wherever it is embedded.
+          </Dialog.Description>
+
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={options.fit} onChange={e => update({ fit: e.target.checked })} />
+              Zoom to selection
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={options.legend} onChange={e => update({ legend: e.target.checked })} />
+              Show legend
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-700">Theme</span>
+              <select value={options.theme} onChange={e => update({ theme: e.target.value })} className="flex-1 border rounded px-2 py-1">
+                {VIEWER_THEMES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-700">Size</span>
+              <input type="number" value={options.width} onChange={e => update({ width: e.target.value })} className="w-20 border rounded px-1 py-1" aria-label="Width" />
+              ×
+              <input type="number" value={options.height} onChange={e => update({ height: e.target.value })} className="w-20 border rounded px-1 py-1" aria-label="Height" />
+            </label>
+          </div>
+
+          <textarea readOnly value={snippet} rows={4} onFocus={e => e.target.select()} className="w-full border rounded px-2 py-1 text-xs font-mono bg-gray-50" />
+
+          <div className="flex justify-end gap-2 pt-2 border-t">
+            <a href={viewerUrl(entry.id, { fit: options.fit, legend: options.legend, theme: options.theme, backendUrl })} target="_blank" rel="noreferrer" className="mr-auto px-3 py-1 text-sm text-blue-600 hover:underline">Open viewer</a>
+            <Dialog.Close asChild>
+              <button className="px-3 py-1 rounded text-sm text-gray-600">Cancel</button>
+            </Dialog.Close>
+            <button onClick={copySnippet} className="bg-blue-600 text-white px-3 py-1 rounded text-sm">Copy embed snippet</button>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+export default EmbedDialog
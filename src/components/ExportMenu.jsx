@@ -0,0 +1,69 @@
+import { useState } from 'react'
+import * as DropdownMenu from '@radix-ui/react-dropdown-menu'
+import { EXPORT_FORMATS, exportSelection } from '../lib/export'
+import { getLevel } from '../lib/levels'
+import MapImageDialog from './MapImageDialog'
+
+// Client-side export of the current selection, as data files or a map image; works without a
+// backend. A shaded map can be exported as an image even with nothing selected.
+function ExportMenu({ name, level, items, groups, metric, choropleth, onError }) {
+  const [busy, setBusy] = useState(false)
+  const [imageOpen, setImageOpen] = useState(false)
+
+  async function handleExport(format) {
+    setBusy(true)
+    try {
+      await exportSelection(format, { name, level, items, groups, metric })
+    } catch (e) {
+      console.error(e)
+      onError?.(`Export failed: ${e.message}`)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <>
+      <DropdownMenu.Root>
+        <DropdownMenu.Trigger asChild>
+          <button disabled={busy || (!items.length && !choropleth)} className="border px-3 py-1 rounded disabled:opacity-50">
+            {busy ? 'Exporting...' : 'Export'}
+          </button>
+        </DropdownMenu.Trigger>
+        <DropdownMenu.Portal>
+          <DropdownMenu.Content align="end" sideOffset={4} className="z-50 min-w-[10rem] max-w-xs bg-white border rounded shadow p-1 text-sm">
+            {getLevel(level).note && <DropdownMenu.Label className="px-2 py-1 text-xs text-gray-500">{getLevel(level).note}</DropdownMenu.Label>}
+            {EXPORT_FORMATS.map(f => (
+              <DropdownMenu.Item
+                key={f.id}
+                disabled={!items.length}
+                onSelect={() => handleExport(f.id)}
+                className="px-2 py-1 rounded cursor-pointer outline-none data-[highlighted]:bg-blue-50 data-[disabled]:opacity-50 data-[disabled]:cursor-default"
+              >
+                {f.label}
+              </DropdownMenu.Item>
+            ))}
+            <DropdownMenu.Separator className="my-1 h-px bg-gray-200" />
+            <DropdownMenu.Item
+              onSelect={() => setImageOpen(true)}
+              className="px-2 py-1 rounded cursor-pointer outline-none data-[highlighted]:bg-blue-50"
+            >
+              Map image (PNG, SVG, PDF)…
+            </DropdownMenu.Item>
+          </DropdownMenu.Content>
+        </DropdownMenu.Portal>
+      </DropdownMenu.Root>
+      <MapImageDialog
+        open={imageOpen}
+        onOpenChange={setImageOpen}
+        name={name}
+        level={level}
+        groups={groups}
+        choropleth={choropleth}
+        onError={onError}
+      />
+    </>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,26 @@
+import { levelNoun } from '../lib/levels'
+import { regionStyle } from '../lib/regionStyle'
+
+// Selection legend: one swatch per group that has regions, with its name and count
+function GroupLegend({ groups, level, dark = false }) {
+  const shown = groups.filter(g => g.items.length)
+  if (!shown.length) return null
+  return (
+    <div className={`absolute bottom-6 left-2 z-20 border rounded shadow px-3 py-2 text-xs max-h-[50%] overflow-auto ${dark ? 'bg-slate-800/95 border-slate-600 text-slate-100' : 'bg-white/95'}`}>
+      <ul className="space-y-0.5">
+        {shown.map(g => {
+          const style = regionStyle(g)
+          return (
+            <li key={g.id} className="flex items-center gap-2">
+              <span className="inline-block w-4 h-3 border" style={{ backgroundColor: style.fillColor, borderColor: style.strokeColor }} />
+              <span>{g.name}</span>
+              <span className={dark ? 'text-slate-400' : 'text-gray-500'}>{g.items.length} {levelNoun(level, g.items.length)}</span>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default GroupLegend
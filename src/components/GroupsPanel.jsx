@@ -0,0 +1,96 @@
+import { useState } from 'react'
+import { newGroup } from '../lib/groups'
+
+function GroupRow({ group, active, canDelete, onActivate, onChange, onDelete }) {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState(group.name)
+
+  function commitRename() {
+    setEditing(false)
+    const next = draft.trim()
+    if (next && next !== group.name) onChange({ name: next })
+    else setDraft(group.name)
+  }
+
+  return (
+    <div className={`flex items-center gap-2 border rounded px-2 py-1 text-sm ${active ? 'border-blue-500 bg-blue-50' : ''}`}>
+      <input type="radio" name="active-group" checked={active} onChange={onActivate} title="Clicks on the map assign regions to this group" aria-label={`Add regions to ${group.name}`} />
+      <input
+        type="color"
+        value={group.color}
+        onChange={e => onChange({ color: e.target.value })}
+        className="w-5 h-5 p-0 border-0 bg-transparent cursor-pointer"
+        title="Group color"
+        aria-label={`Color of ${group.name}`}
+      />
+      {editing ? (
+        <input
+          autoFocus
+          value={draft}
+          aria-label="Group name"
+          onChange={e => setDraft(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={e => {
+            if (e.key === 'Enter') commitRename()
+            if (e.key === 'Escape') { setDraft(group.name); setEditing(false) }
+          }}
+          className="flex-1 min-w-0 border rounded px-1 text-sm"
+        />
+      ) : (
+        <button className="flex-1 min-w-0 truncate text-left" onClick={onActivate} onDoubleClick={() => { setDraft(group.name); setEditing(true) }} title="Double-click to rename">
+          {group.name}
+        </button>
+      )}
+      <span className="text-xs text-gray-500">{group.items.length}</span>
+      {canDelete && (
+        <button className="text-xs text-red-600 hover:underline" onClick={onDelete} title="Delete group and unselect its regions" aria-label={`Delete ${group.name}`}>×</button>
+      )}
+    </div>
+  )
+}
+
+// Named groups within the selection; the active group receives regions clicked on the map
+function GroupsPanel({ groups, setGroups, activeGroupId, setActiveGroupId, onDeleted }) {
+  function addGroup() {
+    const group = newGroup(groups)
+    setGroups([...groups, group])
+    setActiveGroupId(group.id)
+  }
+
+  // Dragging the color picker fires many changes; they undo as one step
+  function changeGroup(id, changes) {
+    setGroups(groups.map(g => (g.id === id ? { ...g, ...changes } : g)), { coalesce: 'color' in changes ? `color:${id}` : undefined })
+  }
+
+  // Undoable, so no confirmation; the caller offers Undo
+  function deleteGroup(group) {
+    const rest = groups.filter(g => g.id !== group.id)
+    setGroups(rest)
+    if (group.id === activeGroupId) setActiveGroupId(rest[0].id)
+    onDeleted?.(group)
+  }
+
+  return (
+    <div>
+      <div className="flex items-center text-sm font-medium mb-2">
+        <span>Groups</span>
+        <button onClick={addGroup} className="ml-auto text-xs font-normal text-blue-600 hover:underline">+ Add group</button>
+      </div>
+      <div className="space-y-1">
+        {groups.map(g => (
+          <GroupRow
+            key={g.id}
+            group={g}
+            active={g.id === activeGroupId}
+            canDelete={groups.length > 1}
+            onActivate={() => setActiveGroupId(g.id)}
+            onChange={changes => changeGroup(g.id, changes)}
+            onDelete={() => deleteGroup(g)}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default GroupsPanel
@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { loadZips, zipsLoaded } from '../lib/gazetteer'
+import { parseImport } from '../lib/importer'
+import { getLevel, levelNoun } from '../lib/levels'
+
+// How many unmatched/skipped rows to list before summarizing the rest
+const MAX_LISTED = 50
+
+// Text holding something shaped like a ZIP code
+const ZIP_LIKE = /\b\d{5}(-\d{4})?\b/
+
+function IssueList({ title, items }) {
+  if (!items.length) return null
+  return (
+    <div>
+      <div className="text-xs font-medium text-gray-700 mb-1">{title} ({items.length})</div>
+      <ul className="max-h-32 overflow-auto text-xs text-gray-600 bg-gray-50 border rounded p-2 space-y-0.5">
+        {items.slice(0, MAX_LISTED).map((item, i) => <li key={i} className="font-mono break-all">{item}</li>)}
+        {items.length > MAX_LISTED && <li>…and {items.length - MAX_LISTED} more</li>}
+      </ul>
+    </div>
+  )
+}
+
+// Import a territory list from a CSV/GeoJSON file or pasted codes, resolve it against the
+// gazetteer and hand the codes back with the level they belong to. `level` is the level being
+// edited; a label naming both a county and a metro area is read as that level.
+function ImportDialog({ level, onImport }) {
+  const [open, setOpen] = useState(false)
+  const [text, setText] = useState('')
+  const [filename, setFilename] = useState('')
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+
+  function reset() {
+    setText('')
+    setFilename('')
+    setResult(null)
+    setError('')
+  }
+
+  async function analyze(content, name = '') {
+    setError('')
+    try {
+      let parsed = parseImport(content, { filename: name, level })
+      // ZIP codes only resolve once their list is loaded; load it when unmatched entries could be ZIPs
+      if (!zipsLoaded() && parsed.unmatched.length && ZIP_LIKE.test(content)) {
+        await loadZips()
+        parsed = parseImport(content, { filename: name, level })
+      }
+      setResult(parsed)
+    } catch (e) {
+      setResult(null)
+      setError(e.message)
+    }
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0]
+    if (!file) return
+    const content = await file.text()
+    setFilename(file.name)
+    setText(content)
+    analyze(content, file.name)
+  }
+
+  function apply(mode) {
+    onImport({ level: result.level, codes: result.codes, mode })
+    setOpen(false)
+    reset()
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={o => { setOpen(o); if (!o) reset() }}>
+      <Dialog.Trigger asChild>
+        <button className="border px-3 py-1 rounded">Import</button>
+      </Dialog.Trigger>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content className="fixed z-50 left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[min(36rem,calc(100vw-2rem))] max-h-[90vh] overflow-auto bg-white rounded shadow-lg p-4 space-y-3">
+          <Dialog.Title className="text-lg font-semibold">Import selection</Dialog.Title>
+          <Dialog.Description className="text-xs text-gray-500">
+            Upload a CSV or GeoJSON file, or paste postal codes, FIPS codes or "County, ST" labels (one per line).
+          </Dialog.Description>
+
+          <input type="file" accept=".csv,.tsv,.txt,.json,.geojson" onChange={handleFile} className="text-sm" />
+          <textarea
+            value={text}
+            onChange={e => { setText(e.target.value); setFilename(''); setResult(null) }}
+            rows={6}
+            className="w-full border rounded px-2 py-1 text-sm font-mono"
+            placeholder={'CA\nTX\n06037\nCook County, IL'}
+          />
+          <div className="flex justify-end">
+            <button onClick={() => analyze(text, filename)} disabled={!text.trim()} className="border px-3 py-1 rounded text-sm disabled:opacity-50">Check</button>
+          </div>
+
+          {error && <div className="text-xs text-red-700 bg-red-50 border border-red-200 p-2 rounded">{error}</div>}
+
+          {result && (
+            <div className="space-y-2">
+              <div className="text-sm">
+                Matched <span className="font-medium">{result.codes.length}</span> {levelNoun(result.level, result.codes.length)} from {result.total} entries.
+              </div>
+              <IssueList title="Not matched" items={result.unmatched} />
+              <IssueList title={`Skipped (not ${getLevel(result.level).plural})`} items={result.skipped} />
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2 pt-2 border-t">
+            <Dialog.Close asChild>
+              <button className="px-3 py-1 rounded text-sm text-gray-600">Cancel</button>
+            </Dialog.Close>
+            <button onClick={() => apply('add')} disabled={!result?.codes.length} className="border px-3 py-1 rounded text-sm disabled:opacity-50">Add to selection</button>
+            <button onClick={() => apply('replace')} disabled={!result?.codes.length} className="bg-blue-600 text-white px-3 py-1 rounded text-sm disabled:opacity-50">Replace selection</button>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+export default ImportDialog
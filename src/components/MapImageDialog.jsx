@@ -0,0 +1,111 @@
+import { useEffect, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { ASPECT_RATIOS, IMAGE_FORMATS, IMAGE_SIZES, exportMapImage, renderMapSvg } from '../lib/mapImage'
+
+function Field({ label, children }) {
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      <span className="w-28 text-gray-700">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+// Options and preview for the static map image export (SVG, PNG or PDF)
+function MapImageDialog({ open, onOpenChange, name, level, groups, choropleth, onError }) {
+  const [format, setFormat] = useState('png')
+  const [aspect, setAspect] = useState(ASPECT_RATIOS[0].id)
+  const [size, setSize] = useState(IMAGE_SIZES[1].id)
+  const [extent, setExtent] = useState('selection')
+  const [preview, setPreview] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const hasSelection = groups.some(g => g.items.length)
+
+  // Re-render the preview whenever the options or the map change while the dialog is open
+  useEffect(() => {
+    if (!open) return
+    let url = null
+    let cancelled = false
+    renderMapSvg({ name, level, groups, choropleth, aspect, extent })
+      .then(({ svg }) => {
+        if (cancelled) return
+        url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+        setPreview(url)
+      })
+      .catch(e => {
+        console.error(e)
+        if (!cancelled) setPreview(null)
+      })
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [open, name, level, groups, choropleth, aspect, extent])
+
+  async function handleExport() {
+    setBusy(true)
+    try {
+      await exportMapImage(format, { name, level, groups, choropleth, aspect, extent, size })
+      onOpenChange(false)
+    } catch (e) {
+      console.error(e)
+      onError?.(`Map export failed: ${e.message}`)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content className="fixed z-50 left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[min(40rem,calc(100vw-2rem))] max-h-[90vh] overflow-auto bg-white rounded shadow-lg p-4 space-y-3">
+          <Dialog.Title className="text-lg font-semibold">Export map image</Dialog.Title>
+          <Dialog.Description className="text-xs text-gray-500">
+            Drawn from the bundled boundaries with the current colors and legend, titled with the selection name.
+          </Dialog.Description>
+
+          <div className="border rounded bg-gray-50 flex items-center justify-center min-h-[12rem]">
+            {preview ? <img src={preview} alt="Map preview" className="max-w-full max-h-80" /> : <span className="text-xs text-gray-500">Rendering preview…</span>}
+          </div>
+
+          <div className="space-y-2">
+            <Field label="Format">
+              <select value={format} onChange={e => setFormat(e.target.value)} className="flex-1 border rounded px-2 py-1">
+                {IMAGE_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+              </select>
+            </Field>
+            <Field label="Aspect ratio">
+              <select value={aspect} onChange={e => setAspect(e.target.value)} className="flex-1 border rounded px-2 py-1">
+                {ASPECT_RATIOS.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+              </select>
+            </Field>
+            <Field label="Resolution">
+              <select value={size} onChange={e => setSize(Number(e.target.value))} disabled={format === 'svg'} className="flex-1 border rounded px-2 py-1 disabled:opacity-50">
+                {IMAGE_SIZES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+              </select>
+            </Field>
+            <Field label="Extent">
+              <select value={hasSelection ? extent : 'all'} onChange={e => setExtent(e.target.value)} disabled={!hasSelection} className="flex-1 border rounded px-2 py-1 disabled:opacity-50">
+                <option value="selection">Zoom to selection</option>
+                <option value="all">Whole country</option>
+              </select>
+            </Field>
+            {format === 'svg' && <div className="text-xs text-gray-500">SVG is vector and scales to any size.</div>}
+          </div>
+
+          <div className="flex justify-end gap-2 pt-2 border-t">
+            <Dialog.Close asChild>
+              <button className="px-3 py-1 rounded text-sm text-gray-600">Cancel</button>
+            </Dialog.Close>
+            <button onClick={handleExport} disabled={busy} className="bg-blue-600 text-white px-3 py-1 rounded text-sm disabled:opacity-50">
+              {busy ? 'Exporting...' : 'Download'}
+            </button>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+export default MapImageDialog
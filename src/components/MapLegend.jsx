@@ -0,0 +1,25 @@
+import { formatValue } from '../lib/metrics'
+import { NO_DATA_COLOR } from '../lib/regionStyle'
+
+// Choropleth legend: one swatch per class with its value range, plus "No data"
+function MapLegend({ title, breaks, colors }) {
+  return (
+    <div className="absolute bottom-6 left-2 z-20 bg-white/95 border rounded shadow px-3 py-2 text-xs">
+      <div className="font-medium mb-1">{title}</div>
+      <ul className="space-y-0.5">
+        {colors.map((color, i) => (
+          <li key={i} className="flex items-center gap-2">
+            <span className="inline-block w-4 h-3 border border-gray-300" style={{ backgroundColor: color }} />
+            <span>{formatValue(breaks[i])} – {formatValue(breaks[i + 1])}</span>
+          </li>
+        ))}
+        <li className="flex items-center gap-2 text-gray-500">
+          <span className="inline-block w-4 h-3 border border-gray-300" style={{ backgroundColor: NO_DATA_COLOR }} />
+          <span>No data</span>
+        </li>
+      </ul>
+    </div>
+  )
+}
+
+export default MapLegend
@@ -0,0 +1,42 @@
+import { DRAW_TOOLS, MATCH_MODES } from '../lib/areaSelect'
+
+// Toolbar over the map: click-to-toggle or a drawing tool, plus how drawn shapes match regions
+function MapTools({ tool, setTool, options, setOptions }) {
+  const update = (key, parse = v => v) => e => setOptions(o => ({ ...o, [key]: parse(e.target.value) }))
+
+  return (
+    <div className="absolute top-2 left-1/2 -translate-x-1/2 z-20 bg-white/95 border rounded shadow px-2 py-1 flex flex-wrap items-center gap-2 text-xs">
+      <div className="flex rounded border overflow-hidden">
+        {DRAW_TOOLS.map(t => (
+          <button
+            key={t.id}
+            title={t.title}
+            onClick={() => setTool(t.id)}
+            className={`px-2 py-0.5 ${tool === t.id ? 'bg-blue-600 text-white' : 'hover:bg-gray-50'}`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      {tool === 'radius' && (
+        <label className="flex items-center gap-1">
+          <input type="number" min="1" value={options.radius} onChange={update('radius', Number)} className="w-16 border rounded px-1" />
+          <select value={options.unit} onChange={update('unit')} className="border rounded px-1">
+            <option value="mi">mi</option>
+            <option value="km">km</option>
+          </select>
+        </label>
+      )}
+      {tool !== 'click' && (
+        <>
+          <select value={options.match} onChange={update('match')} className="border rounded px-1" title="Which regions a shape selects">
+            {MATCH_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+          </select>
+          <span className="text-gray-500">Hold Alt to remove</span>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MapTools
@@ -0,0 +1,65 @@
+import { useId, useMemo, useState } from 'react'
+import { getLevel } from '../lib/levels'
+import { fuzzyFilter } from '../lib/search'
+
+const MAX_MATCHES = 8
+
+// Search box over the map, opened with "/" while the map has focus. Up/Down pick a match,
+// Enter moves the map's keyboard cursor there and Escape closes without moving.
+// `onClose(returnFocus)`: true after Escape, false when focus simply moved elsewhere.
+function RegionJump({ level, options, onJump, onClose }) {
+  const [query, setQuery] = useState('')
+  const [index, setIndex] = useState(0)
+  const listId = useId()
+  const matches = useMemo(() => (query.trim() ? fuzzyFilter(query, options, MAX_MATCHES) : []), [query, options])
+  const optionId = i => `${listId}-${i}`
+
+  function onKeyDown(e) {
+    if (e.key === 'ArrowDown') setIndex(i => Math.min(i + 1, matches.length - 1))
+    else if (e.key === 'ArrowUp') setIndex(i => Math.max(i - 1, 0))
+    else if (e.key === 'Enter' && matches[index]) onJump(matches[index].code)
+    else if (e.key === 'Escape') onClose(true)
+    else return
+    e.preventDefault()
+  }
+
+  return (
+    <div className="absolute top-12 left-1/2 -translate-x-1/2 z-30 w-80 max-w-[90%] bg-white border rounded shadow">
+      <input
+        autoFocus
+        type="text"
+        role="combobox"
+        aria-label={`Jump to a ${getLevel(level).singular}`}
+        aria-autocomplete="list"
+        aria-expanded={matches.length > 0}
+        aria-controls={listId}
+        aria-activedescendant={matches[index] ? optionId(index) : undefined}
+        value={query}
+        onChange={e => { setQuery(e.target.value); setIndex(0) }}
+        onKeyDown={onKeyDown}
+        onBlur={() => onClose(false)}
+        placeholder={getLevel(level).placeholder}
+        className="w-full px-2 py-1 text-sm rounded"
+      />
+      <ul id={listId} role="listbox" className="max-h-64 overflow-auto">
+        {matches.map((opt, i) => (
+          <li
+            key={opt.code}
+            id={optionId(i)}
+            role="option"
+            aria-selected={i === index}
+            onMouseDown={e => e.preventDefault()}
+            onClick={() => onJump(opt.code)}
+            className={`px-2 py-1 text-sm flex gap-2 cursor-pointer ${i === index ? 'bg-blue-50' : ''}`}
+          >
+            <span>{opt.name}</span>
+            <span className="ml-auto text-xs text-gray-400">{opt.code}</span>
+          </li>
+        ))}
+      </ul>
+      {query.trim() && !matches.length && <div className="px-2 py-1 text-xs text-gray-500">No matches</div>}
+    </div>
+  )
+}
+
+export default RegionJump
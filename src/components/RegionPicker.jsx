@@ -0,0 +1,174 @@
+import { useMemo, useState } from 'react'
+import { STATES } from '../lib/gazetteer'
+import { getLevel } from '../lib/levels'
+import { REGION_PRESETS, presetCodes } from '../lib/regions'
+import { fuzzyFilter } from '../lib/search'
+
+// Cap on rendered search hits so typing stays responsive with ~3,200 counties
+const MAX_RESULTS = 200
+
+function OptionRow({ opt, checked, onToggle }) {
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      <input type="checkbox" checked={checked} onChange={() => onToggle(opt.code)} aria-label={`${opt.name} (${opt.code})`} />
+      <span>{opt.name}</span>
+      <span aria-hidden="true" className="ml-auto text-gray-400 text-xs">{opt.code}</span>
+    </label>
+  )
+}
+
+// Searchable picker for the sidebar. Counties are grouped under their state with bulk
+// actions, other levels are a flat list; Census region/division presets toggle many codes at
+// once.
+function RegionPicker({ level, options, selectedItems, toggleItem, setSelectedItems }) {
+  const [query, setQuery] = useState('')
+  const [expanded, setExpanded] = useState({})
+
+  const selectedSet = useMemo(() => new Set(selectedItems), [selectedItems])
+  const results = useMemo(() => fuzzyFilter(query, options, MAX_RESULTS + 1), [query, options])
+  const truncated = results.length > MAX_RESULTS
+  const visible = useMemo(() => results.slice(0, MAX_RESULTS), [results])
+  const searching = query.trim().length > 0
+
+  // County options grouped by parent state, in gazetteer state order
+  const groups = useMemo(() => {
+    if (level !== 'county') return []
+    const source = searching ? visible : options
+    const byState = new Map()
+    source.forEach(opt => {
+      if (!byState.has(opt.state)) byState.set(opt.state, [])
+      byState.get(opt.state).push(opt)
+    })
+    return STATES.filter(s => byState.has(s.code)).map(s => ({ state: s, items: byState.get(s.code) }))
+  }, [level, searching, visible, options])
+
+  const countiesByState = useMemo(() => {
+    const map = new Map()
+    if (level === 'county') options.forEach(opt => {
+      if (!map.has(opt.state)) map.set(opt.state, [])
+      map.get(opt.state).push(opt.code)
+    })
+    return map
+  }, [level, options])
+
+  function selectAll(codes) {
+    setSelectedItems(prev => {
+      const have = new Set(prev)
+      return [...prev, ...codes.filter(c => !have.has(c))]
+    })
+  }
+
+  function invert(codes) {
+    setSelectedItems(prev => {
+      const have = new Set(prev)
+      const scope = new Set(codes)
+      return [...prev.filter(c => !scope.has(c)), ...codes.filter(c => !have.has(c))]
+    })
+  }
+
+  // Each preset's codes at this level; `options` changes once ZIP codes have loaded
+  const codesByPreset = useMemo(() => new Map(REGION_PRESETS.map(p => [p.id, presetCodes(p, level)])), [level, options])
+
+  // A preset selects all of its codes, or clears them when all are already selected
+  function togglePreset(preset) {
+    const codes = codesByPreset.get(preset.id)
+    if (codes.every(c => selectedSet.has(c))) {
+      const scope = new Set(codes)
+      setSelectedItems(prev => prev.filter(c => !scope.has(c)))
+    } else {
+      selectAll(codes)
+    }
+  }
+
+  function presetState(preset) {
+    const codes = codesByPreset.get(preset.id)
+    const count = codes.filter(c => selectedSet.has(c)).length
+    return count === 0 ? 'none' : count === codes.length ? 'all' : 'some'
+  }
+
+  return (
+    <div>
+      <input
+        type="search"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        className="w-full border rounded px-2 py-1 text-sm mb-2"
+        placeholder={getLevel(level).placeholder}
+        aria-label={`Search ${getLevel(level).plural}`}
+      />
+
+      {!searching && (
+        <div className="mb-2">
+          <div className="text-xs text-gray-500 mb-1">Census regions and divisions</div>
+          <div className="flex flex-wrap gap-1">
+            {REGION_PRESETS.map(preset => {
+              const state = presetState(preset)
+              return (
+                <button
+                  key={preset.id}
+                  onClick={() => togglePreset(preset)}
+                  title={preset.states.join(', ')}
+                  aria-pressed={state === 'all' ? true : state === 'some' ? 'mixed' : false}
+                  className={`px-2 py-0.5 rounded border text-xs ${preset.kind === 'region' ? 'font-medium' : ''} ${state === 'all' ? 'bg-blue-600 text-white border-blue-600' : state === 'some' ? 'bg-blue-50 text-blue-700 border-blue-300' : 'text-gray-700'}`}
+                >
+                  {preset.name}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center gap-3 text-xs text-gray-600 mb-1">
+        <span>{searching ? `${truncated ? `${MAX_RESULTS}+` : visible.length} matches` : `${options.length} ${level === 'state' ? 'states and territories' : getLevel(level).plural}`}</span>
+        <button className="ml-auto hover:underline" onClick={() => selectAll((searching ? visible : options).map(o => o.code))}>Select {searching ? 'matches' : 'all'}</button>
+        <button className="hover:underline" onClick={() => invert((searching ? visible : options).map(o => o.code))}>Invert</button>
+      </div>
+
+      <div className="max-h-80 overflow-auto space-y-1 pr-1">
+        {level !== 'county' && visible.map(opt => (
+          <OptionRow key={opt.code} opt={opt} checked={selectedSet.has(opt.code)} onToggle={toggleItem} />
+        ))}
+
+        {level === 'county' && groups.map(({ state, items }) => {
+          const all = countiesByState.get(state.code) || []
+          const count = all.filter(c => selectedSet.has(c)).length
+          const open = searching || !!expanded[state.code]
+          return (
+            <div key={state.code} className="border-b last:border-b-0 pb-1">
+              <div className="flex items-center gap-2 text-sm">
+                <button
+                  className="flex-1 text-left font-medium"
+                  onClick={() => setExpanded(prev => ({ ...prev, [state.code]: !prev[state.code] }))}
+                  aria-expanded={open}
+                  disabled={searching}
+                >
+                  <span aria-hidden="true">{open ? '▾' : '▸'}</span> {state.name}
+                </button>
+                <span className="text-xs text-gray-400">{count}/{all.length}<span className="sr-only"> selected</span></span>
+                <button className="text-xs text-blue-600 hover:underline" onClick={() => selectAll(all)} title={`Select all counties in ${state.name}`}>All</button>
+                <button className="text-xs text-blue-600 hover:underline" onClick={() => invert(all)} title={`Invert counties in ${state.name}`}>Invert</button>
+              </div>
+              {open && (
+                <div className="pl-4 space-y-1 mt-1">
+                  {items.map(opt => (
+                    <OptionRow key={opt.code} opt={opt} checked={selectedSet.has(opt.code)} onToggle={toggleItem} />
+                  ))}
+                </div>
+              )}
+            </div>
+          )
+        })}
+
+        {searching && !visible.length && (
+          <div className="text-xs text-gray-500">No matches</div>
+        )}
+        {truncated && (
+          <div className="text-xs text-gray-500">Showing the first {MAX_RESULTS} matches. Refine the search to see more.</div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RegionPicker
@@ -0,0 +1,110 @@
+import { useState } from 'react'
+import EmbedDialog from './EmbedDialog'
+
+const STATUS_LABELS = {
+  synced: { text: 'Synced', className: 'text-green-700 bg-green-50' },
+  pending: { text: 'Pending sync', className: 'text-yellow-800 bg-yellow-50' },
+  conflict: { text: 'Conflict', className: 'text-red-700 bg-red-50' },
+  error: { text: 'Sync error', className: 'text-red-700 bg-red-50' }
+}
+
+function SyncBadge({ entry, backendUrl }) {
+  const status = backendUrl ? STATUS_LABELS[entry.syncStatus] : { text: 'Local only', className: 'text-gray-600 bg-gray-100' }
+  if (!status) return null
+  return (
+    <span className={`ml-auto px-1.5 rounded text-[10px] ${status.className}`} title={entry.syncError || ''}>{status.text}</span>
+  )
+}
+
+function ConflictNotice({ entry, onResolve }) {
+  const server = entry.server
+  return (
+    <div className="mt-2 text-xs bg-red-50 border border-red-200 rounded p-2 space-y-1">
+      <div className="text-red-800">
+        {server
+          ? `Changed on the server since your last sync (now "${server.name}", ${server.items?.length || 0} items).`
+          : 'Deleted on the server since your last sync.'}
+      </div>
+      <div className="flex gap-2">
+        <button className="text-blue-700 hover:underline" onClick={() => onResolve(entry, 'local')}>
+          {entry.conflictOp === 'delete' ? 'Delete anyway' : 'Keep mine'}
+        </button>
+        <button className="text-blue-700 hover:underline" onClick={() => onResolve(entry, 'server')}>
+          {server ? 'Use server copy' : 'Discard mine'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function SavedSelectionItem({ entry, active, backendUrl, onOpen, onRename, onDuplicate, onDelete, onResolve, onExportCsv }) {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState(entry.name)
+
+  function commitRename() {
+    setEditing(false)
+    const next = draft.trim()
+    if (next && next !== entry.name) onRename(entry, next)
+    else setDraft(entry.name)
+  }
+
+  return (
+    <div className={`border rounded p-2 ${active ? 'border-blue-500 bg-blue-50' : ''}`}>
+      {editing ? (
+        <input
+          autoFocus
+          value={draft}
+          onChange={e => setDraft(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={e => {
+            if (e.key === 'Enter') commitRename()
+            if (e.key === 'Escape') { setDraft(entry.name); setEditing(false) }
+          }}
+          className="w-full border rounded px-1 text-sm"
+        />
+      ) : (
+        <div className="text-sm font-medium">{entry.name}{active && <span className="ml-1 text-xs text-blue-600">(open)</span>}</div>
+      )}
+      <div className="flex items-center text-xs text-gray-500">
+        <span>{entry.level} • {entry.items?.length || 0} items</span>
+        <SyncBadge entry={entry} backendUrl={backendUrl} />
+      </div>
+      <div className="flex flex-wrap gap-2 mt-2 text-xs">
+        <button className="text-blue-600 hover:underline" onClick={() => onOpen(entry)}>Open</button>
+        <button className="text-blue-600 hover:underline" onClick={() => { setDraft(entry.name); setEditing(true) }}>Rename</button>
+        <button className="text-blue-600 hover:underline" onClick={() => onDuplicate(entry)}>Duplicate</button>
+        <button className="text-red-600 hover:underline" onClick={() => onDelete(entry)}>Delete</button>
+        {backendUrl && entry.id != null && (
+          <button className="text-blue-600 hover:underline" onClick={() => onExportCsv(entry)}>Export CSV</button>
+        )}
+        {/* The viewer loads from the backend, so only selections that reached it can be embedded */}
+        {backendUrl && entry.id != null && <EmbedDialog entry={entry} backendUrl={backendUrl} />}
+      </div>
+      {entry.syncStatus === 'conflict' && <ConflictNotice entry={entry} onResolve={onResolve} />}
+    </div>
+  )
+}
+
+// Sidebar list of saved selections (stored locally, synced to the backend when configured)
+function SavedSelections({ saved, currentId, backendUrl, onOpen, onRename, onDuplicate, onDelete, onResolve, onExportCsv }) {
+  return (
+    <div className="space-y-2">
+      {saved.map(s => (
+        <SavedSelectionItem
+          key={s.localId}
+          entry={s}
+          active={s.localId === currentId}
+          backendUrl={backendUrl}
+          onOpen={onOpen}
+          onRename={onRename}
+          onDuplicate={onDuplicate}
+          onDelete={onDelete}
+          onResolve={onResolve}
+          onExportCsv={onExportCsv}
+        />
+      ))}
+    </div>
+  )
+}
+
+export default SavedSelections
@@ -0,0 +1,81 @@
+import { useMemo, useState } from 'react'
+import { getLevel } from '../lib/levels'
+import { formatValue } from '../lib/metrics'
+import { formatArea, selectionStats } from '../lib/stats'
+
+// States shown in the breakdown before "Show all"
+const COLLAPSED_STATES = 5
+
+function Figure({ label, value, note }) {
+  return (
+    <div className="border rounded px-2 py-1">
+      <div className="text-[10px] uppercase tracking-wide text-gray-500">{label}</div>
+      <div className="text-sm font-medium" title={note}>{value}</div>
+    </div>
+  )
+}
+
+// Live summary of the selection: count, land area, population and, for counties, per state
+function SelectionStats({ level, items, metric }) {
+  const [showAll, setShowAll] = useState(false)
+  const stats = useMemo(() => selectionStats(level, items, { metric }), [level, items, metric])
+  const { singular, plural } = getLevel(level)
+  const noun = plural[0].toUpperCase() + plural.slice(1)
+  // Metro areas total the populations of their counties
+  const populationSource = level === 'cbsa' ? 'county' : singular
+
+  const populationText = stats.population === null
+    ? '—'
+    : `${formatValue(stats.population)}${stats.populationKnown < stats.count ? '*' : ''}`
+  const states = showAll ? stats.byState : stats.byState.slice(0, COLLAPSED_STATES)
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-3 gap-2">
+        <Figure label={noun} value={stats.count.toLocaleString()} />
+        {stats.landAreaKm2 === null
+          ? <Figure label="Land area" value="—" note="No ZIP code boundaries" />
+          : <Figure label="Land area" value={formatArea(stats.landAreaKm2)} note={`${Math.round(stats.landAreaKm2).toLocaleString()} km²`} />}
+        <Figure label="Population" value={populationText} note={level === 'state' ? '2020 Census' : metric?.name} />
+      </div>
+      {level !== 'state' && stats.count > 0 && stats.population === null && (
+        <div className="text-xs text-gray-500">{singular[0].toUpperCase() + singular.slice(1)} populations are not bundled. Load {populationSource} populations under Shading and mark them as population counts to total them.</div>
+      )}
+      {stats.population !== null && stats.populationKnown < stats.count && (
+        <div className="text-xs text-gray-500">* {stats.count - stats.populationKnown} without population data</div>
+      )}
+      {stats.metricTotal && !metric.isPopulation && (
+        <div className="text-xs text-gray-600">{stats.metricTotal.name} total: {formatValue(stats.metricTotal.total)} ({stats.metricTotal.count} with values)</div>
+      )}
+      {stats.byState.length > 0 && (
+        <table className="w-full text-xs">
+          <thead className="text-gray-500">
+            <tr>
+              <th className="text-left font-normal">State</th>
+              <th className="text-right font-normal">Counties</th>
+              <th className="text-right font-normal">Land area</th>
+              {stats.population !== null && <th className="text-right font-normal">Population</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {states.map(s => (
+              <tr key={s.state} className="border-t">
+                <td>{s.name}</td>
+                <td className="text-right">{s.count}</td>
+                <td className="text-right">{formatArea(s.landAreaKm2)}</td>
+                {stats.population !== null && <td className="text-right">{s.population === null ? '—' : formatValue(s.population)}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {stats.byState.length > COLLAPSED_STATES && (
+        <button onClick={() => setShowAll(v => !v)} className="text-xs text-blue-600 hover:underline">
+          {showAll ? 'Show fewer' : `Show all ${stats.byState.length} states`}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default SelectionStats
@@ -0,0 +1,53 @@
+import { useMemo } from 'react'
+import { labelFor } from '../lib/gazetteer'
+import { getLevel, levelNoun } from '../lib/levels'
+import { formatValue } from '../lib/metrics'
+
+// The selection as a table, an alternative to the map: one row per region with its code, group
+// and (when loaded for this level) metric value, sorted by name
+function SelectionTable({ level, groups, metric, onRemove }) {
+  const rows = useMemo(() => groups
+    .flatMap(group => group.items.map(code => ({ code, group, name: labelFor(code, level) || code })))
+    .sort((a, b) => a.name.localeCompare(b.name)), [groups, level])
+  const values = metric?.level === level ? metric.values : null
+  const { codeName } = getLevel(level)
+
+  if (!rows.length) return <p className="text-sm text-gray-500">Nothing selected yet.</p>
+
+  return (
+    <table className="w-full text-sm border-collapse">
+      <caption className="text-left font-medium mb-2">
+        {rows.length} selected {levelNoun(level, rows.length)}{groups.length > 1 ? ` in ${groups.length} groups` : ''}
+      </caption>
+      <thead>
+        <tr className="border-b text-left text-xs text-gray-600">
+          <th scope="col" className="py-1 pr-2 font-medium">Name</th>
+          <th scope="col" className="py-1 pr-2 font-medium">{codeName[0].toUpperCase() + codeName.slice(1)}</th>
+          <th scope="col" className="py-1 pr-2 font-medium">Group</th>
+          {values && <th scope="col" className="py-1 pr-2 font-medium text-right">{metric.name}</th>}
+          <th scope="col" className="py-1"><span className="sr-only">Actions</span></th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(({ code, group, name }) => (
+          <tr key={code} className="border-b last:border-b-0">
+            <th scope="row" className="py-1 pr-2 text-left font-normal">{name}</th>
+            <td className="py-1 pr-2 tabular-nums">{code}</td>
+            <td className="py-1 pr-2">
+              <span className="inline-flex items-center gap-1">
+                <span aria-hidden="true" className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: group.color }} />
+                {group.name}
+              </span>
+            </td>
+            {values && <td className="py-1 pr-2 text-right tabular-nums">{formatValue(values[code])}</td>}
+            <td className="py-1 text-right">
+              <button onClick={() => onRemove(code)} aria-label={`Remove ${name}`} className="text-xs text-gray-600 hover:underline">Remove</button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+export default SelectionTable
@@ -0,0 +1,57 @@
+import { createContext, useCallback, useContext, useState } from 'react'
+import * as Toast from '@radix-ui/react-toast'
+
+const ToastContext = createContext(() => {})
+
+const VARIANT_CLASSES = {
+  info: 'border-gray-200',
+  error: 'border-red-300 bg-red-50'
+}
+
+let nextToastId = 1
+
+// App-wide toasts. `useToast()` returns `toast({ title, description, variant, action })`, where
+// `action` is an optional { label, onClick } button (e.g. Undo).
+export function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([])
+
+  const toast = useCallback(({ title, description, variant = 'info', action, duration = 5000 }) => {
+    const id = nextToastId++
+    setToasts(list => [...list, { id, title, description, variant, action, duration }])
+    return id
+  }, [])
+
+  const dismiss = (id) => setToasts(list => list.filter(t => t.id !== id))
+
+  return (
+    <ToastContext.Provider value={toast}>
+      <Toast.Provider swipeDirection="right">
+        {children}
+        {toasts.map(t => (
+          <Toast.Root
+            key={t.id}
+            duration={t.duration}
+            onOpenChange={open => { if (!open) dismiss(t.id) }}
+            className={`bg-white border rounded shadow-lg px-3 py-2 flex items-start gap-3 text-sm ${VARIANT_CLASSES[t.variant] || VARIANT_CLASSES.info}`}
+          >
+            <div className="flex-1">
+              <Toast.Title className="font-medium">{t.title}</Toast.Title>
+              {t.description && <Toast.Description className="text-xs text-gray-600">{t.description}</Toast.Description>}
+            </div>
+            {t.action && (
+              <Toast.Action altText={t.action.label} asChild>
+                <button onClick={t.action.onClick} className="text-blue-700 font-medium hover:underline">{t.action.label}</button>
+              </Toast.Action>
+            )}
+            <Toast.Close aria-label="Dismiss" className="text-gray-400 hover:text-gray-700">×</Toast.Close>
+          </Toast.Root>
+        ))}
+        <Toast.Viewport className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)] outline-none" />
+      </Toast.Provider>
+    </ToastContext.Provider>
+  )
+}
+
+export function useToast() {
+  return useContext(ToastContext)
+}
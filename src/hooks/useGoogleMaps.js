@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react'
+import { loadGoogleMapsApi } from '../lib/googleMapProvider'
+
+// Simple Google Maps loader without extra deps
+export function useGoogleMaps(apiKey) {
+  const [loaded, setLoaded] = useState(() => !!window.google?.maps)
+
+  useEffect(() => {
+    // If already loaded, nothing to do
+    if (window.google?.maps) {
+      setLoaded(true)
+      return
+    }
+    if (!apiKey) return
+
+    let cancelled = false
+    loadGoogleMapsApi(apiKey)
+      .then(() => { if (!cancelled) setLoaded(true) })
+      .catch(e => console.error(e))
+    return () => { cancelled = true }
+  }, [apiKey])
+
+  return loaded
+}
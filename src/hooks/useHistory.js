@@ -0,0 +1,60 @@
+import { useCallback, useReducer } from 'react'
+
+// Steps kept on the undo stack
+const HISTORY_LIMIT = 100
+
+function reducer(state, action) {
+  if (action.type === 'set') {
+    const next = typeof action.next === 'function' ? action.next(state.present) : action.next
+    if (next === state.present) return state
+    // Consecutive changes with the same key (e.g. dragging a color picker) are one step
+    if (action.coalesce && action.coalesce === state.lastKey) return { ...state, present: next }
+    return {
+      past: [...state.past, state.present].slice(-HISTORY_LIMIT),
+      present: next,
+      future: [],
+      lastKey: action.coalesce || null
+    }
+  }
+  if (action.type === 'undo' && state.past.length) {
+    return {
+      past: state.past.slice(0, -1),
+      present: state.past[state.past.length - 1],
+      future: [state.present, ...state.future],
+      lastKey: null
+    }
+  }
+  if (action.type === 'redo' && state.future.length) {
+    return {
+      past: [...state.past, state.present],
+      present: state.future[0],
+      future: state.future.slice(1),
+      lastKey: null
+    }
+  }
+  return state
+}
+
+// State with an undo/redo history. `set(next, { coalesce })` accepts a value or an updater and
+// records the previous value; `undo`/`redo` move through the recorded values.
+export function useHistory(initial) {
+  const [state, dispatch] = useReducer(reducer, undefined, () => ({
+    past: [],
+    present: typeof initial === 'function' ? initial() : initial,
+    future: [],
+    lastKey: null
+  }))
+
+  const set = useCallback((next, { coalesce } = {}) => dispatch({ type: 'set', next, coalesce }), [])
+  const undo = useCallback(() => dispatch({ type: 'undo' }), [])
+  const redo = useCallback(() => dispatch({ type: 'redo' }), [])
+
+  return {
+    value: state.present,
+    set,
+    undo,
+    redo,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0
+  }
+}
@@ -0,0 +1,142 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import * as local from '../lib/localStore'
+import { isUnreachable } from '../lib/selectionsApi'
+import { enqueue, newLocalId, payloadOf, removeSelection, resolveConflict as resolveConflictLocally, syncWithServer } from '../lib/sync'
+
+// How often to retry pushing queued changes while the backend is unreachable
+const RETRY_INTERVAL_MS = 30000
+
+// Saved selections, stored locally in IndexedDB first and synced to the backend when it answers.
+// `api` is a client from lib/selectionsApi, or null when no backend is configured.
+// `connection` is 'local' (no backend), 'syncing', 'online', 'offline' (unreachable, retried
+// later) or 'error' (the backend refused, e.g. a bad token; reported through `onError`).
+export function useSavedSelections(api, { onError } = {}) {
+  const [saved, setSaved] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [connection, setConnection] = useState(api ? 'syncing' : 'local')
+  const [pending, setPending] = useState(0)
+  const syncingRef = useRef(false)
+  const resyncRef = useRef(false)
+  const onErrorRef = useRef(onError)
+  onErrorRef.current = onError
+  // Last sync error reported, so a failure repeated by every retry is only reported once
+  const reportedRef = useRef(null)
+
+  const refresh = useCallback(async () => {
+    const [records, queue] = await Promise.all([local.getAll(local.SELECTIONS), local.getAll(local.QUEUE)])
+    setSaved(records.filter(r => !r.deleted).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)))
+    setPending(queue.length)
+  }, [])
+
+  const sync = useCallback(async () => {
+    if (!api) {
+      setConnection('local')
+      return
+    }
+    if (syncingRef.current) {
+      // Changes made during a pass are picked up by one more pass right after it
+      resyncRef.current = true
+      return
+    }
+    syncingRef.current = true
+    setConnection('syncing')
+    try {
+      do {
+        resyncRef.current = false
+        await syncWithServer(api)
+      } while (resyncRef.current)
+      setConnection('online')
+      reportedRef.current = null
+    } catch (e) {
+      console.warn('Sync failed, will retry', e)
+      setConnection(isUnreachable(e) ? 'offline' : 'error')
+      if (!isUnreachable(e) && reportedRef.current !== e.message) {
+        reportedRef.current = e.message
+        onErrorRef.current?.(`Could not sync saved selections: ${e.message}`)
+      }
+    } finally {
+      syncingRef.current = false
+      await refresh()
+    }
+  }, [api, refresh])
+
+  // Load local copies immediately, then sync with the backend
+  useEffect(() => {
+    refresh().then(sync)
+  }, [refresh, sync])
+
+  // Retry when the browser comes back online and periodically while changes are queued
+  useEffect(() => {
+    window.addEventListener('online', sync)
+    return () => window.removeEventListener('online', sync)
+  }, [sync])
+  useEffect(() => {
+    if (!api || !pending) return
+    const timer = setInterval(sync, RETRY_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [api, pending, sync])
+
+  async function write(record, op) {
+    setSaving(true)
+    try {
+      await local.put(local.SELECTIONS, record)
+      await enqueue(record.localId, op)
+      await refresh()
+      sync()
+      return record
+    } catch (e) {
+      console.error(e)
+      onErrorRef.current?.('Could not store the selection in this browser')
+      return null
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  function create(selection) {
+    return write({
+      localId: newLocalId(),
+      id: null,
+      ...payloadOf(selection),
+      base: null,
+      syncStatus: 'pending',
+      createdAt: Date.now()
+    }, 'create')
+  }
+
+  async function update(localId, selection) {
+    const record = await local.get(local.SELECTIONS, localId)
+    if (!record) return create(selection)
+    // enqueue() keeps a not-yet-pushed create as a create
+    return write({ ...record, ...payloadOf(selection), syncStatus: record.syncStatus === 'conflict' ? 'conflict' : 'pending' }, 'update')
+  }
+
+  function rename(entry, name) {
+    return update(entry.localId, { ...payloadOf(entry), name })
+  }
+
+  function duplicate(entry) {
+    return create({ ...payloadOf(entry), name: `${entry.name} (copy)` })
+  }
+
+  async function remove(entry) {
+    try {
+      await removeSelection(entry.localId)
+      await refresh()
+      sync()
+      return true
+    } catch (e) {
+      console.error(e)
+      onErrorRef.current?.(`Failed to delete "${entry.name}"`)
+      return false
+    }
+  }
+
+  async function resolveConflict(entry, choice) {
+    await resolveConflictLocally(entry.localId, choice)
+    await refresh()
+    sync()
+  }
+
+  return { saved, saving, connection, pending, sync, create, update, rename, duplicate, remove, resolveConflict }
+}
@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react'
+
+// Resolve settings from env, URL params, or localStorage so you can use the app without editing code.
+// `readOnly` pages (/view, /embed) also take a `backend` URL param so links can point at the
+// server a selection lives on; pages that save or sync selections only use the configured one.
+export function useSettings({ readOnly = false } = {}) {
+  const params = new URLSearchParams(window.location.search)
+  // A URL param wins over the stored value so a shared setup link takes effect
+  const initialApiKey = (
+    import.meta.env.VITE_GOOGLE_MAPS_API_KEY ||
+    params.get('gmaps_key') ||
+    localStorage.getItem('gmaps_api_key') ||
+    ''
+  )
+  // The backend set in Settings (or at build time). A `backend` URL param on a read-only page only
+  // applies to that visit: it is never stored, and the token is never sent to it
+  const configuredBackend = import.meta.env.VITE_BACKEND_URL || localStorage.getItem('backend_url') || ''
+  const urlBackend = readOnly && !import.meta.env.VITE_BACKEND_URL ? params.get('backend') || '' : ''
+  const backendFromUrl = !!urlBackend && urlBackend !== configuredBackend
+  const [apiKey, setApiKey] = useState(initialApiKey)
+  const [backendUrl, setBackendUrl] = useState(urlBackend || configuredBackend)
+  const [mapRenderer, setMapRenderer] = useState(params.get('renderer') || localStorage.getItem('map_renderer') || 'auto')
+  // Bearer token for the backend; never read from the URL so it cannot leak through shared links
+  const [apiToken, setApiToken] = useState(localStorage.getItem('api_token') || '')
+  // What to send to `backendUrl`: the token only goes to the backend it was configured for
+  const authToken = backendFromUrl ? '' : apiToken
+
+  // Persist changes
+  useEffect(() => {
+    if (apiKey) localStorage.setItem('gmaps_api_key', apiKey)
+  }, [apiKey])
+  useEffect(() => {
+    if (backendUrl && !backendFromUrl) localStorage.setItem('backend_url', backendUrl)
+  }, [backendUrl, backendFromUrl])
+  useEffect(() => {
+    localStorage.setItem('map_renderer', mapRenderer)
+  }, [mapRenderer])
+  useEffect(() => {
+    if (apiToken) localStorage.setItem('api_token', apiToken)
+    else localStorage.removeItem('api_token')
+  }, [apiToken])
+
+  return { apiKey, setApiKey, backendUrl, setBackendUrl, mapRenderer, setMapRenderer, apiToken, setApiToken, authToken }
+}
@@ -0,0 +1,126 @@
+import { neighbors } from 'topojson-client'
+import { loadTopology } from './boundaries'
+import { cbsaOfCounty, getStateByFips } from './gazetteer'
+import { getLevel } from './levels'
+
+// Region adjacency from the shared arcs of the bundled topology: two regions are neighbors when
+// they share a border segment (touching at a single point, like the Four Corners, does not count).
+//
+// Adjacency shape: { neighbors: Map<code, Set<code>>, edge: Set<code> } where `edge` holds the
+// regions on the coast or national border (they have an arc no other region uses).
+// Metro areas inherit both from their member counties. Levels drawn without shared borders
+// (ZIP code points) have no neighbors, so keyboard navigation moves by direction alone there.
+
+const cache = new Map()
+
+function codeOf(level, geometry) {
+  if (level === 'county') return geometry.id
+  return getStateByFips(geometry.id)?.code || null
+}
+
+function buildAdjacency(topology, level) {
+  const geometries = topology.objects[level === 'county' ? 'counties' : 'states'].geometries
+  const codes = geometries.map(g => codeOf(level, g))
+  const lists = neighbors(geometries)
+
+  const result = { neighbors: new Map(), edge: new Set() }
+  codes.forEach((code, i) => {
+    if (!code) return
+    result.neighbors.set(code, new Set(lists[i].map(j => codes[j]).filter(Boolean)))
+  })
+
+  // Arcs used by a single geometry lie on the outer boundary
+  const arcsOf = g => (g.type === 'Polygon' ? g.arcs.flat() : g.type === 'MultiPolygon' ? g.arcs.flat(2) : [])
+  const uses = new Map()
+  geometries.forEach(g => arcsOf(g).forEach(a => {
+    const arc = a < 0 ? ~a : a
+    uses.set(arc, (uses.get(arc) || 0) + 1)
+  }))
+  geometries.forEach((g, i) => {
+    if (codes[i] && arcsOf(g).some(a => uses.get(a < 0 ? ~a : a) === 1)) result.edge.add(codes[i])
+  })
+  return result
+}
+
+// Two metro areas are neighbors when any of their counties are; a metro area is on the edge
+// when any of its counties is
+function cbsaAdjacency(counties) {
+  const result = { neighbors: new Map(), edge: new Set() }
+  counties.neighbors.forEach((adjacent, fips) => {
+    const cbsa = cbsaOfCounty(fips)?.code
+    if (!cbsa) return
+    if (!result.neighbors.has(cbsa)) result.neighbors.set(cbsa, new Set())
+    adjacent.forEach(n => {
+      const other = cbsaOfCounty(n)?.code
+      if (other && other !== cbsa) result.neighbors.get(cbsa).add(other)
+    })
+    if (counties.edge.has(fips)) result.edge.add(cbsa)
+  })
+  return result
+}
+
+export function loadAdjacency(level) {
+  if (!getLevel(level).borders) return Promise.resolve({ neighbors: new Map(), edge: new Set() })
+  if (!cache.has(level)) {
+    const adjacency = level === 'cbsa'
+      ? loadAdjacency('county').then(cbsaAdjacency)
+      : loadTopology().then(topology => buildAdjacency(topology, level))
+    cache.set(level, adjacency.catch(e => {
+      cache.delete(level)
+      throw e
+    }))
+  }
+  return cache.get(level)
+}
+
+// Unselected regions that share a border with the selection
+export function neighborsOf(adjacency, codes) {
+  const selected = new Set(codes)
+  const result = new Set()
+  selected.forEach(code => {
+    adjacency.neighbors.get(code)?.forEach(n => {
+      if (!selected.has(n)) result.add(n)
+    })
+  })
+  return [...result]
+}
+
+// The selection grown outward by `rings` layers of neighbors
+export function growByRings(adjacency, codes, rings = 1) {
+  let current = [...codes]
+  for (let i = 0; i < rings; i++) {
+    const added = neighborsOf(adjacency, current)
+    if (!added.length) break
+    current = current.concat(added)
+  }
+  return current
+}
+
+// Connected pieces of `codes` (each an array of codes), largest first
+export function connectedPieces(adjacency, codes) {
+  const remaining = new Set(codes)
+  const pieces = []
+  while (remaining.size) {
+    const [start] = remaining
+    remaining.delete(start)
+    const piece = [start]
+    for (let i = 0; i < piece.length; i++) {
+      adjacency.neighbors.get(piece[i])?.forEach(n => {
+        if (remaining.delete(n)) piece.push(n)
+      })
+    }
+    pieces.push(piece)
+  }
+  return pieces.sort((a, b) => b.length - a.length)
+}
+
+// Unselected regions fully enclosed by the selection: pieces of unselected regions that reach
+// neither the coast/border nor any unselected region outside them
+export function enclosedGaps(adjacency, codes) {
+  const selected = new Set(codes)
+  const unselected = [...adjacency.neighbors.keys()].filter(c => !selected.has(c))
+  const candidates = new Set(neighborsOf(adjacency, codes))
+  return connectedPieces(adjacency, unselected)
+    .filter(piece => piece.some(c => candidates.has(c)) && !piece.some(c => adjacency.edge.has(c)))
+    .flat()
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+import { connectedPieces, enclosedGaps, growByRings, loadAdjacency, neighborsOf } from './adjacency'
+
+// A 3x3 grid of regions sharing borders with the regions beside, above and below them:
+//   A B C
+//   D E F
+//   G H I
+// Every region but the middle one is on the edge.
+function grid() {
+  const rows = ['ABC', 'DEF', 'GHI']
+  const neighbors = new Map()
+  rows.forEach((row, y) => [...row].forEach((code, x) => {
+    const adjacent = [rows[y - 1]?.[x], rows[y + 1]?.[x], row[x - 1], row[x + 1]].filter(Boolean)
+    neighbors.set(code, new Set(adjacent))
+  }))
+  return { neighbors, edge: new Set([...'ABCDFGHI']) }
+}
+
+const sorted = codes => [...codes].sort()
+
+describe('neighborsOf', () => {
+  it('lists the unselected regions bordering the selection', () => {
+    expect(sorted(neighborsOf(grid(), ['A']))).toEqual(['B', 'D'])
+    expect(sorted(neighborsOf(grid(), ['A', 'B']))).toEqual(['C', 'D', 'E'])
+  })
+
+  it('ignores codes it has no borders for', () => {
+    expect(neighborsOf(grid(), ['Z'])).toEqual([])
+  })
+})
+
+describe('growByRings', () => {
+  it('adds a layer of neighbors per ring', () => {
+    expect(sorted(growByRings(grid(), ['A']))).toEqual(['A', 'B', 'D'])
+    expect(sorted(growByRings(grid(), ['A'], 2))).toEqual(['A', 'B', 'C', 'D', 'E', 'G'])
+  })
+
+  it('stops once there is nothing left to add', () => {
+    expect(growByRings(grid(), ['E'], 10)).toHaveLength(9)
+  })
+})
+
+describe('connectedPieces', () => {
+  it('splits a selection into bordering pieces, largest first', () => {
+    const pieces = connectedPieces(grid(), ['A', 'C', 'F', 'I', 'G'])
+    expect(pieces.map(sorted)).toEqual([['C', 'F', 'I'], ['A'], ['G']])
+  })
+
+  it('does not join regions touching only at a corner', () => {
+    expect(connectedPieces(grid(), ['A', 'E'])).toHaveLength(2)
+  })
+})
+
+describe('enclosedGaps', () => {
+  it('finds unselected regions surrounded by the selection', () => {
+    expect(enclosedGaps(grid(), [...'ABCDFGHI'])).toEqual(['E'])
+  })
+
+  it('does not count regions that reach the edge', () => {
+    expect(enclosedGaps(grid(), [...'ABDEGH'])).toEqual([])
+    expect(enclosedGaps(grid(), ['E'])).toEqual([])
+  })
+})
+
+describe('loadAdjacency', () => {
+  it('has no neighbors for levels drawn without shared borders', async () => {
+    const adjacency = await loadAdjacency('zip')
+    expect(adjacency.neighbors.size).toBe(0)
+    expect(adjacency.edge.size).toBe(0)
+  })
+})
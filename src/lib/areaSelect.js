@@ -0,0 +1,85 @@
+import { geoCentroid, geoCircle } from 'd3-geo'
+import { loadHitIndex, pointInGeometry } from './hitTest'
+
+// Selecting every region inside a drawn shape (lasso, rectangle or radius circle). Shapes are
+// rings of [lng, lat] points; candidates come from the hit index's R-tree and are then tested
+// either for any overlap or for their centroid falling inside the shape.
+
+export const DRAW_TOOLS = [
+  { id: 'click', label: 'Click', title: 'Click regions to toggle them' },
+  { id: 'lasso', label: 'Lasso', title: 'Draw a freehand shape' },
+  { id: 'rect', label: 'Rectangle', title: 'Drag a rectangle' },
+  { id: 'radius', label: 'Radius', title: 'Click a center point' }
+]
+
+export const MATCH_MODES = [
+  { id: 'intersects', label: 'Touching the shape' },
+  { id: 'centroid', label: 'Centered in the shape' }
+]
+
+const EARTH_RADIUS = { mi: 3958.8, km: 6371.0088 }
+
+// Geodesic circle around { lat, lng } as a ring of [lng, lat] points
+export function circleRing(center, radius, unit = 'mi') {
+  const degrees = (radius / EARTH_RADIUS[unit]) * (180 / Math.PI)
+  return geoCircle().center([center.lng, center.lat]).radius(degrees).precision(2)().coordinates[0]
+}
+
+function ringBbox(ring) {
+  const xs = ring.map(p => p[0])
+  const ys = ring.map(p => p[1])
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+}
+
+function segmentsIntersect(p1, p2, q1, q2) {
+  const d1 = cross(q1, q2, p1)
+  const d2 = cross(q1, q2, p2)
+  const d3 = cross(p1, p2, q1)
+  const d4 = cross(p1, p2, q2)
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0))
+}
+
+function edges(ring) {
+  return ring.map((p, i) => [p, ring[(i + 1) % ring.length]])
+}
+
+// Does any part of the region overlap the shape? A vertex of either inside the other, or
+// crossing edges (e.g. a thin shape passing through a region).
+function overlaps(entry, shape, shapeEdges) {
+  if (entry.polygons.some(rings => rings[0].some(p => pointInGeometry(p, shape)))) return true
+  if (shape.coordinates[0].some(p => pointInGeometry(p, entry.feature.geometry))) return true
+  return entry.polygons.some(rings => edges(rings[0]).some(([a, b]) => {
+    const [minX, maxX] = a[0] < b[0] ? [a[0], b[0]] : [b[0], a[0]]
+    const [minY, maxY] = a[1] < b[1] ? [a[1], b[1]] : [b[1], a[1]]
+    return shapeEdges.some(e => !(e.maxX < minX || e.minX > maxX || e.maxY < minY || e.minY > maxY) &&
+      segmentsIntersect(a, b, e.a, e.b))
+  }))
+}
+
+// Codes of the regions at `level` matched by a drawn ring
+export async function codesInShape(level, ring, match = 'intersects') {
+  if (ring.length < 3) return []
+  const index = await loadHitIndex(level)
+  const shape = { type: 'Polygon', coordinates: [ring] }
+  const shapeEdges = edges(ring).map(([a, b]) => ({
+    a,
+    b,
+    minX: Math.min(a[0], b[0]),
+    maxX: Math.max(a[0], b[0]),
+    minY: Math.min(a[1], b[1]),
+    maxY: Math.max(a[1], b[1])
+  }))
+  return index.search(ringBbox(ring))
+    .filter(entry => {
+      if (match === 'centroid') {
+        if (!entry.centroid) entry.centroid = geoCentroid(entry.feature)
+        return pointInGeometry(entry.centroid, shape)
+      }
+      return overlaps(entry, shape, shapeEdges)
+    })
+    .map(entry => entry.code)
+}
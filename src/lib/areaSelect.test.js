@@ -0,0 +1,43 @@
+import { geoDistance } from 'd3-geo'
+import { describe, expect, it } from 'vitest'
+import { circleRing, codesInShape } from './areaSelect'
+
+// Miles City, MT (59301) has no other ZIP code point within about 10 km
+const MILES_CITY = { lng: -105.833, lat: 46.408 }
+
+function rect(minX, minY, maxX, maxY) {
+  return [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]
+}
+
+describe('circleRing', () => {
+  it('rings the center at the given distance', () => {
+    const ring = circleRing(MILES_CITY, 10, 'km')
+    expect(ring.length).toBeGreaterThan(100)
+    ring.forEach(p => {
+      expect(geoDistance(p, [MILES_CITY.lng, MILES_CITY.lat]) * 6371.0088).toBeCloseTo(10, 3)
+    })
+  })
+
+  it('defaults to miles', () => {
+    const [p] = circleRing(MILES_CITY, 10)
+    expect(geoDistance(p, [MILES_CITY.lng, MILES_CITY.lat]) * 3958.8).toBeCloseTo(10, 3)
+  })
+})
+
+describe('codesInShape', () => {
+  it('selects the regions inside a shape', async () => {
+    expect(await codesInShape('zip', circleRing(MILES_CITY, 5))).toEqual(['59301'])
+    expect(await codesInShape('zip', rect(-106, 46, -105.5, 46.3))).toEqual([])
+  })
+
+  it('counts a region touching the edge only when matching on overlap', async () => {
+    // Covers the top of the ZIP code's circle but not its center
+    const ring = rect(-105.9, 46.415, -105.7, 46.5)
+    expect(await codesInShape('zip', ring)).toEqual(['59301'])
+    expect(await codesInShape('zip', ring, 'centroid')).toEqual([])
+  })
+
+  it('needs at least three points', async () => {
+    expect(await codesInShape('zip', [[-106, 46], [-105, 47]])).toEqual([])
+  })
+})
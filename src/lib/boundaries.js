@@ -0,0 +1,188 @@
+import { geoCircle } from 'd3-geo'
+import { feature, merge } from 'topojson-client'
+import { cbsaOfCounty, getCounty, getStateByFips, loadZips } from './gazetteer'
+import { getLevel } from './levels'
+
+// US state and county polygons (us-atlas, 1:10m) served from public/geo, so no third-party
+// fetch is needed; metro areas (CBSAs) are merged from their counties and ZIP codes, which have
+// no bundled boundaries, are small circles around their GeoNames location. Besides the full-detail
+// topology there are simplified files per level for zoomed-out views, generated by
+// `npm run boundaries` (scripts/build-boundaries.js).
+//
+// Files are downloaded once through the Cache API and parsed once per page; a failed load is
+// not remembered, so the next call tries again.
+
+const TOPOLOGY_URL = '/geo/counties-10m.json'
+// Name of the Cache API store; bump it whenever the files in public/geo change
+const BOUNDARY_CACHE = 'boundaries-v1'
+
+// Resolutions the map switches between, coarsest first. Each is used up to and including
+// `maxZoom` (a Google-style zoom level).
+export const BOUNDARY_RESOLUTIONS = [
+  { id: 'low', maxZoom: 5 },
+  { id: 'medium', maxZoom: 7 },
+  { id: 'high', maxZoom: Infinity }
+]
+
+export function resolutionForZoom(zoom = 4) {
+  return BOUNDARY_RESOLUTIONS.find(r => zoom <= r.maxZoom).id
+}
+
+// File with the topology a level is drawn from (see `boundaries` in lib/levels)
+function boundaryUrl(level, resolution) {
+  const source = getLevel(level).boundaries
+  if (source === 'counties' && resolution === 'high') return TOPOLOGY_URL
+  return `/geo/${source}-${resolution}.json`
+}
+
+let cachePromise = null
+
+// The Cache API store, or null where there is none (e.g. pages not served over https).
+// Stores left by earlier versions of the files are deleted.
+function openBoundaryCache() {
+  if (!cachePromise) {
+    cachePromise = typeof caches === 'undefined'
+      ? Promise.resolve(null)
+      : caches.open(BOUNDARY_CACHE)
+        .then(async cache => {
+          const stale = (await caches.keys()).filter(name => name.startsWith('boundaries-') && name !== BOUNDARY_CACHE)
+          await Promise.all(stale.map(name => caches.delete(name)))
+          return cache
+        })
+        .catch(e => {
+          console.warn('Boundary files will not be cached', e)
+          return null
+        })
+  }
+  return cachePromise
+}
+
+async function fetchBoundaryFile(url) {
+  const cache = await openBoundaryCache()
+  const cached = cache ? await cache.match(url).catch(() => undefined) : undefined
+  if (cached) return cached.json()
+  const res = await fetch(url)
+  if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status}`)
+  if (cache) cache.put(url, res.clone()).catch(e => console.warn(`Could not cache ${url}`, e))
+  return res.json()
+}
+
+const loads = new Map()
+
+// Run `load` once per key; a rejected promise is dropped so the next call retries
+function once(key, load) {
+  if (!loads.has(key)) {
+    loads.set(key, load().catch(e => {
+      loads.delete(key)
+      throw e
+    }))
+  }
+  return loads.get(key)
+}
+
+// Counties as GeoJSON: each feature carries its 5-digit FIPS code as `id` and in the `fips` and
+// `code` properties, plus the gazetteer label ("Los Angeles County, CA") and parent state
+// postal code
+function countyCollection(topology) {
+  const fc = feature(topology, topology.objects.counties)
+  fc.features.forEach(f => {
+    const county = getCounty(f.id)
+    f.properties = {
+      ...f.properties,
+      fips: f.id,
+      code: f.id,
+      name: county ? county.label : f.properties.name,
+      state: county ? county.state : null
+    }
+  })
+  return fc
+}
+
+// States, DC and territories as GeoJSON, with the postal code in `postal` and `code`
+function stateCollection(topology) {
+  const fc = feature(topology, topology.objects.states)
+  fc.features.forEach(f => {
+    const state = getStateByFips(f.id)
+    f.properties = {
+      ...f.properties,
+      fips: f.id,
+      postal: state ? state.code : null,
+      code: state ? state.code : null,
+      name: state ? state.name : f.properties.name
+    }
+  })
+  return fc
+}
+
+// One feature per CBSA, its member counties merged into one outline (shared borders removed)
+function cbsaCollection(topology) {
+  const membersByCbsa = new Map()
+  topology.objects.counties.geometries.forEach(g => {
+    const cbsa = cbsaOfCounty(g.id)
+    if (!cbsa) return
+    if (!membersByCbsa.has(cbsa)) membersByCbsa.set(cbsa, [])
+    membersByCbsa.get(cbsa).push(g)
+  })
+  return {
+    type: 'FeatureCollection',
+    features: [...membersByCbsa.entries()].map(([cbsa, geometries]) => ({
+      type: 'Feature',
+      id: cbsa.code,
+      properties: { code: cbsa.code, cbsa: cbsa.code, name: cbsa.label, states: cbsa.states },
+      geometry: merge(topology, geometries)
+    }))
+  }
+}
+
+// Radius of the circle a ZIP code is drawn as, in degrees (about 1.5 km), and the angle between
+// its vertices
+const ZIP_RADIUS = 0.0135
+const ZIP_PRECISION = 45
+
+// One small circle per ZIP code, with its county and state
+function zipCollection(zips) {
+  const circle = geoCircle().radius(ZIP_RADIUS).precision(ZIP_PRECISION)
+  return {
+    type: 'FeatureCollection',
+    features: zips.map(z => ({
+      type: 'Feature',
+      id: z.code,
+      properties: { code: z.code, zip: z.code, name: z.label, county: z.county, state: z.state },
+      geometry: circle.center([z.lng, z.lat])()
+    }))
+  }
+}
+
+const COLLECTIONS = { state: stateCollection, county: countyCollection, cbsa: cbsaCollection }
+
+// The raw full-detail us-atlas topology (objects: counties, states, nation)
+export function loadTopology() {
+  return once('topology', () => fetchBoundaryFile(TOPOLOGY_URL))
+}
+
+// Polygons for a level at a resolution from BOUNDARY_RESOLUTIONS, each feature carrying its
+// selection code (postal for states, 5-digit FIPS for counties, CBSA code for metro areas, ZIP
+// code) in `properties.code`. The same FeatureCollection object is returned on every call; ZIP
+// codes look the same at every resolution.
+export function loadLevelPolygons(level, resolution = 'high') {
+  const { id } = getLevel(level)
+  if (id === 'zip') return once('zip', async () => zipCollection(await loadZips()))
+  return once(`${id}-${resolution}`, async () => {
+    const url = boundaryUrl(id, resolution)
+    const topology = url === TOPOLOGY_URL ? await loadTopology() : await fetchBoundaryFile(url)
+    return COLLECTIONS[id](topology)
+  })
+}
+
+// Full-detail polygons, as used for hit testing and exports
+export function loadCountyBoundaries() {
+  return loadLevelPolygons('county')
+}
+
+export function loadStateBoundaries() {
+  return loadLevelPolygons('state')
+}
+
+export function loadBoundaries(level) {
+  return loadLevelPolygons(level)
+}
@@ -0,0 +1,113 @@
+// Classification of numeric values into classes for choropleth shading. Each method returns
+// class breaks as an ascending array of k + 1 edges: [min, b1, ..., max].
+
+export const CLASSIFICATION_METHODS = [
+  { id: 'quantile', label: 'Quantile' },
+  { id: 'equal', label: 'Equal interval' },
+  { id: 'jenks', label: 'Natural breaks (Jenks)' }
+]
+
+function sorted(values) {
+  return values.filter(Number.isFinite).sort((a, b) => a - b)
+}
+
+export function equalIntervalBreaks(values, k) {
+  const v = sorted(values)
+  if (!v.length) return []
+  const min = v[0]
+  const max = v[v.length - 1]
+  const step = (max - min) / k
+  return Array.from({ length: k + 1 }, (_, i) => (i === k ? max : min + step * i))
+}
+
+export function quantileBreaks(values, k) {
+  const v = sorted(values)
+  if (!v.length) return []
+  const breaks = [v[0]]
+  for (let i = 1; i < k; i++) {
+    // Linear interpolation between closest ranks
+    const pos = (v.length - 1) * (i / k)
+    const lo = Math.floor(pos)
+    breaks.push(v[lo] + (v[Math.min(lo + 1, v.length - 1)] - v[lo]) * (pos - lo))
+  }
+  breaks.push(v[v.length - 1])
+  return breaks
+}
+
+// Fisher-Jenks natural breaks (minimizes within-class variance). Large inputs are sampled
+// down so the O(k·n²) search stays interactive.
+const JENKS_MAX_SAMPLE = 1000
+
+export function jenksBreaks(values, k) {
+  let v = sorted(values)
+  if (!v.length) return []
+  const min = v[0]
+  const max = v[v.length - 1]
+  if (v.length > JENKS_MAX_SAMPLE) {
+    const step = (v.length - 1) / (JENKS_MAX_SAMPLE - 1)
+    v = Array.from({ length: JENKS_MAX_SAMPLE }, (_, i) => v[Math.round(i * step)])
+  }
+  const n = v.length
+  k = Math.min(k, n)
+  if (k <= 1) return [min, max]
+
+  // lower[i][j]: start index (1-based) of the last class when splitting v[0..i-1] into j classes
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0))
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity))
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1
+    variance[1][j] = 0
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0
+    let sumSquares = 0
+    let w = 0
+    let cost = 0
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1
+      const val = v[i3 - 1]
+      w++
+      sum += val
+      sumSquares += val * val
+      cost = sumSquares - (sum * sum) / w
+      const i4 = i3 - 1
+      if (i4 !== 0) {
+        for (let j = 2; j <= k; j++) {
+          if (variance[l][j] >= cost + variance[i4][j - 1]) {
+            lower[l][j] = i3
+            variance[l][j] = cost + variance[i4][j - 1]
+          }
+        }
+      }
+    }
+    lower[l][1] = 1
+    variance[l][1] = cost
+  }
+
+  const breaks = new Array(k + 1)
+  breaks[0] = min
+  breaks[k] = max
+  let idx = n
+  for (let j = k; j >= 2; j--) {
+    const start = lower[idx][j] - 1
+    breaks[j - 1] = v[start]
+    idx = lower[idx][j] - 1
+  }
+  return breaks
+}
+
+export function computeBreaks(method, values, k) {
+  if (method === 'equal') return equalIntervalBreaks(values, k)
+  if (method === 'jenks') return jenksBreaks(values, k)
+  return quantileBreaks(values, k)
+}
+
+// Class index (0-based) of a value for the given breaks, or -1 when it has no value
+export function classIndex(value, breaks) {
+  if (!Number.isFinite(value) || breaks.length < 2) return -1
+  for (let i = 1; i < breaks.length - 1; i++) {
+    if (value < breaks[i]) return i - 1
+  }
+  return breaks.length - 2
+}
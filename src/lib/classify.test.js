@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest'
+import { classIndex, computeBreaks, equalIntervalBreaks, jenksBreaks, quantileBreaks } from './classify'
+
+describe('equalIntervalBreaks', () => {
+  it('splits the range into equal steps', () => {
+    expect(equalIntervalBreaks([0, 10, 5, 2], 5)).toEqual([0, 2, 4, 6, 8, 10])
+  })
+
+  it('ignores values that are not numbers', () => {
+    expect(equalIntervalBreaks([NaN, 4, null, 0, Infinity], 2)).toEqual([0, 2, 4])
+  })
+
+  it('returns no breaks without values', () => {
+    expect(equalIntervalBreaks([], 3)).toEqual([])
+  })
+})
+
+describe('quantileBreaks', () => {
+  it('interpolates between ranks', () => {
+    expect(quantileBreaks([1, 2, 3, 4, 5], 4)).toEqual([1, 2, 3, 4, 5])
+    expect(quantileBreaks([0, 10], 2)).toEqual([0, 5, 10])
+  })
+})
+
+describe('jenksBreaks', () => {
+  it('separates clearly clustered values', () => {
+    expect(jenksBreaks([1, 2, 3, 50, 51, 52, 100, 101, 102], 3)).toEqual([1, 50, 100, 102])
+  })
+
+  it('caps the class count at the number of values', () => {
+    expect(jenksBreaks([3, 7], 5)).toEqual([3, 7, 7])
+    expect(jenksBreaks([4], 3)).toEqual([4, 4])
+  })
+
+  it('keeps min and max when sampling large inputs', () => {
+    const values = Array.from({ length: 5000 }, (_, i) => i)
+    const breaks = jenksBreaks(values, 4)
+    expect(breaks).toHaveLength(5)
+    expect(breaks[0]).toBe(0)
+    expect(breaks[4]).toBe(4999)
+    expect([...breaks].sort((a, b) => a - b)).toEqual(breaks)
+  })
+})
+
+describe('computeBreaks', () => {
+  it('falls back to quantiles for unknown methods', () => {
+    expect(computeBreaks('nope', [1, 2, 3, 4, 5], 4)).toEqual(quantileBreaks([1, 2, 3, 4, 5], 4))
+  })
+})
+
+describe('classIndex', () => {
+  const breaks = [0, 10, 20, 30]
+
+  it('puts values on an edge into the upper class and the maximum into the last', () => {
+    expect(classIndex(0, breaks)).toBe(0)
+    expect(classIndex(10, breaks)).toBe(1)
+    expect(classIndex(29, breaks)).toBe(2)
+    expect(classIndex(30, breaks)).toBe(2)
+  })
+
+  it('returns -1 for missing values', () => {
+    expect(classIndex(undefined, breaks)).toBe(-1)
+    expect(classIndex(5, [1])).toBe(-1)
+  })
+})
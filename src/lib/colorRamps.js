@@ -0,0 +1,36 @@
+// Color ramps for choropleth shading. ColorBrewer 9-class sequential schemes (minus the
+// near-white first stop, which disappears on the base map) and viridis.
+
+export const COLOR_RAMPS = [
+  { id: 'blues', label: 'Blues', stops: ['#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'] },
+  { id: 'greens', label: 'Greens', stops: ['#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'] },
+  { id: 'oranges', label: 'Oranges', stops: ['#fee6ce', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704'] },
+  { id: 'purples', label: 'Purples', stops: ['#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d'] },
+  { id: 'reds', label: 'Reds', stops: ['#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d'] },
+  { id: 'ylorrd', label: 'Yellow-Orange-Red', stops: ['#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'] },
+  { id: 'ylgnbu', label: 'Yellow-Green-Blue', stops: ['#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58'] },
+  { id: 'viridis', label: 'Viridis', stops: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'] }
+]
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16)
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')
+}
+
+// `count` colors spread evenly along a ramp, interpolating between its stops
+export function rampColors(rampId, count) {
+  const ramp = COLOR_RAMPS.find(r => r.id === rampId) || COLOR_RAMPS[0]
+  const stops = ramp.stops.map(hexToRgb)
+  if (count <= 1) return [rgbToHex(stops[stops.length - 1])]
+  return Array.from({ length: count }, (_, i) => {
+    const t = (i / (count - 1)) * (stops.length - 1)
+    const lo = Math.floor(t)
+    const hi = Math.min(lo + 1, stops.length - 1)
+    const f = t - lo
+    return rgbToHex(stops[lo].map((c, j) => c + (stops[hi][j] - c) * f))
+  })
+}
@@ -0,0 +1,60 @@
+import { crosswalk } from './crosswalk'
+
+// Set operations between saved selections, for the /compare page. Selections at different
+// levels are first converted to counties (see lib/crosswalk), the level states and metro areas
+// are made of, or to ZIP codes when one of them is at that level; selections at the same level
+// are compared as they are. ZIP codes must have been loaded (loadZips in lib/gazetteer).
+//
+//   union         regions in any of the selections
+//   intersection  regions in every selection
+//   difference    regions of the base selection that are in none of the others
+
+export const COMPARE_RESULTS = [
+  { id: 'union', label: 'Union' },
+  { id: 'intersection', label: 'Intersection' },
+  { id: 'difference', label: 'Difference' }
+]
+
+// Colors of the map categories, chosen to stay apart from each other
+const COLORS = { intersection: '#a855f7', difference: '#3b82f6', rest: '#f59e0b' }
+
+// Level the selections are compared at
+export function comparisonLevel(levels) {
+  if (new Set(levels).size === 1) return levels[0]
+  return levels.includes('zip') ? 'zip' : 'county'
+}
+
+// { level, converted, union, intersection, difference } for saved selections ({ name, level,
+// items }); `converted` lists the selections that had to change level. `base` is the index of
+// the selection the others are subtracted from.
+export function compareSelections(entries, base = 0) {
+  const level = comparisonLevel(entries.map(e => e.level))
+  const sets = entries.map(e => new Set(crosswalk(e.level, e.items || [], level).codes))
+  const others = sets.filter((_, i) => i !== base)
+  const union = new Set(sets.flatMap(set => [...set]))
+  return {
+    level,
+    converted: entries.filter(e => e.level !== level),
+    union: [...union].sort(),
+    intersection: [...union].filter(code => sets.every(set => set.has(code))).sort(),
+    difference: [...(sets[base] || [])].filter(code => !others.some(set => set.has(code))).sort()
+  }
+}
+
+// The union split into non-overlapping groups (lib/groups shape) so every region gets one color
+// on the map: the intersection, the difference and the rest of the union
+export function comparisonGroups(result, baseName) {
+  const shown = new Set([...result.intersection, ...result.difference])
+  return [
+    { id: 'intersection', name: 'In every selection', color: COLORS.intersection, items: result.intersection },
+    { id: 'difference', name: `Only in ${baseName}`, color: COLORS.difference, items: result.difference },
+    { id: 'rest', name: 'Elsewhere in the union', color: COLORS.rest, items: result.union.filter(code => !shown.has(code)) }
+  ]
+}
+
+// Default name when saving a result, e.g. "West minus North"
+export function resultName(id, names, base = 0) {
+  if (id === 'union') return names.join(' + ')
+  if (id === 'intersection') return `Overlap of ${names.join(', ')}`
+  return `${names[base]} minus ${names.filter((_, i) => i !== base).join(', ')}`
+}
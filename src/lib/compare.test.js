@@ -0,0 +1,92 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { compareSelections, comparisonGroups, comparisonLevel, resultName } from './compare'
+import { loadZips } from './gazetteer'
+
+const DELAWARE = { name: 'Delaware', level: 'state', items: ['DE'] }
+// Kent County, DE and San Francisco County, CA
+const COUNTIES = { name: 'Picks', level: 'county', items: ['10001', '06075'] }
+
+describe('comparisonLevel', () => {
+  it('keeps a shared level and otherwise compares counties', () => {
+    expect(comparisonLevel(['cbsa', 'cbsa'])).toBe('cbsa')
+    expect(comparisonLevel(['state', 'cbsa'])).toBe('county')
+    expect(comparisonLevel(['state', 'county'])).toBe('county')
+  })
+
+  it('compares ZIP codes when any selection is at that level', () => {
+    expect(comparisonLevel(['state', 'zip'])).toBe('zip')
+    expect(comparisonLevel(['zip', 'zip'])).toBe('zip')
+  })
+})
+
+describe('compareSelections', () => {
+  it('compares selections at the same level as they are', () => {
+    const result = compareSelections([
+      { name: 'West', level: 'state', items: ['CA', 'OR', 'NV'] },
+      { name: 'Coast', level: 'state', items: ['CA', 'OR', 'WA'] }
+    ])
+    expect(result).toEqual({
+      level: 'state',
+      converted: [],
+      union: ['CA', 'NV', 'OR', 'WA'],
+      intersection: ['CA', 'OR'],
+      difference: ['NV']
+    })
+  })
+
+  it('converts selections at different levels to counties', () => {
+    const result = compareSelections([DELAWARE, COUNTIES])
+    expect(result.level).toBe('county')
+    expect(result.converted).toEqual([DELAWARE])
+    expect(result.union).toEqual(['06075', '10001', '10003', '10005'])
+    expect(result.intersection).toEqual(['10001'])
+    expect(result.difference).toEqual(['10003', '10005'])
+  })
+
+  it('subtracts the others from the chosen base', () => {
+    expect(compareSelections([DELAWARE, COUNTIES], 1).difference).toEqual(['06075'])
+  })
+
+  it('treats a selection without items as empty', () => {
+    const result = compareSelections([DELAWARE, { name: 'Empty', level: 'state' }])
+    expect(result.intersection).toEqual([])
+    expect(result.difference).toEqual(['DE'])
+  })
+
+  describe('with ZIP codes', () => {
+    beforeAll(() => loadZips())
+
+    it('converts the other selections to ZIP codes', () => {
+      // Loving County, TX has a single ZIP code
+      const result = compareSelections([
+        { name: 'Loving', level: 'county', items: ['48301'] },
+        { name: 'Mentone', level: 'zip', items: ['79754'] }
+      ])
+      expect(result.level).toBe('zip')
+      expect(result.intersection).toEqual(['79754'])
+      expect(result.difference).toEqual([])
+    })
+  })
+})
+
+describe('comparisonGroups', () => {
+  it('splits the union so every region is in exactly one group', () => {
+    const result = compareSelections([DELAWARE, COUNTIES])
+    const groups = comparisonGroups(result, 'Delaware')
+    expect(groups.map(g => [g.name, g.items])).toEqual([
+      ['In every selection', ['10001']],
+      ['Only in Delaware', ['10003', '10005']],
+      ['Elsewhere in the union', ['06075']]
+    ])
+    expect(new Set(groups.map(g => g.color)).size).toBe(3)
+  })
+})
+
+describe('resultName', () => {
+  it('names a result after its selections', () => {
+    const names = ['West', 'North', 'Coast']
+    expect(resultName('union', names)).toBe('West + North + Coast')
+    expect(resultName('intersection', names)).toBe('Overlap of West, North, Coast')
+    expect(resultName('difference', names, 1)).toBe('North minus West, Coast')
+  })
+})
@@ -0,0 +1,76 @@
+import { cbsaOfCounty, countiesInState, getCbsa, getCounty, getZip, zipsInCounty } from './gazetteer'
+import { getLevel } from './levels'
+
+// Converting selections between levels. Every level is described by the counties it covers
+// (a state its counties, a CBSA its member counties, a county itself), so a conversion goes
+// through the selected counties:
+//
+//   overlap  regions of the target level sharing at least one county with the selection
+//   within   only regions whose counties are all in the selection
+//
+// County to CBSA drops counties outside every metro area; they are reported as `uncovered`.
+//
+// ZIP codes are finer than counties: each is counted in the one county GeoNames places it in
+// (see lib/gazetteer; ZIPs that straddle a county line follow their main county), and "within"
+// a ZIP selection means every ZIP of the target region is selected. ZIP conversions need
+// loadZips() to have resolved.
+
+export const CROSSWALK_MODES = [
+  { id: 'overlap', label: 'Overlapping the selection' },
+  { id: 'within', label: 'Entirely within the selection' }
+]
+
+// County FIPS codes a region covers
+export function countiesOf(level, code) {
+  if (level === 'county') return getCounty(code) ? [code] : []
+  if (level === 'cbsa') return getCbsa(code)?.counties || []
+  if (level === 'zip') return getZip(code) ? [getZip(code).county] : []
+  return countiesInState(code).map(c => c.fips)
+}
+
+// Regions of a level that contain a county
+function regionsOfCounty(level, fips) {
+  if (level === 'county') return [fips]
+  if (level === 'cbsa') {
+    const cbsa = cbsaOfCounty(fips)
+    return cbsa ? [cbsa.code] : []
+  }
+  if (level === 'zip') return zipsInCounty(fips).map(z => z.code)
+  const state = getCounty(fips)?.state
+  return state ? [state] : []
+}
+
+// { codes, uncovered }: the `toLevel` regions for `codes` at `fromLevel`, and the source codes
+// that have no counterpart at the target level
+export function crosswalk(fromLevel, codes, toLevel, mode = 'overlap') {
+  if (getLevel(fromLevel).id === getLevel(toLevel).id) return { codes: [...codes], uncovered: [] }
+  const selectedCounties = new Set(codes.flatMap(code => countiesOf(fromLevel, code)))
+  const result = new Set()
+  const uncovered = []
+  codes.forEach(code => {
+    const targets = countiesOf(fromLevel, code).flatMap(fips => regionsOfCounty(toLevel, fips))
+    if (!targets.length) uncovered.push(code)
+    targets.forEach(target => result.add(target))
+  })
+  const selectedZips = new Set(fromLevel === 'zip' ? codes : [])
+  const covered = fromLevel === 'zip'
+    ? target => countiesOf(toLevel, target).every(fips => zipsInCounty(fips).every(z => selectedZips.has(z.code)))
+    : target => countiesOf(toLevel, target).every(fips => selectedCounties.has(fips))
+  const matched = mode === 'within' ? [...result].filter(covered) : [...result]
+  return { codes: matched.sort(), uncovered }
+}
+
+// Convert every group's items, keeping group names and colors. With overlapping conversions a
+// region can match several groups; it stays in the first one, as a region is only ever in one.
+export function crosswalkGroups(fromLevel, groups, toLevel, mode = 'overlap') {
+  const taken = new Set()
+  const uncovered = []
+  const converted = groups.map(group => {
+    const result = crosswalk(fromLevel, group.items, toLevel, mode)
+    uncovered.push(...result.uncovered)
+    const items = result.codes.filter(code => !taken.has(code))
+    items.forEach(code => taken.add(code))
+    return { ...group, items }
+  })
+  return { groups: converted, uncovered }
+}
@@ -0,0 +1,84 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { countiesOf, crosswalk, crosswalkGroups } from './crosswalk'
+import { loadZips } from './gazetteer'
+
+// San Francisco-Oakland-Hayward CBSA: San Francisco, Alameda, Contra Costa, Marin, San Mateo
+const SF_METRO = ['06001', '06013', '06041', '06075', '06081']
+
+describe('countiesOf', () => {
+  it('lists the counties a region covers', () => {
+    expect(countiesOf('county', '06075')).toEqual(['06075'])
+    expect(countiesOf('county', '99999')).toEqual([])
+    expect([...countiesOf('cbsa', '41860')].sort()).toEqual(SF_METRO)
+    expect(countiesOf('state', 'DE')).toEqual(['10001', '10003', '10005'])
+  })
+})
+
+describe('crosswalk', () => {
+  it('maps counties to the metro areas they belong to and reports the rest', () => {
+    // San Benito County (06069) is in a different CBSA; Alpine County (06003) is in none
+    const result = crosswalk('county', ['06075', '06001', '06003'], 'cbsa')
+    expect(result.codes).toEqual(['41860'])
+    expect(result.uncovered).toEqual(['06003'])
+  })
+
+  it('keeps only regions entirely within the selection in "within" mode', () => {
+    expect(crosswalk('county', ['06075', '06001'], 'cbsa', 'within').codes).toEqual([])
+    expect(crosswalk('county', SF_METRO, 'cbsa', 'within').codes).toEqual(['41860'])
+  })
+
+  it('expands metro areas and states into counties', () => {
+    expect(crosswalk('cbsa', ['41860'], 'county').codes).toEqual(SF_METRO)
+    expect(crosswalk('state', ['DE'], 'county').codes).toEqual(['10001', '10003', '10005'])
+  })
+
+  it('maps metro areas to every state they reach', () => {
+    // Philadelphia-Camden-Wilmington spans PA, NJ, DE and MD
+    expect(crosswalk('cbsa', ['37980'], 'state').codes).toEqual(['DE', 'MD', 'NJ', 'PA'])
+    expect(crosswalk('cbsa', ['37980'], 'state', 'within').codes).toEqual([])
+  })
+
+  it('returns a copy of the codes within one level', () => {
+    const codes = ['CA']
+    const result = crosswalk('state', codes, 'state')
+    expect(result.codes).toEqual(['CA'])
+    expect(result.codes).not.toBe(codes)
+  })
+})
+
+describe('ZIP codes', () => {
+  beforeAll(() => loadZips())
+
+  it('places a ZIP code in its county', () => {
+    expect(countiesOf('zip', '79754')).toEqual(['48301'])
+    expect(countiesOf('zip', '00000')).toEqual([])
+    // Connecticut ZIPs follow the counties the boundaries have, not the planning regions
+    expect(countiesOf('zip', '06604')).toEqual(['09001'])
+  })
+
+  it('converts between counties and ZIP codes', () => {
+    expect(crosswalk('county', ['48301'], 'zip').codes).toEqual(['79754'])
+    expect(crosswalk('zip', ['79754', '94102'], 'county').codes).toEqual(['06075', '48301'])
+    expect(crosswalk('zip', ['94102'], 'cbsa').codes).toEqual(['41860'])
+  })
+
+  it('keeps only regions whose ZIP codes are all selected in "within" mode', () => {
+    expect(crosswalk('zip', ['79754', '94102'], 'county', 'within').codes).toEqual(['48301'])
+    expect(crosswalk('county', ['06075'], 'zip', 'within').codes).toContain('94102')
+  })
+})
+
+describe('crosswalkGroups', () => {
+  it('keeps groups and gives a region shared by two groups to the first', () => {
+    const groups = [
+      { id: 'a', name: 'A', color: '#000', items: ['06075'] },
+      { id: 'b', name: 'B', color: '#fff', items: ['06001', '06003'] }
+    ]
+    const result = crosswalkGroups('county', groups, 'cbsa')
+    expect(result.groups).toEqual([
+      { id: 'a', name: 'A', color: '#000', items: ['41860'] },
+      { id: 'b', name: 'B', color: '#fff', items: [] }
+    ])
+    expect(result.uncovered).toEqual(['06003'])
+  })
+})
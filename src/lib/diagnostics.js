@@ -0,0 +1,218 @@
+import { BOUNDARY_RESOLUTIONS, loadCountyBoundaries, loadLevelPolygons, loadStateBoundaries, loadTopology } from './boundaries'
+import { loadGoogleMapsApi } from './googleMapProvider'
+import * as local from './localStore'
+import { createApiClient } from './selectionsApi'
+
+// Health checks for the /test page. Each check gets the current settings and resolves with
+// { status, detail } where status is 'ok', 'warn', 'fail' or 'skip'; `runCheck` adds timing.
+// Nothing here reports secrets: API keys and tokens only appear masked.
+
+const ROOT_TIMEOUT_MS = 8000
+// How long to wait for Google to reject a key after creating a map with it
+const AUTH_FAILURE_WAIT_MS = 4000
+// Expected feature counts in the bundled us-atlas topology
+const EXPECTED_COUNTIES = 3231
+const EXPECTED_STATES = 56
+
+function result(status, detail) {
+  return { status, detail }
+}
+
+export function maskSecret(value) {
+  if (!value) return 'not set'
+  return value.length <= 8 ? 'set' : `${value.slice(0, 4)}…${value.slice(-2)}`
+}
+
+async function fetchJson(url, timeoutMs = ROOT_TIMEOUT_MS) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+  try {
+    const res = await fetch(url, { headers: { Accept: 'application/json' }, signal: controller.signal })
+    const text = await res.text()
+    let data = text
+    try {
+      data = JSON.parse(text)
+    } catch {
+      // Not JSON; keep the text
+    }
+    return { res, data }
+  } catch (e) {
+    throw new Error(controller.signal.aborted ? `no answer within ${timeoutMs / 1000} s` : `could not connect (${e.message})`)
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+function clientFor(settings) {
+  return createApiClient({ baseUrl: settings.backendUrl, token: settings.apiToken, retries: 0 })
+}
+
+// A selection that is created and deleted again by the round-trip check
+function probeSelection() {
+  return { name: `Diagnostics check ${new Date().toISOString()}`, level: 'state', items: ['DC'] }
+}
+
+async function checkBackendRoot({ backendUrl }) {
+  if (!backendUrl) return result('skip', 'No backend URL configured; selections are only saved in this browser')
+  const { res, data } = await fetchJson(`${backendUrl}/`)
+  if (!res.ok) return result('fail', `${backendUrl}/ answered ${res.status} ${res.statusText}`)
+  return result('ok', `${backendUrl} answered${data?.message ? `: ${data.message}` : ''}`)
+}
+
+async function checkDatabase({ backendUrl }) {
+  if (!backendUrl) return result('skip', 'No backend URL configured')
+  const { res, data } = await fetchJson(`${backendUrl}/test`)
+  if (!res.ok) return result('warn', `/test answered ${res.status}; database status unknown`)
+  const parts = [data.database, data.database_name, data.connection_status].filter(Boolean)
+  const collections = Array.isArray(data.collections) && data.collections.length ? ` (collections: ${data.collections.join(', ')})` : ''
+  return result('ok', `${parts.join(' • ') || 'reachable'}${collections}`)
+}
+
+async function checkList(settings) {
+  if (!settings.backendUrl) return result('skip', 'No backend URL configured')
+  const list = await clientFor(settings).listSelections()
+  return result('ok', `GET /api/selections returned ${list.length} selection${list.length === 1 ? '' : 's'}`)
+}
+
+// Create, read back, export as CSV and delete a throwaway selection
+async function checkRoundTrip(settings) {
+  if (!settings.backendUrl) return result('skip', 'No backend URL configured')
+  if (!settings.writeTest) return result('skip', 'Write test turned off')
+  const api = clientFor(settings)
+  const probe = probeSelection()
+  const created = await api.createSelection(probe)
+  const id = created?.id ?? (await api.listSelections()).find(s => s.name === probe.name)?.id
+  if (id === undefined) return result('fail', 'POST succeeded but the new selection could not be found')
+
+  async function verify() {
+    const stored = await api.getSelection(id)
+    if (stored.items.join() !== probe.items.join()) return result('fail', `read back ${JSON.stringify(stored.items)} instead of ${JSON.stringify(probe.items)}`)
+    const csv = await (await api.exportSelectionCsv(id)).text()
+    if (!csv.includes(probe.items[0])) return result('warn', `create and read ok; export.csv does not list ${probe.items[0]}`)
+    return result('ok', 'read and export')
+  }
+
+  const outcome = await verify().catch(e => result('fail', e.message))
+  try {
+    await api.deleteSelection(id)
+  } catch (e) {
+    return result('fail', `${outcome.detail}; deleting the temporary selection ${id} failed: ${e.message}`)
+  }
+  return outcome.status === 'ok' ? result('ok', `Create, read, export and delete of a temporary selection (id ${id}) succeeded`) : outcome
+}
+
+// Google reports rejected keys (invalid, API not enabled, referrer not allowed) through the
+// global gm_authFailure callback after a map is created, so create one off screen and wait
+async function checkGoogleMaps({ apiKey, mapRenderer }) {
+  if (!apiKey) return result('skip', 'No Google Maps API key; the offline map is used')
+  const maps = await loadGoogleMapsApi(apiKey)
+  const container = document.createElement('div')
+  container.style.cssText = 'position:absolute;left:-9999px;width:100px;height:100px'
+  document.body.appendChild(container)
+  const previous = window.gm_authFailure
+  try {
+    const rejected = await new Promise(resolve => {
+      window.gm_authFailure = () => resolve(true)
+      new maps.Map(container, { center: { lat: 39.8, lng: -98.6 }, zoom: 4 })
+      setTimeout(() => resolve(false), AUTH_FAILURE_WAIT_MS)
+    })
+    if (rejected) return result('fail', `Key ${maskSecret(apiKey)} was rejected: invalid, Maps JavaScript API not enabled, or this site is not an allowed referrer`)
+    const note = mapRenderer === 'svg' ? ' (the offline map is forced in Settings)' : ''
+    return result('ok', `Maps JavaScript API ${maps.version || ''} loaded with key ${maskSecret(apiKey)}${note}`)
+  } finally {
+    window.gm_authFailure = previous
+    container.remove()
+  }
+}
+
+async function checkBoundaries() {
+  const topology = await loadTopology()
+  const [counties, states] = await Promise.all([loadCountyBoundaries(), loadStateBoundaries()])
+  const detail = `${counties.features.length} counties, ${states.features.length} states and territories (${Object.keys(topology.objects).join(', ')})`
+  const complete = counties.features.length === EXPECTED_COUNTIES && states.features.length === EXPECTED_STATES
+  return result(complete ? 'ok' : 'warn', complete ? detail : `${detail}; expected ${EXPECTED_COUNTIES} counties and ${EXPECTED_STATES} states`)
+}
+
+// The simplified files used when zoomed out must hold the same regions as the full-detail ones
+async function checkSimplified() {
+  const expected = { state: EXPECTED_STATES, county: EXPECTED_COUNTIES }
+  const problems = []
+  const resolutions = BOUNDARY_RESOLUTIONS.filter(r => r.id !== 'high').map(r => r.id)
+  for (const resolution of resolutions) {
+    for (const level of ['state', 'county']) {
+      const fc = await loadLevelPolygons(level, resolution)
+      const unmatched = fc.features.filter(f => !f.properties.code).length
+      if (fc.features.length !== expected[level]) problems.push(`${level}-${resolution} has ${fc.features.length} regions instead of ${expected[level]}`)
+      if (unmatched) problems.push(`${level}-${resolution} has ${unmatched} regions without a code`)
+    }
+  }
+  const cached = typeof caches === 'undefined' ? '; the Cache API is unavailable, so they are downloaded on every visit' : ''
+  if (problems.length) return result('warn', `${problems.join('; ')}${cached}`)
+  return result(cached ? 'warn' : 'ok', `${resolutions.join(' and ')} resolutions of states and counties loaded${cached}`)
+}
+
+async function checkLocalStorage() {
+  const key = 'diagnostics_probe'
+  try {
+    localStorage.setItem(key, '1')
+    const ok = localStorage.getItem(key) === '1'
+    localStorage.removeItem(key)
+    return ok ? result('ok', `Read and write work (${localStorage.length} keys stored)`) : result('fail', 'Written value could not be read back')
+  } catch (e) {
+    return result('fail', `Not available: ${e.message}. Settings will not be remembered.`)
+  }
+}
+
+async function checkIndexedDb() {
+  const persistent = await local.isPersistent().catch(() => false)
+  const [saved, queue] = await Promise.all([local.getAll(local.SELECTIONS), local.getAll(local.QUEUE)])
+  const counts = `${saved.filter(r => !r.deleted).length} saved selections, ${queue.length} waiting to sync`
+  if (!persistent) return result('warn', `IndexedDB unavailable; using memory only, so saved selections are lost on reload (${counts})`)
+  const persisted = navigator.storage?.persisted ? await navigator.storage.persisted() : null
+  return result('ok', `${counts}${persisted === false ? '; the browser may evict this data under storage pressure' : ''}`)
+}
+
+export const CHECKS = [
+  { id: 'backend', group: 'Backend', label: 'Backend reachable', run: checkBackendRoot },
+  { id: 'database', group: 'Backend', label: 'Database status (/test)', run: checkDatabase },
+  { id: 'list', group: 'Backend', label: 'List selections', run: checkList },
+  { id: 'roundtrip', group: 'Backend', label: 'Create, read, export, delete', run: checkRoundTrip },
+  { id: 'google', group: 'Map', label: 'Google Maps key and script', run: checkGoogleMaps },
+  { id: 'boundaries', group: 'Map', label: 'Bundled boundaries', run: checkBoundaries },
+  { id: 'simplified', group: 'Map', label: 'Simplified boundaries', run: checkSimplified },
+  { id: 'localStorage', group: 'Browser', label: 'localStorage (settings)', run: checkLocalStorage },
+  { id: 'indexedDb', group: 'Browser', label: 'IndexedDB (saved selections)', run: checkIndexedDb }
+]
+
+// Run one check, never throwing: errors become a 'fail' result
+export async function runCheck(check, settings) {
+  const start = performance.now()
+  try {
+    const { status, detail } = await check.run(settings)
+    return { id: check.id, status, detail, ms: Math.round(performance.now() - start) }
+  } catch (e) {
+    return { id: check.id, status: 'fail', detail: e.message, ms: Math.round(performance.now() - start) }
+  }
+}
+
+// Plain-text report for support tickets
+export function diagnosticsReport(results, settings) {
+  const lines = [
+    'Geo Shade Builder diagnostics',
+    `Time: ${new Date().toISOString()}`,
+    `Page: ${window.location.origin}`,
+    `Browser: ${navigator.userAgent}`,
+    `Online: ${navigator.onLine ? 'yes' : 'no'}`,
+    `Backend URL: ${settings.backendUrl || 'not set'}`,
+    `API token: ${maskSecret(settings.apiToken)}`,
+    `Google Maps key: ${maskSecret(settings.apiKey)}`,
+    `Map renderer setting: ${settings.mapRenderer}`,
+    ''
+  ]
+  CHECKS.forEach(check => {
+    const r = results[check.id]
+    if (!r) return
+    lines.push(`[${r.status.toUpperCase()}] ${check.group} / ${check.label} (${r.ms} ms): ${r.detail}`)
+  })
+  return lines.join('\n') + '\n'
+}
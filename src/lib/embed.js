@@ -0,0 +1,59 @@
+import { xmlEscape } from './export'
+import * as local from './localStore'
+
+// Read-only viewer for saved selections: /view/:id as a full page, /embed/:id for iframes in
+// wikis and dashboards. Display options travel in the query string:
+//
+//   /embed/42?fit=0&legend=0&theme=dark&backend=https://api.example.com
+//
+//   fit      1 (default) zooms to the selection, 0 keeps the default country view
+//   legend   1 (default) shows the group legend, 0 hides it
+//   theme    'light' (default) or 'dark'
+//   backend  where to load the selection from; an iframe on another site cannot read the
+//            settings stored by the app, so embed links carry it
+
+export const VIEWER_THEMES = [
+  { id: 'light', label: 'Light' },
+  { id: 'dark', label: 'Dark' }
+]
+
+export const DEFAULT_EMBED_SIZE = { width: 800, height: 500 }
+
+export function parseViewerOptions(params) {
+  const theme = params.get('theme')
+  return {
+    fit: params.get('fit') !== '0',
+    legend: params.get('legend') !== '0',
+    theme: VIEWER_THEMES.some(t => t.id === theme) ? theme : 'light'
+  }
+}
+
+// Absolute viewer link; only non-default options are written
+export function viewerUrl(id, { embed = false, fit = true, legend = true, theme = 'light', backendUrl = '' } = {}) {
+  const url = new URL(`/${embed ? 'embed' : 'view'}/${encodeURIComponent(id)}`, window.location.origin)
+  if (!fit) url.searchParams.set('fit', '0')
+  if (!legend) url.searchParams.set('legend', '0')
+  if (theme !== 'light') url.searchParams.set('theme', theme)
+  // A build-time backend is already known to the viewer
+  if (backendUrl && backendUrl !== import.meta.env.VITE_BACKEND_URL) url.searchParams.set('backend', backendUrl)
+  return url.toString()
+}
+
+export function embedSnippet(id, { name, width = DEFAULT_EMBED_SIZE.width, height = DEFAULT_EMBED_SIZE.height, ...options } = {}) {
+  const src = viewerUrl(id, { ...options, embed: true })
+  return `<iframe src="${xmlEscape(src)}" title="${xmlEscape(name || 'Territory map')}" width="${width}" height="${height}" style="border:0" loading="lazy" allowfullscreen></iframe>`
+}
+
+// The selection with this server id, through an API client from lib/selectionsApi. When the
+// backend cannot be reached, a copy stored in this browser (matched by server or local id) is
+// shown instead.
+export async function loadViewerSelection(api, id) {
+  try {
+    return await api.getSelection(id)
+  } catch (e) {
+    const records = await local.getAll(local.SELECTIONS).catch(() => [])
+    const record = records.find(r => !r.deleted && (String(r.id) === id || r.localId === id))
+    if (record) return record
+    throw e
+  }
+}
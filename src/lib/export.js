@@ -0,0 +1,197 @@
+import JSZip from 'jszip'
+import { loadBoundaries } from './boundaries'
+import { getCbsa, getCounty, getState, getZip, loadLevelNames } from './gazetteer'
+import { groupIndex } from './groups'
+import { levelNoun } from './levels'
+import { KM2_PER_SQ_MI, landAreaOf, populationOf, selectionStats } from './stats'
+import { writeShapefile } from './shapefile'
+
+export const EXPORT_FORMATS = [
+  { id: 'geojson', label: 'GeoJSON', extension: 'geojson' },
+  { id: 'kml', label: 'KML', extension: 'kml' },
+  { id: 'shapefile', label: 'Shapefile (zip)', extension: 'zip' },
+  { id: 'csv', label: 'CSV', extension: 'csv' }
+]
+
+// Attribute columns shared by every format
+const FIELDS = ['name', 'code', 'fips', 'state', 'group', 'land_sqmi', 'population']
+
+const DEFAULT_COLOR = '#3b82f6'
+
+function attributesFor(level, code) {
+  if (level === 'zip') {
+    // ZIP codes carry the FIPS of the county they are in
+    const zip = getZip(code)
+    return { name: zip?.label || code, code, fips: zip?.county || '', state: zip?.state || '' }
+  }
+  if (level === 'cbsa') {
+    const cbsa = getCbsa(code)
+    return { name: cbsa?.label || code, code, fips: code, state: cbsa?.states.join(' ') || '' }
+  }
+  if (level === 'county') {
+    const county = getCounty(code)
+    return { name: county?.label || code, code, fips: code, state: county?.state || '' }
+  }
+  const state = getState(code)
+  return { name: state?.name || code, code, fips: state?.fips || '', state: code }
+}
+
+// Land area in square miles to one decimal, or null where it is not known (ZIP codes)
+function landAreaSqmi(level, code) {
+  const km2 = landAreaOf(level, code)
+  return km2 === null ? null : Math.round(km2 / KM2_PER_SQ_MI * 10) / 10
+}
+
+// Where a ZIP code is: a point, not the circle the map draws it as, since no ZIP code boundaries
+// are bundled
+function zipPoint(code) {
+  const zip = getZip(code)
+  return zip ? { type: 'Point', coordinates: [zip.lng, zip.lat] } : null
+}
+
+// One feature per selected code, with geometry from the bundled boundaries, or a point for ZIP
+// codes (null when missing or when `geometry` is false, e.g. for CSV). Features carry their
+// group's name and color and their land area and population; the collection carries the
+// selection totals in `summary`.
+export async function selectionFeatureCollection(level, codes, { geometry = true, groups = [], metric = null } = {}) {
+  const groupByCode = groupIndex(groups)
+  await loadLevelNames(level)
+  const boundaries = geometry && level !== 'zip' ? await loadBoundaries(level) : { features: [] }
+  const geometryByCode = new Map(boundaries.features.map(f => [f.properties.code, f.geometry]))
+  const geometryOf = code => (geometry && level === 'zip' ? zipPoint(code) : geometryByCode.get(code) || null)
+  const stats = selectionStats(level, codes, { metric })
+  return {
+    type: 'FeatureCollection',
+    summary: {
+      level,
+      count: stats.count,
+      land_sqmi: stats.landAreaKm2 === null ? null : Math.round(stats.landAreaKm2 / KM2_PER_SQ_MI),
+      population: stats.population,
+      population_known: stats.populationKnown
+    },
+    features: codes.map(code => ({
+      type: 'Feature',
+      id: code,
+      properties: {
+        ...attributesFor(level, code),
+        group: groupByCode.get(code)?.name || '',
+        color: groupByCode.get(code)?.color || DEFAULT_COLOR,
+        land_sqmi: landAreaSqmi(level, code),
+        population: populationOf(level, code, metric)
+      },
+      geometry: geometryOf(code)
+    }))
+  }
+}
+
+function csvCell(value) {
+  const text = String(value ?? '')
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// One row per region and nothing else, so the file joins and re-imports cleanly; the selection
+// totals are in the GeoJSON and KML exports and the on-screen summary
+export function toCsv(fc) {
+  const rows = fc.features.map(f => FIELDS.map(k => csvCell(f.properties[k])).join(','))
+  return [FIELDS.join(','), ...rows].join('\n') + '\n'
+}
+
+export function xmlEscape(text) {
+  return String(text ?? '').replace(/[<>&'"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[ch])
+}
+
+// KML colors are aabbggrr
+function kmlColor(hex, alpha) {
+  return alpha + hex.slice(5, 7) + hex.slice(3, 5) + hex.slice(1, 3)
+}
+
+function kmlRing(ring) {
+  return `<LinearRing><coordinates>${ring.map(([x, y]) => `${x},${y}`).join(' ')}</coordinates></LinearRing>`
+}
+
+function kmlGeometry(geometry) {
+  if (!geometry) return ''
+  if (geometry.type === 'Point') return `<Point><coordinates>${geometry.coordinates.join(',')}</coordinates></Point>`
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+  const parts = polygons.map(([outer, ...holes]) => (
+    `<Polygon><outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>` +
+    holes.map(h => `<innerBoundaryIs>${kmlRing(h)}</innerBoundaryIs>`).join('') +
+    '</Polygon>'
+  ))
+  return parts.length === 1 ? parts[0] : `<MultiGeometry>${parts.join('')}</MultiGeometry>`
+}
+
+function summaryText(summary) {
+  if (!summary) return ''
+  const parts = [`${summary.count} ${levelNoun(summary.level, summary.count)}`]
+  if (summary.land_sqmi !== null) parts.push(`${summary.land_sqmi.toLocaleString('en-US')} sq mi land`)
+  if (summary.population !== null) parts.push(`population ${summary.population.toLocaleString('en-US')}`)
+  return parts.join(', ')
+}
+
+// One style per group color: fill at ~55% opacity, opaque outline
+export function toKml(fc, title) {
+  const colors = [...new Set(fc.features.map(f => f.properties.color))]
+  const styles = colors.map((color, i) => (
+    `<Style id="group-${i}"><LineStyle><color>${kmlColor(color, 'ff')}</color><width>2</width></LineStyle>` +
+    `<PolyStyle><color>${kmlColor(color, '8c')}</color></PolyStyle></Style>`
+  ))
+  const placemarks = fc.features.map(f => (
+    `<Placemark><name>${xmlEscape(f.properties.name)}</name><styleUrl>#group-${colors.indexOf(f.properties.color)}</styleUrl>` +
+    `<ExtendedData>${FIELDS.map(k => `<Data name="${k}"><value>${xmlEscape(f.properties[k])}</value></Data>`).join('')}</ExtendedData>` +
+    kmlGeometry(f.geometry) +
+    '</Placemark>'
+  ))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+    `<name>${xmlEscape(title)}</name>`,
+    `<description>${xmlEscape(summaryText(fc.summary))}</description>`,
+    ...styles,
+    ...placemarks,
+    '</Document></kml>',
+    ''
+  ].join('\n')
+}
+
+export async function toShapefileZip(fc, basename) {
+  const files = writeShapefile(fc, FIELDS)
+  const zip = new JSZip()
+  Object.entries(files).forEach(([ext, content]) => zip.file(`${basename}.${ext}`, content))
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' })
+}
+
+export function fileBasename(name) {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'selection'
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// Build the requested file from the current selection and hand it to the browser
+export async function exportSelection(format, { name, level, items, groups, metric }) {
+  const fc = await selectionFeatureCollection(level, items, { geometry: format !== 'csv', groups, metric })
+  const basename = fileBasename(name)
+  let blob
+  if (format === 'geojson') {
+    blob = new Blob([JSON.stringify(fc)], { type: 'application/geo+json' })
+  } else if (format === 'kml') {
+    blob = new Blob([toKml(fc, name)], { type: 'application/vnd.google-earth.kml+xml' })
+  } else if (format === 'shapefile') {
+    blob = await toShapefileZip(fc, basename)
+  } else if (format === 'csv') {
+    blob = new Blob([toCsv(fc)], { type: 'text/csv' })
+  } else {
+    throw new Error(`Unknown export format: ${format}`)
+  }
+  const { extension } = EXPORT_FORMATS.find(f => f.id === format)
+  downloadBlob(blob, `${basename}.${extension}`)
+}
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest'
+import { selectionFeatureCollection, toCsv, toKml } from './export'
+import { parseImport } from './importer'
+import { writeShapefile } from './shapefile'
+
+describe('toCsv', () => {
+  it('lists only the regions, with the totals kept in the summary', async () => {
+    const fc = await selectionFeatureCollection('state', ['CA', 'NV'], { geometry: false })
+    const lines = toCsv(fc).trim().split('\n')
+    expect(lines[0]).toBe('name,code,fips,state,group,land_sqmi,population')
+    expect(lines).toHaveLength(3)
+    expect(lines[1].startsWith('California,CA,06,CA,')).toBe(true)
+    expect(lines.some(line => line.startsWith('Total,'))).toBe(false)
+    expect(fc.summary.population).toBe(fc.features.reduce((sum, f) => sum + f.properties.population, 0))
+  })
+
+  it('re-imports as the same regions', async () => {
+    const fc = await selectionFeatureCollection('county', ['06075', '06001'], { geometry: false })
+    const result = parseImport(toCsv(fc), { filename: 'selection.csv' })
+    expect(result.codes).toEqual(['06075', '06001'])
+    expect(result.unmatched).toEqual([])
+  })
+})
+
+describe('ZIP code exports', () => {
+  it('exports ZIP codes as points, not as the circles the map draws', async () => {
+    const fc = await selectionFeatureCollection('zip', ['94102', '60601'])
+    expect(fc.features.map(f => f.geometry.type)).toEqual(['Point', 'Point'])
+    expect(fc.features[0].properties.fips).toBe('06075')
+    expect(toKml(fc, 'ZIPs')).toContain('<Point><coordinates>')
+    const { shp } = writeShapefile(fc, ['name'])
+    const view = new DataView(shp)
+    expect(view.getInt32(32, true)).toBe(1)
+    expect(shp.byteLength).toBe(100 + 2 * (8 + 20))
+  })
+})
@@ -0,0 +1,268 @@
+import cbsaRows from '../data/cbsa.json'
+import countyRows from '../data/counties.json'
+
+// Every state, DC and inhabited territory with postal code and 2-digit FIPS
+export const STATES = [
+  { code: 'AL', name: 'Alabama', fips: '01', type: 'state' },
+  { code: 'AK', name: 'Alaska', fips: '02', type: 'state' },
+  { code: 'AZ', name: 'Arizona', fips: '04', type: 'state' },
+  { code: 'AR', name: 'Arkansas', fips: '05', type: 'state' },
+  { code: 'CA', name: 'California', fips: '06', type: 'state' },
+  { code: 'CO', name: 'Colorado', fips: '08', type: 'state' },
+  { code: 'CT', name: 'Connecticut', fips: '09', type: 'state' },
+  { code: 'DE', name: 'Delaware', fips: '10', type: 'state' },
+  { code: 'DC', name: 'District of Columbia', fips: '11', type: 'district' },
+  { code: 'FL', name: 'Florida', fips: '12', type: 'state' },
+  { code: 'GA', name: 'Georgia', fips: '13', type: 'state' },
+  { code: 'HI', name: 'Hawaii', fips: '15', type: 'state' },
+  { code: 'ID', name: 'Idaho', fips: '16', type: 'state' },
+  { code: 'IL', name: 'Illinois', fips: '17', type: 'state' },
+  { code: 'IN', name: 'Indiana', fips: '18', type: 'state' },
+  { code: 'IA', name: 'Iowa', fips: '19', type: 'state' },
+  { code: 'KS', name: 'Kansas', fips: '20', type: 'state' },
+  { code: 'KY', name: 'Kentucky', fips: '21', type: 'state' },
+  { code: 'LA', name: 'Louisiana', fips: '22', type: 'state' },
+  { code: 'ME', name: 'Maine', fips: '23', type: 'state' },
+  { code: 'MD', name: 'Maryland', fips: '24', type: 'state' },
+  { code: 'MA', name: 'Massachusetts', fips: '25', type: 'state' },
+  { code: 'MI', name: 'Michigan', fips: '26', type: 'state' },
+  { code: 'MN', name: 'Minnesota', fips: '27', type: 'state' },
+  { code: 'MS', name: 'Mississippi', fips: '28', type: 'state' },
+  { code: 'MO', name: 'Missouri', fips: '29', type: 'state' },
+  { code: 'MT', name: 'Montana', fips: '30', type: 'state' },
+  { code: 'NE', name: 'Nebraska', fips: '31', type: 'state' },
+  { code: 'NV', name: 'Nevada', fips: '32', type: 'state' },
+  { code: 'NH', name: 'New Hampshire', fips: '33', type: 'state' },
+  { code: 'NJ', name: 'New Jersey', fips: '34', type: 'state' },
+  { code: 'NM', name: 'New Mexico', fips: '35', type: 'state' },
+  { code: 'NY', name: 'New York', fips: '36', type: 'state' },
+  { code: 'NC', name: 'North Carolina', fips: '37', type: 'state' },
+  { code: 'ND', name: 'North Dakota', fips: '38', type: 'state' },
+  { code: 'OH', name: 'Ohio', fips: '39', type: 'state' },
+  { code: 'OK', name: 'Oklahoma', fips: '40', type: 'state' },
+  { code: 'OR', name: 'Oregon', fips: '41', type: 'state' },
+  { code: 'PA', name: 'Pennsylvania', fips: '42', type: 'state' },
+  { code: 'RI', name: 'Rhode Island', fips: '44', type: 'state' },
+  { code: 'SC', name: 'South Carolina', fips: '45', type: 'state' },
+  { code: 'SD', name: 'South Dakota', fips: '46', type: 'state' },
+  { code: 'TN', name: 'Tennessee', fips: '47', type: 'state' },
+  { code: 'TX', name: 'Texas', fips: '48', type: 'state' },
+  { code: 'UT', name: 'Utah', fips: '49', type: 'state' },
+  { code: 'VT', name: 'Vermont', fips: '50', type: 'state' },
+  { code: 'VA', name: 'Virginia', fips: '51', type: 'state' },
+  { code: 'WA', name: 'Washington', fips: '53', type: 'state' },
+  { code: 'WV', name: 'West Virginia', fips: '54', type: 'state' },
+  { code: 'WI', name: 'Wisconsin', fips: '55', type: 'state' },
+  { code: 'WY', name: 'Wyoming', fips: '56', type: 'state' },
+  { code: 'AS', name: 'American Samoa', fips: '60', type: 'territory' },
+  { code: 'GU', name: 'Guam', fips: '66', type: 'territory' },
+  { code: 'MP', name: 'Northern Mariana Islands', fips: '69', type: 'territory' },
+  { code: 'PR', name: 'Puerto Rico', fips: '72', type: 'territory' },
+  { code: 'VI', name: 'U.S. Virgin Islands', fips: '78', type: 'territory' }
+]
+
+// Alternate spellings used by boundary datasets and geocoders
+const STATE_NAME_ALIASES = {
+  'commonwealth of the northern mariana islands': 'MP',
+  'united states virgin islands': 'VI',
+  'virgin islands': 'VI',
+  'washington, d.c.': 'DC',
+  'washington dc': 'DC'
+}
+
+const stateByCode = new Map(STATES.map(s => [s.code, s]))
+const stateByFipsCode = new Map(STATES.map(s => [s.fips, s]))
+const stateByLowerName = new Map(STATES.map(s => [s.name.toLowerCase(), s]))
+
+// Counties (and county equivalents: parishes, boroughs, independent cities, municipios, ...)
+// keyed by 5-digit FIPS; the parent state is the first two digits
+export const COUNTIES = countyRows.map(([fips, name]) => {
+  const state = stateByFipsCode.get(fips.slice(0, 2))
+  return { code: fips, fips, name, state: state.code, label: `${name}, ${state.code}` }
+})
+
+const countyByFipsCode = new Map(COUNTIES.map(c => [c.fips, c]))
+const countyByLowerLabel = new Map(COUNTIES.map(c => [c.label.toLowerCase(), c]))
+
+// Legal/statistical descriptions stripped when matching loose county names
+const COUNTY_SUFFIX = /\s+(county|parish|borough|city and borough|census area|municipality|municipio|district|island|city)$/i
+
+function normalizeCountyName(name) {
+  return name
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^saint\s/, 'st. ')
+    .replace(/^st\s/, 'st. ')
+    .replace(COUNTY_SUFFIX, '')
+    .replace(/[^a-z0-9.' ]/g, '')
+    .trim()
+}
+
+// "<normalized name>|<ST>" -> counties. Several entries can share a key (e.g. Fairfax County
+// and Fairfax city, VA), so lookups prefer an exact suffix match before falling back.
+const countiesByLooseKey = new Map()
+COUNTIES.forEach(c => {
+  const key = `${normalizeCountyName(c.name)}|${c.state}`
+  if (!countiesByLooseKey.has(key)) countiesByLooseKey.set(key, [])
+  countiesByLooseKey.get(key).push(c)
+})
+
+export function getState(code) {
+  return stateByCode.get(String(code || '').toUpperCase()) || null
+}
+
+export function getStateByFips(fips) {
+  return stateByFipsCode.get(String(fips || '').padStart(2, '0')) || null
+}
+
+export function getStateByName(name) {
+  const lower = String(name || '').trim().toLowerCase()
+  const code = STATE_NAME_ALIASES[lower]
+  return code ? stateByCode.get(code) : (stateByLowerName.get(lower) || null)
+}
+
+export function getCounty(fips) {
+  return countyByFipsCode.get(String(fips || '').padStart(5, '0')) || null
+}
+
+export function countiesInState(stateCode) {
+  const state = getState(stateCode)
+  return state ? COUNTIES.filter(c => c.fips.startsWith(state.fips)) : []
+}
+
+// Resolve a county from a name as geocoders and spreadsheets write it ("Los Angeles",
+// "Los Angeles County", "St Louis city") and the state's postal code
+export function findCounty(name, stateCode) {
+  const state = getState(stateCode)
+  if (!name || !state) return null
+  const exact = countyByLowerLabel.get(`${name.trim().toLowerCase()}, ${state.code.toLowerCase()}`)
+  if (exact) return exact
+  const matches = countiesByLooseKey.get(`${normalizeCountyName(name)}|${state.code}`) || []
+  if (matches.length <= 1) return matches[0] || null
+  // Ambiguous base name: a bare name means the county, "... city" means the independent city
+  const isCity = /\scity$/i.test(name.trim())
+  return matches.find(c => /\scity$/i.test(c.name) === isCity) || matches[0]
+}
+
+// Core-based statistical areas (metro and micropolitan areas) by 5-digit CBSA code, with their
+// member counties (2010 delineation, see scripts/build-gazetteer.js). No official titles are
+// bundled: a CBSA is named after its main place, the one with the most ZIP codes ("Chicago,
+// IL-IN-WI"), or after its member counties when no place leads ("Alameda-Contra Costa +3, CA").
+// `places` lists its main places for search.
+const CBSA_NAMED_COUNTIES = 2
+
+export const CBSAS = cbsaRows.map(([code, counties, place, places]) => {
+  const members = counties.map(fips => countyByFipsCode.get(fips))
+  const states = [...new Set(members.map(c => c.state))]
+  const names = members.map(c => c.name.replace(COUNTY_SUFFIX, '')).sort((a, b) => a.localeCompare(b))
+  const more = names.length - CBSA_NAMED_COUNTIES
+  const name = place || names.slice(0, CBSA_NAMED_COUNTIES).join('-') + (more > 0 ? ` +${more}` : '')
+  return { code, counties, states, name, label: `${name}, ${states.join('-')}`, places }
+})
+
+const cbsaByCode = new Map(CBSAS.map(c => [c.code, c]))
+const cbsaByCounty = new Map(CBSAS.flatMap(c => c.counties.map(fips => [fips, c])))
+
+export function getCbsa(code) {
+  return cbsaByCode.get(String(code || '')) || null
+}
+
+const cbsaByName = new Map()
+CBSAS.forEach(c => [c.label, c.name].forEach(name => {
+  const key = name.toLowerCase()
+  if (!cbsaByName.has(key)) cbsaByName.set(key, c)
+}))
+
+// A CBSA by its label ("Alameda-Contra Costa +3, CA") or its name without the states
+export function findCbsa(name) {
+  return cbsaByName.get(String(name || '').trim().toLowerCase()) || null
+}
+
+// The CBSA a county belongs to, or null for counties outside every metro or micropolitan area
+export function cbsaOfCounty(fips) {
+  return cbsaByCounty.get(String(fips || '').padStart(5, '0')) || null
+}
+
+// ZIP codes from GeoNames, each with its county, place and location: the postal codes
+// themselves, not Census ZCTA boundaries. The list is large, so it is loaded on demand;
+// lookups return nothing until loadZips() has resolved.
+let zipByCode = new Map()
+let zipsByCounty = new Map()
+let zipsLoading = null
+
+export function loadZips() {
+  if (!zipsLoading) {
+    zipsLoading = import('../data/zips.json')
+      .then(({ default: rows }) => {
+        const zips = rows.flatMap(([fips, place, codes]) => {
+          const state = stateByFipsCode.get(fips.slice(0, 2)).code
+          return codes.map(([code, lng, lat]) => ({ code, county: fips, state, place, lng, lat, label: `${code} ${place}, ${state}` }))
+        })
+        zipByCode = new Map(zips.map(z => [z.code, z]))
+        zipsByCounty = new Map()
+        zips.forEach(z => {
+          if (!zipsByCounty.has(z.county)) zipsByCounty.set(z.county, [])
+          zipsByCounty.get(z.county).push(z)
+        })
+        return zips
+      })
+      .catch(e => {
+        zipsLoading = null
+        throw e
+      })
+  }
+  return zipsLoading
+}
+
+export function zipsLoaded() {
+  return zipByCode.size > 0
+}
+
+// Loads whatever a level needs before its names and crosswalks are available
+export function loadLevelNames(level) {
+  return level === 'zip' ? loadZips() : Promise.resolve()
+}
+
+export function getZip(code) {
+  return zipByCode.get(String(code || '')) || null
+}
+
+export function zipsInCounty(fips) {
+  return zipsByCounty.get(String(fips || '').padStart(5, '0')) || []
+}
+
+// Sidebar/list options for a level
+export function optionsForLevel(level) {
+  if (level === 'zip') {
+    return [...zipByCode.values()].map(z => ({
+      code: z.code,
+      name: z.label,
+      fips: z.county,
+      state: z.state,
+      stateName: stateByCode.get(z.state).name,
+      members: countyByFipsCode.get(z.county).name
+    }))
+  }
+  if (level === 'county') return COUNTIES.map(c => ({ code: c.code, name: c.label, fips: c.fips, state: c.state, stateName: stateByCode.get(c.state).name }))
+  if (level === 'cbsa') {
+    return CBSAS.map(c => ({
+      code: c.code,
+      name: c.label,
+      fips: c.code,
+      state: c.states[0],
+      stateName: c.states.map(st => stateByCode.get(st).name).join(', '),
+      members: [...c.places, ...c.counties.map(fips => countyByFipsCode.get(fips).name)].join(', ')
+    }))
+  }
+  return STATES.map(s => ({ code: s.code, name: s.name, fips: s.fips, state: s.code }))
+}
+
+// Human-readable name for a code at a level. Without a level the code's shape decides between
+// a state postal code and a county FIPS.
+export function labelFor(code, level) {
+  if (level === 'zip') return getZip(code)?.label || String(code)
+  if (level === 'cbsa') return getCbsa(code)?.label || String(code)
+  if (level === 'county' || (!level && /^\d{5}$/.test(String(code)))) return getCounty(code)?.label || String(code)
+  const state = getState(code)
+  return state ? state.name : String(code)
+}
@@ -0,0 +1,236 @@
+// Map provider backed by the Google Maps JS API (window.google.maps must be loaded). Each
+// feature collection goes into its own Data layer, kept for a while after it is replaced so
+// switching back (e.g. between levels) does not re-add every polygon. While a lasso or
+// rectangle is drawn the map stops panning and the polygons stop taking clicks so the map
+// receives the mouse events.
+
+// Drawn over the regular style for the highlighted region
+const HIGHLIGHT_STYLE = { strokeWeight: 4, zIndex: 3 }
+const SKETCH_STYLE = { strokeColor: '#1d4ed8', strokeWeight: 2, fillColor: '#2563eb', fillOpacity: 0.1, clickable: false }
+const MAX_CACHED_LAYERS = 4
+// Muted night palette for the 'dark' theme
+const DARK_STYLES = [
+  { elementType: 'geometry', stylers: [{ color: '#1e293b' }] },
+  { elementType: 'labels.text.fill', stylers: [{ color: '#94a3b8' }] },
+  { elementType: 'labels.text.stroke', stylers: [{ color: '#0f172a' }] },
+  { featureType: 'administrative', elementType: 'geometry.stroke', stylers: [{ color: '#475569' }] },
+  { featureType: 'road', elementType: 'geometry', stylers: [{ color: '#334155' }] },
+  { featureType: 'poi', stylers: [{ visibility: 'off' }] },
+  { featureType: 'water', elementType: 'geometry', stylers: [{ color: '#0f172a' }] }
+]
+
+// Load the Maps JS API with `apiKey`; resolves with google.maps once it is ready. A script
+// tag left by an earlier key is replaced.
+export function loadGoogleMapsApi(apiKey) {
+  if (window.google?.maps) return Promise.resolve(window.google.maps)
+  return new Promise((resolve, reject) => {
+    let script = document.getElementById('google-maps')
+    if (script && !(script.getAttribute('src') || '').includes(apiKey)) {
+      script.remove()
+      script = null
+    }
+    if (!script) {
+      script = document.createElement('script')
+      script.id = 'google-maps'
+      script.src = `https://maps.googleapis.com/maps/api/js?key=${encodeURIComponent(apiKey)}&libraries=places`
+      script.async = true
+      script.defer = true
+      document.body.appendChild(script)
+    }
+    script.addEventListener('load', () => {
+      if (window.google?.maps) resolve(window.google.maps)
+      else reject(new Error('The Google Maps script loaded but did not define google.maps'))
+    })
+    script.addEventListener('error', () => reject(new Error('The Google Maps script could not be loaded')))
+  })
+}
+
+export function createGoogleMap(container, { center, zoom, theme = 'light' }) {
+  const maps = window.google.maps
+  const map = new maps.Map(container, {
+    center,
+    zoom,
+    styles: theme === 'dark' ? DARK_STYLES : null,
+    mapTypeControl: false,
+    streetViewControl: false,
+    fullscreenControl: false
+  })
+  const listeners = new Set()
+  // FeatureCollection -> { data, featuresByCode }, most recently shown last
+  const layers = new Map()
+  let current = null
+  let highlighted = null
+  let styleFn = null
+  let drawMode = null
+  // Bumped to make the Data layer restyle single features (see updateStyle)
+  let styleRevision = 0
+  // Polygon and drawing events, forwarded from whichever Data layer is on display
+  const handlers = { click: new Set(), hover: new Set(), hoverend: new Set(), draw: new Set() }
+  const emit = (event, payload) => handlers[event].forEach(h => h(payload))
+
+  function containerPoint(domEvent) {
+    const rect = container.getBoundingClientRect()
+    return { x: domEvent.clientX - rect.left, y: domEvent.clientY - rect.top }
+  }
+
+  function createLayer(fc) {
+    const data = new maps.Data()
+    const featuresByCode = new Map()
+    data.addGeoJson(fc).forEach(f => {
+      const code = f.getProperty('code')
+      if (!featuresByCode.has(code)) featuresByCode.set(code, [])
+      featuresByCode.get(code).push(f)
+    })
+    data.addListener('click', e => emit('click', { code: e.feature.getProperty('code') }))
+    data.addListener('mousemove', e => emit('hover', { code: e.feature.getProperty('code'), ...containerPoint(e.domEvent) }))
+    data.addListener('mouseout', () => emit('hoverend'))
+    return { data, featuresByCode }
+  }
+
+  function dropLayer({ data }) {
+    maps.event.clearInstanceListeners(data)
+    data.setMap(null)
+  }
+
+  function applyStyle() {
+    // Polygons must not swallow mouse events while drawing
+    current?.data.setStyle(styleFn ? (feature) => ({ ...styleFn(feature.getProperty('code')), clickable: !drawMode }) : null)
+  }
+
+  // Lasso/rectangle drawing on the map's own mouse events
+  let sketch = null
+  const toLngLat = latLng => [latLng.lng(), latLng.lat()]
+  function sketchRing() {
+    if (drawMode !== 'rect') return sketch.points
+    const [[x1, y1], [x2, y2]] = [sketch.points[0], sketch.points[sketch.points.length - 1]]
+    return [[x1, y1], [x2, y1], [x2, y2], [x1, y2]]
+  }
+  map.addListener('mousedown', e => {
+    if (drawMode !== 'lasso' && drawMode !== 'rect') return
+    sketch = { points: [toLngLat(e.latLng)], shape: new maps.Polygon({ ...SKETCH_STYLE, map }) }
+  })
+  map.addListener('mousemove', e => {
+    if (!sketch) return
+    const point = toLngLat(e.latLng)
+    if (drawMode === 'rect') sketch.points = [sketch.points[0], point]
+    else sketch.points.push(point)
+    sketch.shape.setPath(sketchRing().map(([lng, lat]) => ({ lat, lng })))
+  })
+  map.addListener('mouseup', e => {
+    if (!sketch) return
+    const ring = sketch.points.length > 1 ? sketchRing() : []
+    sketch.shape.setMap(null)
+    sketch = null
+    if (ring.length >= 3) emit('draw', { ring, subtract: !!e.domEvent?.altKey })
+  })
+  map.addListener('click', e => {
+    if (drawMode === 'radius') emit('draw', { point: { lat: e.latLng.lat(), lng: e.latLng.lng() }, subtract: !!e.domEvent?.altKey })
+  })
+
+  function listen(target, event, handler) {
+    const listener = target.addListener(event, handler)
+    listeners.add(listener)
+    return () => {
+      maps.event.removeListener(listener)
+      listeners.delete(listener)
+    }
+  }
+
+  return {
+    id: 'google',
+
+    setFeatures(fc) {
+      if (current) {
+        current.data.revertStyle()
+        current.data.setMap(null)
+      }
+      current = null
+      highlighted = null
+      if (!fc) return
+      const layer = layers.get(fc) || createLayer(fc)
+      layers.delete(fc)
+      layers.set(fc, layer)
+      while (layers.size > MAX_CACHED_LAYERS) {
+        const oldest = layers.keys().next().value
+        dropLayer(layers.get(oldest))
+        layers.delete(oldest)
+      }
+      current = layer
+      // Styled before it is shown so the polygons do not flash in the default style
+      applyStyle()
+      layer.data.setMap(map)
+    },
+
+    setStyle(fn) {
+      styleFn = fn
+      applyStyle()
+    },
+
+    // The Data layer runs the style function again for a feature whose properties change, so
+    // touching a property restyles just these regions instead of the whole layer
+    updateStyle(codes) {
+      if (!current) return
+      styleRevision++
+      codes.forEach(code => (current.featuresByCode.get(code) || []).forEach(f => f.setProperty('styleRevision', styleRevision)))
+    },
+
+    fitTo(codes) {
+      const bounds = new maps.LatLngBounds()
+      codes.forEach(code => (current?.featuresByCode.get(code) || []).forEach(f => f.getGeometry().forEachLatLng(ll => bounds.extend(ll))))
+      if (!bounds.isEmpty()) map.fitBounds(bounds)
+    },
+
+    panTo(code) {
+      const bounds = new maps.LatLngBounds()
+      const features = current?.featuresByCode.get(code) || []
+      features.forEach(f => f.getGeometry().forEachLatLng(ll => bounds.extend(ll)))
+      if (!bounds.isEmpty() && !map.getBounds()?.contains(bounds.getCenter())) map.panTo(bounds.getCenter())
+    },
+
+    setDrawMode(mode) {
+      drawMode = mode && mode !== 'click' ? mode : null
+      const sketching = drawMode === 'lasso' || drawMode === 'rect'
+      map.setOptions({ draggable: !sketching, draggableCursor: drawMode ? 'crosshair' : null })
+      applyStyle()
+    },
+
+    setHighlight(code) {
+      if (code === highlighted || !current) return
+      const { data, featuresByCode } = current
+      const previous = featuresByCode.get(highlighted) || []
+      previous.forEach(f => data.revertStyle(f))
+      highlighted = code
+      const next = featuresByCode.get(code) || []
+      next.forEach(f => data.overrideStyle(f, HIGHLIGHT_STYLE))
+    },
+
+    on(event, handler) {
+      if (event === 'view') {
+        return listen(map, 'idle', () => {
+          const c = map.getCenter()
+          handler({ center: { lat: c.lat(), lng: c.lng() }, zoom: map.getZoom() })
+        })
+      }
+      if (event === 'backgroundClick') {
+        return listen(map, 'click', e => {
+          if (!drawMode) handler({ lat: e.latLng.lat(), lng: e.latLng.lng() })
+        })
+      }
+      const set = handlers[event]
+      if (!set) return () => {}
+      set.add(handler)
+      return () => set.delete(handler)
+    },
+
+    destroy() {
+      listeners.forEach(l => maps.event.removeListener(l))
+      listeners.clear()
+      Object.values(handlers).forEach(set => set.clear())
+      layers.forEach(dropLayer)
+      layers.clear()
+      current = null
+      maps.event.clearInstanceListeners(map)
+      container.innerHTML = ''
+    }
+  }
+}
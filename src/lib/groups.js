@@ -0,0 +1,90 @@
+// Named groups within one selection (e.g. one per sales rep). Each group has its own color and
+// a region belongs to at most one group; the flat selection is the union of all groups.
+//
+// Group shape: { id, name, color, items: [code] }
+
+export const GROUP_COLORS = ['#3b82f6', '#ef4444', '#22c55e', '#f59e0b', '#a855f7', '#14b8a6', '#ec4899', '#84cc16', '#f97316', '#6366f1']
+
+function nextId(groups) {
+  return String(groups.reduce((max, g) => Math.max(max, Number(g.id) || 0), 0) + 1)
+}
+
+export function newGroup(groups, name) {
+  const id = nextId(groups)
+  const used = new Set(groups.map(g => g.color))
+  const color = GROUP_COLORS.find(c => !used.has(c)) || GROUP_COLORS[groups.length % GROUP_COLORS.length]
+  return { id, name: name || `Group ${id}`, color, items: [] }
+}
+
+export function defaultGroups(items = []) {
+  return [{ ...newGroup([]), items: [...items] }]
+}
+
+export function allItems(groups) {
+  return groups.flatMap(g => g.items)
+}
+
+// code -> group, for styling and labels
+export function groupIndex(groups) {
+  const index = new Map()
+  groups.forEach(g => g.items.forEach(code => index.set(code, g)))
+  return index
+}
+
+// The active group, falling back to the first one (e.g. after undoing the active group's creation)
+function targetId(groups, activeId) {
+  return groups.some(g => g.id === activeId) ? activeId : groups[0]?.id
+}
+
+// Clicking a region: remove it if it is already in the active group, otherwise move it there
+export function assignItem(groups, activeGroupId, code) {
+  const activeId = targetId(groups, activeGroupId)
+  const inActive = groups.some(g => g.id === activeId && g.items.includes(code))
+  return groups.map(g => {
+    const items = g.items.filter(c => c !== code)
+    if (g.id === activeId && !inActive) items.push(code)
+    return items.length === g.items.length && g.id !== activeId ? g : { ...g, items }
+  })
+}
+
+// Apply a new flat selection: codes that disappeared leave their group, new codes join the
+// active group, everything else stays where it is
+export function applySelection(groups, activeGroupId, next) {
+  const activeId = targetId(groups, activeGroupId)
+  const nextSet = new Set(next)
+  const current = new Set(allItems(groups))
+  const added = next.filter(c => !current.has(c))
+  return groups.map(g => {
+    const items = g.items.filter(c => nextSet.has(c))
+    if (g.id === activeId) items.push(...added)
+    return items.length === g.items.length && !(g.id === activeId && added.length) ? g : { ...g, items }
+  })
+}
+
+// Groups from a saved or shared selection. Older selections only have a flat item list; those
+// become a single default group. Duplicate regions keep their first group; a missing or repeated
+// group id is replaced with a fresh one.
+export function normalizeGroups(groups, items = []) {
+  if (!Array.isArray(groups) || !groups.length) return defaultGroups(items)
+  const seen = new Set()
+  const result = []
+  groups.forEach(g => {
+    const base = newGroup(result)
+    const id = g.id ? String(g.id) : null
+    result.push({
+      // Fresh ids are numbered past every incoming id, so a later group cannot reuse one
+      id: id && !result.some(other => other.id === id) ? id : newGroup([...result, ...groups]).id,
+      name: g.name || base.name,
+      color: /^#[0-9a-f]{6}$/i.test(g.color || '') ? g.color : base.color,
+      items: (g.items || []).filter(c => !seen.has(c) && seen.add(c))
+    })
+  })
+  return result
+}
+
+// Only the default single group carries no information beyond the flat item list
+export function isDefaultGrouping(groups) {
+  if (groups.length !== 1) return false
+  const base = newGroup([])
+  return groups[0].name === base.name && groups[0].color === base.color
+}
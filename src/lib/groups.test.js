@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest'
+import { applySelection, assignItem, normalizeGroups } from './groups'
+
+describe('normalizeGroups', () => {
+  it('turns a flat item list into one default group', () => {
+    expect(normalizeGroups(undefined, ['CA', 'NV'])).toEqual([{ id: '1', name: 'Group 1', color: '#3b82f6', items: ['CA', 'NV'] }])
+  })
+
+  it('keeps each region in its first group', () => {
+    const groups = normalizeGroups([{ id: '1', items: ['CA', 'NV'] }, { id: '2', items: ['NV', 'OR'] }])
+    expect(groups.map(g => g.items)).toEqual([['CA', 'NV'], ['OR']])
+  })
+
+  it('gives a repeated group id a fresh one', () => {
+    const groups = normalizeGroups([
+      { id: '1', name: 'North', items: ['OR'] },
+      { id: '1', name: 'South', items: ['CA'] },
+      { name: 'East', items: ['NY'] },
+      { id: '2', name: 'West', items: ['NV'] }
+    ])
+    expect(groups.map(g => g.id)).toEqual(['1', '3', '4', '2'])
+    expect(groups.map(g => g.name)).toEqual(['North', 'South', 'East', 'West'])
+  })
+})
+
+describe('assignItem', () => {
+  const groups = [{ id: '1', items: ['CA'] }, { id: '2', items: ['NV'] }]
+
+  it('moves a region into the active group', () => {
+    expect(assignItem(groups, '2', 'CA').map(g => g.items)).toEqual([[], ['NV', 'CA']])
+  })
+
+  it('removes a region already in the active group', () => {
+    expect(assignItem(groups, '2', 'NV').map(g => g.items)).toEqual([['CA'], []])
+  })
+
+  it('moves rather than drops a region ticked again while another group is active', () => {
+    // The region picker and a map click both toggle through assignItem
+    const picked = assignItem(assignItem(groups, '1', 'AZ'), '2', 'AZ')
+    expect(picked.map(g => g.items)).toEqual([['CA'], ['NV', 'AZ']])
+  })
+})
+
+describe('applySelection', () => {
+  it('adds new codes to the active group and drops missing ones', () => {
+    const groups = [{ id: '1', items: ['CA', 'OR'] }, { id: '2', items: ['NV'] }]
+    expect(applySelection(groups, '2', ['CA', 'NV', 'AZ']).map(g => g.items)).toEqual([['CA'], ['NV', 'AZ']])
+  })
+})
@@ -0,0 +1,95 @@
+import Flatbush from 'flatbush'
+import { loadBoundaries } from './boundaries'
+
+// Local hit testing against the bundled boundaries: a static R-tree (Flatbush) over feature
+// bounding boxes narrows a point down to a few candidates, then an exact point-in-polygon test
+// picks the region. Replaces reverse geocoding for map clicks.
+
+function polygonsOf(geometry) {
+  if (!geometry) return []
+  if (geometry.type === 'Polygon') return [geometry.coordinates]
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates
+  return []
+}
+
+function bboxOf(polygons) {
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  polygons.forEach(rings => rings[0].forEach(([x, y]) => {
+    if (x < minX) minX = x
+    if (y < minY) minY = y
+    if (x > maxX) maxX = x
+    if (y > maxY) maxY = y
+  }))
+  return [minX, minY, maxX, maxY]
+}
+
+// Even-odd ray casting over all rings, so holes are excluded
+function inPolygon([x, y], rings) {
+  let inside = false
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i]
+      const [xj, yj] = ring[j]
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside
+    }
+  })
+  return inside
+}
+
+export function pointInGeometry(point, geometry) {
+  return polygonsOf(geometry).some(rings => inPolygon(point, rings))
+}
+
+// Index a FeatureCollection; `codeOf` gives each feature's selection code
+export function createHitIndex(fc, codeOf) {
+  const entries = fc.features
+    .map(f => ({ feature: f, code: codeOf(f), polygons: polygonsOf(f.geometry) }))
+    .filter(e => e.code && e.polygons.length)
+  const index = new Flatbush(Math.max(entries.length, 1))
+  entries.forEach(e => {
+    e.bbox = bboxOf(e.polygons)
+    index.add(...e.bbox)
+  })
+  if (!entries.length) index.add(0, 0, 0, 0)
+  index.finish()
+
+  return {
+    // Code of the region containing [lng, lat], or null
+    codeAt(lng, lat) {
+      const hit = index.search(lng, lat, lng, lat)
+        .map(i => entries[i])
+        .find(e => e && e.polygons.some(rings => inPolygon([lng, lat], rings)))
+      return hit ? hit.code : null
+    },
+
+    // Entries whose bounding box intersects [minX, minY, maxX, maxY]
+    search(bbox) {
+      return index.search(...bbox).map(i => entries[i]).filter(Boolean)
+    }
+  }
+}
+
+const indexes = new Map()
+
+// Cached hit index for a level, keyed by the regions' selection codes
+export function loadHitIndex(level) {
+  if (!indexes.has(level)) {
+    const promise = loadBoundaries(level)
+      .then(fc => createHitIndex(fc, f => f.properties.code))
+      .catch(e => {
+        indexes.delete(level)
+        throw e
+      })
+    indexes.set(level, promise)
+  }
+  return indexes.get(level)
+}
+
+// Region code at a map position for the given level, or null outside every region
+export async function regionAt(level, { lat, lng }) {
+  const index = await loadHitIndex(level)
+  return index.codeAt(lng, lat)
+}
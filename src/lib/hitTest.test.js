@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest'
+import { createHitIndex, pointInGeometry, regionAt } from './hitTest'
+
+// A 4x4 square with a 2x2 hole in the middle
+const FRAME = {
+  type: 'Polygon',
+  coordinates: [
+    [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+    [[1, 1], [1, 3], [3, 3], [3, 1], [1, 1]]
+  ]
+}
+
+function square(x, y, size = 1) {
+  return [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]
+}
+
+function feature(code, geometry) {
+  return { type: 'Feature', properties: { code }, geometry }
+}
+
+describe('pointInGeometry', () => {
+  it('excludes holes', () => {
+    expect(pointInGeometry([0.5, 0.5], FRAME)).toBe(true)
+    expect(pointInGeometry([2, 2], FRAME)).toBe(false)
+    expect(pointInGeometry([5, 5], FRAME)).toBe(false)
+  })
+
+  it('tests every part of a MultiPolygon', () => {
+    const islands = { type: 'MultiPolygon', coordinates: [[square(0, 0)], [square(10, 10)]] }
+    expect(pointInGeometry([10.5, 10.5], islands)).toBe(true)
+    expect(pointInGeometry([5, 5], islands)).toBe(false)
+  })
+
+  it('is false for points and missing geometry', () => {
+    expect(pointInGeometry([0, 0], { type: 'Point', coordinates: [0, 0] })).toBe(false)
+    expect(pointInGeometry([0, 0], null)).toBe(false)
+  })
+})
+
+describe('createHitIndex', () => {
+  const fc = {
+    type: 'FeatureCollection',
+    features: [
+      feature('frame', FRAME),
+      feature('inner', { type: 'Polygon', coordinates: [square(1, 1, 2)] }),
+      feature(null, { type: 'Polygon', coordinates: [square(10, 10)] })
+    ]
+  }
+  const index = createHitIndex(fc, f => f.properties.code)
+
+  it('finds the region whose polygon contains the point, not just its bounding box', () => {
+    expect(index.codeAt(0.5, 0.5)).toBe('frame')
+    expect(index.codeAt(2, 2)).toBe('inner')
+    expect(index.codeAt(-1, 2)).toBeNull()
+  })
+
+  it('leaves out features without a code', () => {
+    expect(index.codeAt(10.5, 10.5)).toBeNull()
+    expect(index.search([9, 9, 12, 12])).toEqual([])
+  })
+
+  it('searches by bounding box', () => {
+    expect(index.search([2, 2, 2.5, 2.5]).map(e => e.code).sort()).toEqual(['frame', 'inner'])
+  })
+
+  it('handles an empty collection', () => {
+    expect(createHitIndex({ type: 'FeatureCollection', features: [] }, () => 'x').codeAt(0, 0)).toBeNull()
+  })
+})
+
+describe('regionAt', () => {
+  it('resolves a map position to a ZIP code from the bundled points', async () => {
+    expect(await regionAt('zip', { lng: -105.833, lat: 46.408 })).toBe('59301')
+    expect(await regionAt('zip', { lng: -105.833, lat: 46.42 })).toBe('59301')
+    expect(await regionAt('zip', { lng: -105.833, lat: 46.45 })).toBeNull()
+    expect(await regionAt('zip', { lng: -40, lat: 30 })).toBeNull()
+  })
+})
@@ -0,0 +1,264 @@
+import { findCbsa, findCounty, getCbsa, getCounty, getState, getStateByFips, getStateByName, getZip } from './gazetteer'
+import { LEVEL_IDS } from './levels'
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF); also accepts tabs
+export function parseCsv(text) {
+  const delimiter = !text.includes(',') && text.includes('\t') ? '\t' : ','
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else cell += ch
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === delimiter) {
+      row.push(cell); cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(cell); rows.push(row); row = []; cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row) }
+  return rows.filter(r => r.some(c => c.trim()))
+}
+
+// Resolve one free-text entry: postal code, state name, 2-digit state FIPS, 4/5-digit county
+// FIPS, a county label such as "Cook County, IL" / "Cook IL", or a 5-digit CBSA code or CBSA
+// label, or a ZIP code (ZIP+4 too; only once loadZips() has resolved). A single-county CBSA
+// shares its county's label ("Adams, IN"); it resolves as the county unless `level` is 'cbsa'.
+// A bare 5-digit code is read as a county, then a CBSA, then a ZIP code unless `level` is 'zip'
+// (which also accepts ZIP codes whose leading zeros a spreadsheet dropped); parseImport decides
+// that for a whole list of codes (see codeListLevel).
+export function resolveEntry(value, { level } = {}) {
+  const text = String(value ?? '').trim().replace(/^"|"$/g, '')
+  if (!text) return null
+  if (level === 'cbsa') {
+    const cbsa = findCbsa(text)
+    if (cbsa) return { level: 'cbsa', code: cbsa.code }
+  }
+  if (level === 'zip' && /^\d{3,5}(-\d{4})?$/.test(text)) {
+    const zip = getZip(text.split('-')[0].padStart(5, '0'))
+    if (zip) return { level: 'zip', code: zip.code }
+  }
+  if (/^\d{5}-\d{4}$/.test(text)) {
+    const zip = getZip(text.slice(0, 5))
+    return zip ? { level: 'zip', code: zip.code } : null
+  }
+  if (/^\d{4,5}$/.test(text)) {
+    // CBSA codes end in 0 and county FIPS codes do not, so the two never collide
+    const county = getCounty(text.padStart(5, '0'))
+    if (county) return { level: 'county', code: county.fips }
+    const cbsa = getCbsa(text)
+    if (cbsa) return { level: 'cbsa', code: cbsa.code }
+    const zip = text.length === 5 && getZip(text)
+    return zip ? { level: 'zip', code: zip.code } : null
+  }
+  if (/^\d{1,2}$/.test(text)) {
+    const state = getStateByFips(text)
+    return state ? { level: 'state', code: state.code } : null
+  }
+  if (/^[A-Za-z]{2}$/.test(text)) {
+    const state = getState(text)
+    return state ? { level: 'state', code: state.code } : null
+  }
+  const state = getStateByName(text)
+  if (state) return { level: 'state', code: state.code }
+
+  for (const [name, stateText] of countyLabelSplits(text)) {
+    const parent = getState(stateText.trim()) || getStateByName(stateText)
+    const county = parent && findCounty(name.trim(), parent.code)
+    if (county) return { level: 'county', code: county.fips }
+  }
+  const cbsa = findCbsa(text)
+  return cbsa ? { level: 'cbsa', code: cbsa.code } : null
+}
+
+// Candidate [county, state] splits of a label: at the last comma, or else at each space from
+// the right ("Cook IL", "Cook County Illinois")
+function countyLabelSplits(text) {
+  const comma = text.lastIndexOf(',')
+  if (comma > 0) return [[text.slice(0, comma), text.slice(comma + 1)]]
+  const words = text.split(/\s+/)
+  return words.slice(1).map((_, i) => [words.slice(0, i + 1).join(' '), words.slice(i + 1).join(' ')]).reverse()
+}
+
+// Header names we recognise, lower-cased
+const FIPS_COLUMNS = ['fips', 'geoid', 'geoid10', 'geoid20', 'county_fips', 'countyfips', 'fips_code']
+const STATE_FIPS_COLUMNS = ['statefp', 'state_fips', 'statefips', 'statefp10', 'statefp20']
+const COUNTY_FIPS_COLUMNS = ['countyfp', 'county_fp', 'countyfp10', 'countyfp20']
+const STATE_COLUMNS = ['state', 'st', 'postal', 'stusps', 'state_code', 'state_abbr', 'abbr']
+const COUNTY_COLUMNS = ['county', 'county_name', 'countyname', 'namelsad']
+const CBSA_COLUMNS = ['cbsa', 'cbsafp', 'cbsa_code', 'cbsa_fips', 'cbsafp10', 'cbsafp20', 'msa']
+const ZIP_COLUMNS = ['zip', 'zipcode', 'zip_code', 'zip5', 'zcta', 'zcta5', 'zcta5ce10', 'zcta5ce20', 'postal_code', 'postcode']
+const NAME_COLUMNS = ['name', 'label', 'region', 'code', 'id']
+
+function pick(record, columns) {
+  for (const c of columns) {
+    const value = record[c]
+    if (value !== undefined && value !== null && String(value).trim()) return String(value).trim()
+  }
+  return null
+}
+
+function cbsaColumn(lower) {
+  const cbsa = pick(lower, CBSA_COLUMNS)
+  return cbsa && getCbsa(cbsa.padStart(5, '0')) ? { level: 'cbsa', code: cbsa.padStart(5, '0') } : null
+}
+
+function zipColumn(lower) {
+  const zip = pick(lower, ZIP_COLUMNS)
+  const hit = zip && resolveEntry(zip, { level: 'zip' })
+  return hit?.level === 'zip' ? hit : null
+}
+
+// Resolve a record with named attributes (CSV row with header, GeoJSON properties). `level`
+// is passed on to resolveEntry.
+export function resolveRecord(record, { level } = {}) {
+  const lower = Object.fromEntries(Object.entries(record).map(([k, v]) => [k.toLowerCase(), v]))
+  if (level === 'cbsa' && cbsaColumn(lower)) return cbsaColumn(lower)
+  if (level === 'zip' && zipColumn(lower)) return zipColumn(lower)
+  const fips = pick(lower, FIPS_COLUMNS)
+  if (fips) {
+    const hit = resolveEntry(fips, { level })
+    if (hit) return hit
+  }
+  const stateFp = pick(lower, STATE_FIPS_COLUMNS)
+  const countyFp = pick(lower, COUNTY_FIPS_COLUMNS)
+  if (stateFp && countyFp) {
+    const hit = resolveEntry(stateFp.padStart(2, '0') + countyFp.padStart(3, '0'))
+    if (hit) return hit
+  }
+  const state = pick(lower, STATE_COLUMNS)
+  const county = pick(lower, COUNTY_COLUMNS)
+  if (state && county) {
+    const parent = getState(state) || getStateByName(state)
+    const hit = parent && findCounty(county, parent.code)
+    if (hit) return { level: 'county', code: hit.fips }
+  }
+  // Otherwise checked after the county columns: county lists often carry their CBSA or a ZIP
+  // code as an attribute
+  const column = cbsaColumn(lower) || zipColumn(lower)
+  if (column) return column
+  const name = pick(lower, NAME_COLUMNS)
+  if (name) {
+    const hit = resolveEntry(state && !/,/.test(name) ? `${name}, ${state}` : name, { level }) || resolveEntry(name, { level })
+    if (hit) return hit
+  }
+  // A bare state column only counts when the row is not describing a county
+  if (state && !county) return resolveEntry(state)
+  return null
+}
+
+function looksLikeHeader(row) {
+  const known = [...FIPS_COLUMNS, ...STATE_FIPS_COLUMNS, ...COUNTY_FIPS_COLUMNS, ...STATE_COLUMNS, ...COUNTY_COLUMNS, ...CBSA_COLUMNS, ...ZIP_COLUMNS, ...NAME_COLUMNS]
+  return row.some(c => known.includes(c.trim().toLowerCase()))
+}
+
+// Entries from a CSV file or pasted text, each with a human-readable source for error reports
+function entriesFromCsv(text) {
+  const rows = parseCsv(text)
+  if (rows.length && looksLikeHeader(rows[0])) {
+    const header = rows[0].map(h => h.trim())
+    return rows.slice(1).map((r, i) => ({
+      source: `Row ${i + 2}: ${r.join(', ')}`,
+      resolve: options => resolveRecord(Object.fromEntries(header.map((h, j) => [h, r[j] ?? ''])), options)
+    }))
+  }
+  // Headerless: try the whole line first ("Cook County, IL"), then each cell
+  return rows.map((r, i) => ({
+    source: `Row ${i + 1}: ${r.join(', ')}`,
+    code: r.length === 1 ? r[0].trim() : null,
+    resolve: options => resolveEntry(r.join(', '), options) || r.map(c => resolveEntry(c, options)).find(Boolean) || null
+  }))
+}
+
+const CODE_TOKEN = /^(\d{1,2}|\d{4,5}|\d{5}-\d{4}|[A-Za-z]{2})$/
+
+function entriesFromText(text) {
+  return text.split(/\r?\n|;/).flatMap((line, i) => {
+    const trimmed = line.trim()
+    if (!trimmed) return []
+    // "CA, TX NY" or "06037 06075" style lines hold several codes
+    const tokens = trimmed.split(/[\s,]+/).filter(Boolean)
+    if (tokens.length > 1 && tokens.every(t => CODE_TOKEN.test(t)) && !resolveEntry(trimmed)) {
+      return tokens.map(t => ({ source: `Line ${i + 1}: ${t}`, code: t, resolve: options => resolveEntry(t, options) }))
+    }
+    return [{ source: `Line ${i + 1}: ${trimmed}`, code: trimmed, resolve: options => resolveEntry(trimmed, options) }]
+  })
+}
+
+function entriesFromGeoJson(gj) {
+  const features = gj.type === 'FeatureCollection' ? gj.features : gj.type === 'Feature' ? [gj] : []
+  if (!features.length) throw new Error('GeoJSON has no features')
+  return features.map((f, i) => ({
+    source: `Feature ${i + 1}: ${JSON.stringify(f.properties || {}).slice(0, 80)}`,
+    resolve: options => resolveRecord({ ...(f.id !== undefined ? { id: f.id } : {}), ...(f.properties || {}) }, options)
+  }))
+}
+
+// Level most resolved entries ({ level, code } or null) belong to; states win ties
+export function majorityLevel(hits) {
+  const counts = new Map()
+  hits.forEach(hit => {
+    if (hit) counts.set(hit.level, (counts.get(hit.level) || 0) + 1)
+  })
+  return LEVEL_IDS.reduce((best, id) => ((counts.get(id) || 0) > (counts.get(best) || 0) ? id : best), LEVEL_IDS[0])
+}
+
+// 1,870 ZIP codes are also county FIPS codes (10001 is Kent County, DE and a Manhattan ZIP code)
+// and 407 are CBSA codes, so a list of bare codes (`code` of the entries) is read as one: as ZIP
+// codes when every code is one and not every code is a county or every code a CBSA. "10001 60601"
+// are two ZIP codes; "10001 10003 10005" stay the three Delaware counties unless `level` is 'zip'.
+function codeListLevel(entries, level) {
+  const codes = entries.map(e => e.code).filter(code => /^\d{5}(-\d{4})?$/.test(code || ''))
+  if (!codes.length || level === 'zip' || !codes.every(code => getZip(code.slice(0, 5)))) return level
+  const counties = codes.every(code => getCounty(code))
+  const cbsas = codes.every(code => getCbsa(code))
+  return counties || cbsas ? level : 'zip'
+}
+
+// Resolve all entries and pick the level most of them belong to. Entries of other levels
+// are reported alongside the unmatched ones rather than silently dropped. `options` go to the
+// resolvers.
+function summarize(entries, options) {
+  const listOptions = { ...options, level: codeListLevel(entries, options.level) }
+  const resolved = entries.map(e => ({ ...e, hit: e.resolve(listOptions) }))
+  const level = majorityLevel(resolved.map(r => r.hit))
+  const codes = []
+  const seen = new Set()
+  const unmatched = []
+  const skipped = []
+  resolved.forEach(r => {
+    if (!r.hit) unmatched.push(r.source)
+    else if (r.hit.level !== level) skipped.push(r.source)
+    else if (!seen.has(r.hit.code)) { seen.add(r.hit.code); codes.push(r.hit.code) }
+  })
+  return { level, codes, unmatched, skipped, total: entries.length }
+}
+
+// Parse an uploaded file or pasted text. `kind` is 'csv', 'geojson' or 'text'; when omitted it is
+// guessed from the file name and content. `level`, the level being edited, decides labels that
+// name a region at more than one level.
+export function parseImport(text, { kind, filename = '', level } = {}) {
+  const guess = kind || (/\.(geo)?json$/i.test(filename) || /^\s*\{/.test(text) ? 'geojson'
+    : /\.(csv|tsv)$/i.test(filename) || looksLikeHeader(parseCsv(text.split(/\r?\n/)[0])[0] || []) ? 'csv'
+      : 'text')
+  if (guess === 'geojson') {
+    let gj
+    try {
+      gj = JSON.parse(text)
+    } catch {
+      throw new Error('File is not valid JSON')
+    }
+    return summarize(entriesFromGeoJson(gj), { level })
+  }
+  if (guess === 'csv') return summarize(entriesFromCsv(text), { level })
+  return summarize(entriesFromText(text), { level })
+}
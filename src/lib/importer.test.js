@@ -0,0 +1,143 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { getCbsa, loadZips } from './gazetteer'
+import { majorityLevel, parseCsv, parseImport, resolveEntry } from './importer'
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and CRLF', () => {
+    expect(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n')).toEqual([['a', 'b, c', 'say "hi"'], ['1', '2', '3']])
+  })
+
+  it('reads tab-separated text', () => {
+    expect(parseCsv('fips\tvalue\n06075\t1')).toEqual([['fips', 'value'], ['06075', '1']])
+  })
+})
+
+describe('resolveEntry', () => {
+  it('resolves state codes, names and FIPS', () => {
+    expect(resolveEntry('ca')).toEqual({ level: 'state', code: 'CA' })
+    expect(resolveEntry('New York')).toEqual({ level: 'state', code: 'NY' })
+    expect(resolveEntry('6')).toEqual({ level: 'state', code: 'CA' })
+  })
+
+  it('resolves county FIPS, with or without the leading zero, and county labels', () => {
+    expect(resolveEntry('6075')).toEqual({ level: 'county', code: '06075' })
+    expect(resolveEntry('Cook County, IL')).toEqual({ level: 'county', code: '17031' })
+    expect(resolveEntry('Cook IL')).toEqual({ level: 'county', code: '17031' })
+  })
+
+  it('resolves CBSA codes and labels', () => {
+    expect(resolveEntry('41860')).toEqual({ level: 'cbsa', code: '41860' })
+    expect(resolveEntry(getCbsa('16980').label)).toEqual({ level: 'cbsa', code: '16980' })
+    expect(resolveEntry('Chicago, IL-IN-WI')).toEqual({ level: 'cbsa', code: '16980' })
+    expect(resolveEntry('CHICAGO')).toEqual({ level: 'cbsa', code: '16980' })
+  })
+
+  it('reads a label shared by a county and a single-county CBSA as the level asked for', () => {
+    const { label } = getCbsa('10300')
+    expect(resolveEntry(label)).toEqual({ level: 'county', code: '26091' })
+    expect(resolveEntry(label, { level: 'cbsa' })).toEqual({ level: 'cbsa', code: '10300' })
+  })
+
+  it('returns null for unknown entries', () => {
+    expect(resolveEntry('Atlantis')).toBeNull()
+    expect(resolveEntry('')).toBeNull()
+  })
+})
+
+describe('majorityLevel', () => {
+  it('picks the most common level, states winning ties', () => {
+    expect(majorityLevel([{ level: 'county' }, { level: 'county' }, { level: 'state' }])).toBe('county')
+    expect(majorityLevel([{ level: 'county' }, { level: 'state' }, null])).toBe('state')
+    expect(majorityLevel([])).toBe('state')
+  })
+})
+
+describe('parseImport', () => {
+  it('reads pasted codes and reports what it could not match', () => {
+    const result = parseImport('CA, TX NY\nAtlantis')
+    expect(result.level).toBe('state')
+    expect(result.codes).toEqual(['CA', 'TX', 'NY'])
+    expect(result.unmatched).toEqual(['Line 2: Atlantis'])
+  })
+
+  it('keeps the majority level and skips entries of other levels', () => {
+    const result = parseImport('06075\n06001\nCA')
+    expect(result.level).toBe('county')
+    expect(result.codes).toEqual(['06075', '06001'])
+    expect(result.skipped).toEqual(['Line 3: CA'])
+  })
+
+  it('reads pasted CBSA codes', () => {
+    const result = parseImport('16980\n41860\n99990')
+    expect(result.level).toBe('cbsa')
+    expect(result.codes).toEqual(['16980', '41860'])
+    expect(result.unmatched).toEqual(['Line 3: 99990'])
+  })
+
+  it('reads CBSA columns and labels in favour of the level being edited', () => {
+    const labels = ['10140', '10300'].map(code => `"${getCbsa(code).label}"`).join('\n')
+    expect(parseImport(`name\n${labels}`).level).toBe('county')
+    expect(parseImport(`name\n${labels}`, { level: 'cbsa' }).codes).toEqual(['10140', '10300'])
+    expect(parseImport('county,cbsa\nCook County IL,16980', { level: 'cbsa' }).codes).toEqual(['16980'])
+  })
+
+  it('reads CSV files by their header', () => {
+    const result = parseImport('State,County\nIL,Cook\nCA,San Francisco\nCA,Cook', { filename: 'list.csv' })
+    expect(result.codes).toEqual(['17031', '06075'])
+    expect(result.unmatched).toEqual(['Row 4: CA, Cook'])
+  })
+
+  it('reads split state and county FIPS columns', () => {
+    expect(parseImport('STATEFP,COUNTYFP\n6,75').codes).toEqual(['06075'])
+  })
+
+  it('reads GeoJSON properties and ids', () => {
+    const gj = { type: 'FeatureCollection', features: [
+      { type: 'Feature', id: '06075', properties: {} },
+      { type: 'Feature', properties: { GEOID: '06001' } },
+      { type: 'Feature', properties: { STUSPS: 'CA' } }
+    ] }
+    const result = parseImport(JSON.stringify(gj), { filename: 'regions.geojson' })
+    expect(result.codes).toEqual(['06075', '06001'])
+    expect(result.skipped).toHaveLength(1)
+  })
+
+  it('rejects broken GeoJSON', () => {
+    expect(() => parseImport('{ nope', { kind: 'geojson' })).toThrow('File is not valid JSON')
+  })
+})
+
+describe('ZIP codes', () => {
+  beforeAll(() => loadZips())
+
+  it('resolves ZIP and ZIP+4 codes', () => {
+    expect(resolveEntry('94102')).toEqual({ level: 'zip', code: '94102' })
+    expect(resolveEntry('60601-1234')).toEqual({ level: 'zip', code: '60601' })
+    expect(resolveEntry('99999')).toBeNull()
+  })
+
+  it('reads codes shared by a county and a ZIP code as the level asked for', () => {
+    // Alameda County, CA and Avon, CT
+    expect(resolveEntry('06001')).toEqual({ level: 'county', code: '06001' })
+    expect(resolveEntry('06001', { level: 'zip' })).toEqual({ level: 'zip', code: '06001' })
+    // Spreadsheets drop the leading zero
+    expect(resolveEntry('2134', { level: 'zip' })).toEqual({ level: 'zip', code: '02134' })
+  })
+
+  it('reads a pasted list of codes as ZIP codes when some are not counties', () => {
+    // 10001-10005 are Manhattan ZIP codes and Delaware county FIPS codes
+    const mixed = parseImport('10001 10003 10005 60601 60602')
+    expect(mixed.level).toBe('zip')
+    expect(mixed.codes).toEqual(['10001', '10003', '10005', '60601', '60602'])
+    expect(mixed.skipped).toEqual([])
+    expect(parseImport('10001 10003 10005').level).toBe('county')
+    expect(parseImport('10001 10003 10005', { level: 'zip' }).level).toBe('zip')
+  })
+
+  it('reads ZIP columns', () => {
+    const result = parseImport('address,zip\n1 Main St,94102\n2 Oak Ave,10001-0001\n3 Elm St,99999\n')
+    expect(result.level).toBe('zip')
+    expect(result.codes).toEqual(['94102', '10001'])
+    expect(result.unmatched).toHaveLength(1)
+  })
+})
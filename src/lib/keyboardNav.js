@@ -0,0 +1,60 @@
+import { geoCentroid } from 'd3-geo'
+
+// Keyboard cursor on the map: the arrow keys move it to the bordering region (lib/adjacency)
+// lying most nearly in the arrow's direction. Regions with no neighbor that way (islands, a
+// coast) jump to the nearest region within 45° of the direction instead.
+
+const DIRECTIONS = { ArrowUp: [0, 1], ArrowDown: [0, -1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] }
+
+export function isArrowKey(key) {
+  return key in DIRECTIONS
+}
+
+const centroidCache = new WeakMap()
+
+// code -> [lng, lat] for the regions of a FeatureCollection from lib/boundaries
+export function regionCentroids(fc) {
+  if (!centroidCache.has(fc)) {
+    centroidCache.set(fc, new Map(fc.features.filter(f => f.properties?.code).map(f => [f.properties.code, geoCentroid(f)])))
+  }
+  return centroidCache.get(fc)
+}
+
+// Offset from one centroid to another on a local flat approximation, with the cosine of its
+// angle to `direction`
+function offset(from, to, [dx, dy]) {
+  const lng = ((to[0] - from[0] + 540) % 360) - 180
+  const x = lng * Math.cos((from[1] * Math.PI) / 180)
+  const y = to[1] - from[1]
+  const distance = Math.hypot(x, y)
+  return distance ? { distance, cos: (x * dx + y * dy) / distance } : null
+}
+
+// The region an arrow key moves to from `code`, or null when there is none that way
+export function regionInDirection(code, key, centroids, adjacency) {
+  const from = centroids.get(code)
+  const direction = DIRECTIONS[key]
+  if (!from || !direction) return null
+  let best = null
+  adjacency?.neighbors.get(code)?.forEach(other => {
+    const o = centroids.has(other) && offset(from, centroids.get(other), direction)
+    if (o && o.cos > 0 && (!best || o.cos > best.cos)) best = { code: other, ...o }
+  })
+  if (best) return best.code
+  centroids.forEach((to, other) => {
+    const o = other !== code && offset(from, to, direction)
+    if (o && o.cos >= Math.SQRT1_2 && (!best || o.distance < best.distance)) best = { code: other, ...o }
+  })
+  return best?.code || null
+}
+
+// Where the cursor starts: the region whose centroid is closest to a point (e.g. the map center)
+export function nearestRegion(centroids, { lat, lng }) {
+  let best = null
+  centroids.forEach((to, code) => {
+    const o = offset([lng, lat], to, [1, 0])
+    const distance = o ? o.distance : 0
+    if (!best || distance < best.distance) best = { code, distance }
+  })
+  return best?.code || null
+}
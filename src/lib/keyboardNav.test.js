@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest'
+import { isArrowKey, nearestRegion, regionCentroids, regionInDirection } from './keyboardNav'
+
+// A 3x3 grid of regions one degree apart near the equator, each bordering the regions beside,
+// above and below it:
+//   A B C
+//   D E F
+//   G H I
+const ROWS = ['ABC', 'DEF', 'GHI']
+const centroids = new Map()
+const adjacency = { neighbors: new Map(), edge: new Set() }
+ROWS.forEach((row, y) => [...row].forEach((code, x) => {
+  centroids.set(code, [x, 2 - y])
+  adjacency.neighbors.set(code, new Set([ROWS[y - 1]?.[x], ROWS[y + 1]?.[x], row[x - 1], row[x + 1]].filter(Boolean)))
+}))
+
+// Clockwise, as d3-geo expects outer rings
+function square(code, x, y) {
+  const ring = [[x, y], [x, y + 1], [x + 1, y + 1], [x + 1, y], [x, y]]
+  return { type: 'Feature', properties: { code }, geometry: { type: 'Polygon', coordinates: [ring] } }
+}
+
+describe('isArrowKey', () => {
+  it('recognizes the four arrow keys only', () => {
+    expect(['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].every(isArrowKey)).toBe(true)
+    expect(isArrowKey('Enter')).toBe(false)
+  })
+})
+
+describe('regionInDirection', () => {
+  it('moves to the bordering region in the arrow direction', () => {
+    expect(regionInDirection('E', 'ArrowUp', centroids, adjacency)).toBe('B')
+    expect(regionInDirection('E', 'ArrowDown', centroids, adjacency)).toBe('H')
+    expect(regionInDirection('E', 'ArrowLeft', centroids, adjacency)).toBe('D')
+    expect(regionInDirection('E', 'ArrowRight', centroids, adjacency)).toBe('F')
+  })
+
+  it('stops at the edge when nothing lies that way', () => {
+    expect(regionInDirection('A', 'ArrowUp', centroids, adjacency)).toBeNull()
+    expect(regionInDirection('C', 'ArrowRight', centroids, adjacency)).toBeNull()
+  })
+
+  it('jumps to the nearest region within 45° when no neighbor lies that way', () => {
+    const withIslands = new Map([...centroids, ['X', [0.5, 5]], ['Y', [0.2, 8]], ['Z', [3, 3]]])
+    // Z is closer than X but more than 45° off straight up
+    expect(regionInDirection('A', 'ArrowUp', withIslands, adjacency)).toBe('X')
+    expect(regionInDirection('X', 'ArrowUp', withIslands, adjacency)).toBe('Y')
+  })
+
+  it('moves by direction alone without adjacency', () => {
+    expect(regionInDirection('E', 'ArrowUp', centroids, null)).toBe('B')
+    expect(regionInDirection('G', 'ArrowRight', centroids, { neighbors: new Map(), edge: new Set() })).toBe('H')
+  })
+
+  it('looks across the antimeridian', () => {
+    const pacific = new Map([['west', [179.5, 0]], ['east', [-179.5, 0]]])
+    expect(regionInDirection('west', 'ArrowRight', pacific)).toBe('east')
+  })
+
+  it('returns null for unknown regions and keys', () => {
+    expect(regionInDirection('Q', 'ArrowUp', centroids, adjacency)).toBeNull()
+    expect(regionInDirection('E', 'Enter', centroids, adjacency)).toBeNull()
+  })
+})
+
+describe('nearestRegion', () => {
+  it('picks the region whose centroid is closest', () => {
+    expect(nearestRegion(centroids, { lng: 1.8, lat: 0.3 })).toBe('I')
+    expect(nearestRegion(centroids, { lng: 1, lat: 1 })).toBe('E')
+  })
+
+  it('returns null without regions', () => {
+    expect(nearestRegion(new Map(), { lng: 0, lat: 0 })).toBeNull()
+  })
+})
+
+describe('regionCentroids', () => {
+  it('maps region codes to centroids once per collection', () => {
+    const fc = { type: 'FeatureCollection', features: [square('A', 0, 0), square(null, 5, 5)] }
+    const result = regionCentroids(fc)
+    expect([...result.keys()]).toEqual(['A'])
+    expect(result.get('A')[0]).toBeCloseTo(0.5, 3)
+    expect(result.get('A')[1]).toBeCloseTo(0.5, 3)
+    expect(regionCentroids(fc)).toBe(result)
+  })
+})
@@ -0,0 +1,98 @@
+// Geography levels a selection can be made at. Everything that depends on the level looks it up
+// here: nouns and code scheme in this registry, names and picker options in lib/gazetteer,
+// polygons in lib/boundaries and conversions between levels in lib/crosswalk.
+//
+//   id           stored in selections, share links and the backend
+//   label        level dropdown entry
+//   singular     noun for one region; `plural` for several
+//   codeName     what the codes are, for imports and exports
+//   codePattern  valid codes
+//   boundaries   topology the polygons come from: 'states', or 'counties' (CBSAs are merged
+//                from their member counties), or 'zips' for the ZIP code points
+//   borders      whether regions share borders, which adjacency and contiguity need
+//   placeholder  search hint in the region picker
+//   note         caveat shown with the level picker and exports, if any
+//
+// ZIP codes are the GeoNames postal code points, loaded on demand (see loadZips in
+// lib/gazetteer); each is drawn as a small circle around its location. Levels that cannot be
+// offered yet are listed in UNAVAILABLE_LEVELS so the level picker can say why.
+
+export const LEVELS = [
+  {
+    id: 'state',
+    label: 'States',
+    singular: 'state',
+    plural: 'states',
+    codeName: 'postal code',
+    codePattern: /^[A-Z]{2}$/,
+    boundaries: 'states',
+    borders: true,
+    placeholder: 'Search name, postal code or FIPS'
+  },
+  {
+    id: 'county',
+    label: 'Counties',
+    singular: 'county',
+    plural: 'counties',
+    codeName: '5-digit county FIPS',
+    codePattern: /^\d{5}$/,
+    boundaries: 'counties',
+    borders: true,
+    placeholder: 'Search county, state or FIPS'
+  },
+  {
+    id: 'cbsa',
+    label: 'Metro areas (CBSA)',
+    singular: 'metro area',
+    plural: 'metro areas',
+    codeName: '5-digit CBSA code',
+    codePattern: /^\d{5}$/,
+    boundaries: 'counties',
+    borders: true,
+    placeholder: 'Search CBSA code, county or state'
+  },
+  {
+    id: 'zip',
+    label: 'ZIP codes (approximate points)',
+    singular: 'ZIP code',
+    plural: 'ZIP codes',
+    codeName: '5-digit ZIP code',
+    codePattern: /^\d{5}$/,
+    boundaries: 'zips',
+    borders: false,
+    placeholder: 'Search ZIP code, place or county',
+    note: 'ZIP codes are approximate points from GeoNames, drawn as small circles and exported as points. There are no ZIP code boundaries.'
+  }
+]
+
+// Shown disabled in the level picker, with the reason
+export const UNAVAILABLE_LEVELS = [
+  {
+    id: 'cd',
+    label: 'Congressional districts',
+    reason: 'No current district boundaries are bundled'
+  },
+  {
+    id: 'dma',
+    label: 'DMAs (media markets)',
+    reason: 'DMA definitions are licensed from Nielsen'
+  }
+]
+
+export const LEVEL_IDS = LEVELS.map(l => l.id)
+
+export function isLevel(id) {
+  return LEVEL_IDS.includes(id)
+}
+
+// The level with this id; unknown ids fall back to states, like selections saved before
+// levels were configurable
+export function getLevel(id) {
+  return LEVELS.find(l => l.id === id) || LEVELS[0]
+}
+
+// "1 county", "3 metro areas"
+export function levelNoun(id, count) {
+  const level = getLevel(id)
+  return count === 1 ? level.singular : level.plural
+}
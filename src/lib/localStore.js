@@ -0,0 +1,86 @@
+// IndexedDB persistence for saved selections and the pending sync queue.
+// Falls back to an in-memory store when IndexedDB is unavailable (e.g. some private modes).
+
+const DB_NAME = 'geo-shade-builder'
+const DB_VERSION = 1
+export const SELECTIONS = 'selections'
+export const QUEUE = 'syncQueue'
+
+let dbPromise = null
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        if (!db.objectStoreNames.contains(SELECTIONS)) db.createObjectStore(SELECTIONS, { keyPath: 'localId' })
+        if (!db.objectStoreNames.contains(QUEUE)) db.createObjectStore(QUEUE, { keyPath: 'localId' })
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    }).catch(e => {
+      console.warn('Falling back to in-memory storage:', e.message)
+      return null
+    })
+  }
+  return dbPromise
+}
+
+const memory = { [SELECTIONS]: new Map(), [QUEUE]: new Map() }
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDb()
+  if (!db) return fn(null, memory[storeName])
+  const tx = db.transaction(storeName, mode)
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+  const result = await fn(tx.objectStore(storeName), null)
+  await done
+  return result
+}
+
+export function getAll(storeName) {
+  return withStore(storeName, 'readonly', (store, mem) => (
+    mem ? [...mem.values()] : promisify(store.getAll())
+  ))
+}
+
+export function get(storeName, key) {
+  return withStore(storeName, 'readonly', (store, mem) => (
+    mem ? (mem.get(key) ?? null) : promisify(store.get(key)).then(v => v ?? null)
+  ))
+}
+
+export function put(storeName, value) {
+  return withStore(storeName, 'readwrite', (store, mem) => {
+    if (mem) { mem.set(value.localId, value); return value }
+    return promisify(store.put(value)).then(() => value)
+  })
+}
+
+export function remove(storeName, key) {
+  return withStore(storeName, 'readwrite', (store, mem) => {
+    if (mem) { mem.delete(key); return }
+    return promisify(store.delete(key))
+  })
+}
+
+// Whether records survive a reload (IndexedDB) or only live for this tab (memory fallback)
+export async function isPersistent() {
+  return !!(await openDb())
+}
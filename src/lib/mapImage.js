@@ -0,0 +1,262 @@
+import { geoCentroid, geoDistance, geoPath } from 'd3-geo'
+import { geoAlbersUsaTerritories } from 'geo-albers-usa-territories'
+import { mesh } from 'topojson-client'
+import { loadBoundaries, loadTopology } from './boundaries'
+import { downloadBlob, fileBasename, xmlEscape } from './export'
+import { allItems, groupIndex } from './groups'
+import { levelNoun } from './levels'
+import { formatValue } from './metrics'
+import { jpegPdf } from './pdf'
+import { NO_DATA_COLOR, regionStyle, styleForRegion } from './regionStyle'
+import { formatArea, selectionStats } from './stats'
+
+// Static map image of the selection for slides and reports. It is drawn from the bundled
+// boundaries rather than captured from the live map, so it needs no API key and stays crisp at
+// any size. The layout is built as SVG (title, map, legend, scale bar, attribution); PNG and PDF
+// are that SVG rasterized at the chosen width.
+
+export const IMAGE_FORMATS = [
+  { id: 'png', label: 'PNG', extension: 'png' },
+  { id: 'svg', label: 'SVG', extension: 'svg' },
+  { id: 'pdf', label: 'PDF', extension: 'pdf' }
+]
+
+export const ASPECT_RATIOS = [
+  { id: '16:9', label: 'Widescreen (16:9)', ratio: 16 / 9 },
+  { id: '4:3', label: 'Standard (4:3)', ratio: 4 / 3 },
+  { id: 'letter', label: 'Letter landscape (11 × 8.5)', ratio: 11 / 8.5 },
+  { id: '1:1', label: 'Square (1:1)', ratio: 1 }
+]
+
+// Output widths in pixels for PNG and PDF; SVG is always the layout size
+export const IMAGE_SIZES = [
+  { id: 1200, label: 'Screen (1200 px wide)' },
+  { id: 2400, label: 'Print (2400 px wide)' },
+  { id: 4800, label: 'Poster (4800 px wide)' }
+]
+
+// Layout units; text sizes and stroke widths are relative to this width
+const LAYOUT_WIDTH = 1200
+const MARGIN = 32
+const HEADER_HEIGHT = 96
+const FOOTER_HEIGHT = 56
+const LEGEND_WIDTH = 240
+const LEGEND_ROW = 22
+// Share of the frame the fitted regions fill, leaving a little air around them
+const FIT_PADDING = 0.95
+// PDF pages are 11 in wide (in points); the height follows the aspect ratio
+const PDF_PAGE_WIDTH = 792
+const EARTH_RADIUS_MI = 3958.8
+const FONT = 'Helvetica, Arial, sans-serif'
+// Drawn as insets by the projection, each at its own scale
+const INSET_STATES = new Set(['AK', 'HI', 'PR', 'VI', 'GU', 'MP', 'AS'])
+
+// Path data with one decimal, which is plenty at any export size and keeps the SVG small
+function compactPath(d) {
+  return d ? d.replace(/(\.\d)\d+/g, '$1') : d
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text
+}
+
+function featureCollection(features) {
+  return { type: 'FeatureCollection', features }
+}
+
+// Scale and center the projection so `fc` fills `frame`. The projection (insets included) is
+// linear in scale and translate, so the bounds at scale 1 determine the fit.
+function fitProjection(projection, fc, frame) {
+  projection.scale(1).translate([0, 0])
+  const [[x0, y0], [x1, y1]] = geoPath(projection).bounds(fc)
+  const k = FIT_PADDING * Math.min(frame.width / (x1 - x0), frame.height / (y1 - y0))
+  projection.scale(k).translate([
+    frame.x + frame.width / 2 - (k * (x0 + x1)) / 2,
+    frame.y + frame.height / 2 - (k * (y0 + y1)) / 2
+  ])
+}
+
+// Round distance (1, 2 or 5 × 10^n miles) no longer than `max`
+function niceDistance(max) {
+  const base = 10 ** Math.floor(Math.log10(max))
+  return [5, 2, 1].map(m => m * base).find(d => d <= max)
+}
+
+// Scale bar up to `maxWidth` long, measured at `center` ([lng, lat]). A short step keeps the
+// measurement inside one inset; null where the projection has no scale.
+function scaleBar(projection, center, maxWidth) {
+  const p = projection(center)
+  const q = p && projection.invert([p[0] + 10, p[1]])
+  if (!q) return null
+  const milesPerUnit = (geoDistance(center, q) * EARTH_RADIUS_MI) / 10
+  if (!milesPerUnit) return null
+  const distance = niceDistance(maxWidth * milesPerUnit)
+  return { width: distance / milesPerUnit, label: `${distance.toLocaleString('en-US')} mi` }
+}
+
+// Legend rows: choropleth classes and/or the selection's groups. A row is either a swatch
+// ({ fillColor, fillOpacity, strokeColor, label }) or a `heading`.
+function legendRows(groups, choropleth) {
+  const selected = groups.filter(g => g.items.length)
+  const groupRows = selected.map(g => ({
+    ...(choropleth ? { fillColor: '#ffffff', fillOpacity: 1, strokeColor: g.color } : regionStyle(g)),
+    label: `${g.name} (${g.items.length.toLocaleString('en-US')})`
+  }))
+  if (!choropleth) return groupRows
+  const classRows = choropleth.colors.map((color, i) => ({
+    fillColor: color,
+    fillOpacity: 0.8,
+    strokeColor: NO_DATA_COLOR,
+    label: `${formatValue(choropleth.breaks[i])} – ${formatValue(choropleth.breaks[i + 1])}`
+  }))
+  return [
+    { heading: choropleth.name },
+    ...classRows,
+    { fillColor: NO_DATA_COLOR, fillOpacity: 0.3, strokeColor: NO_DATA_COLOR, label: 'No data' },
+    ...(groupRows.length ? [{ heading: 'Selection' }, ...groupRows] : [])
+  ]
+}
+
+function legendSvg(rows, x, y, maxHeight) {
+  const fits = Math.floor(maxHeight / LEGEND_ROW)
+  const shown = rows.length > fits ? [...rows.slice(0, fits - 1), { label: `…and ${rows.length - fits + 1} more` }] : rows
+  return shown.map((row, i) => {
+    const top = y + i * LEGEND_ROW
+    if (row.heading) {
+      return `<text x="${x}" y="${top + 15}" font-size="15" font-weight="bold" fill="#111827">${xmlEscape(truncate(row.heading, 28))}</text>`
+    }
+    const swatch = row.fillColor
+      ? `<rect x="${x}" y="${top + 4}" width="20" height="13" fill="${row.fillColor}" fill-opacity="${row.fillOpacity}" stroke="${row.strokeColor}" stroke-width="1.5"/>`
+      : ''
+    return `${swatch}<text x="${x + 28}" y="${top + 15}" font-size="13" fill="#374151">${xmlEscape(truncate(row.label, 30))}</text>`
+  }).join('')
+}
+
+function subtitleFor(level, items) {
+  if (!items.length) return ''
+  const stats = selectionStats(level, items)
+  const parts = [`${stats.count.toLocaleString('en-US')} ${levelNoun(level, stats.count)}`]
+  if (stats.landAreaKm2 !== null) parts.push(`${formatArea(stats.landAreaKm2)} land`)
+  if (stats.population !== null) parts.push(`population ${stats.population.toLocaleString('en-US')}`)
+  return parts.join(' · ')
+}
+
+// SVG markup for the map image, plus its layout size. `extent` is 'selection' to fit the
+// selected regions or 'all' for the whole country; with nothing selected it is always 'all'.
+export async function renderMapSvg({ name, level, groups, choropleth = null, aspect = '16:9', extent = 'selection' }) {
+  const ratio = ASPECT_RATIOS.find(a => a.id === aspect)?.ratio || ASPECT_RATIOS[0].ratio
+  const width = LAYOUT_WIDTH
+  const height = Math.round(LAYOUT_WIDTH / ratio)
+  const [boundaries, topology] = await Promise.all([loadBoundaries(level), loadTopology()])
+  const codeOf = f => f.properties.code
+  // A metro area spanning several states counts as being in its first (they never reach the insets)
+  const stateOf = f => f.properties.postal || f.properties.state || f.properties.states?.[0]
+
+  const items = allItems(groups)
+  const itemSet = new Set(items)
+  const selected = boundaries.features.filter(f => itemSet.has(codeOf(f)))
+  const target = extent === 'selection' && selected.length ? featureCollection(selected) : boundaries
+
+  const legend = legendRows(groups, choropleth)
+  const frame = {
+    x: MARGIN,
+    y: HEADER_HEIGHT,
+    width: width - 2 * MARGIN - (legend.length ? LEGEND_WIDTH + MARGIN / 2 : 0),
+    height: height - HEADER_HEIGHT - FOOTER_HEIGHT
+  }
+  const projection = geoAlbersUsaTerritories()
+  fitProjection(projection, target, frame)
+  const path = geoPath(projection)
+
+  // Regions outside the frame are skipped; selected (raised) ones are drawn last so their
+  // outlines are not covered by neighbors
+  const groupByCode = groupIndex(groups)
+  const strokeScale = level !== 'state' && target === boundaries ? 0.5 : 1
+  const base = []
+  const raised = []
+  boundaries.features.forEach(f => {
+    const [[x0, y0], [x1, y1]] = path.bounds(f)
+    if (!(x1 >= frame.x && x0 <= frame.x + frame.width && y1 >= frame.y && y0 <= frame.y + frame.height)) return
+    const d = compactPath(path(f))
+    if (!d) return
+    const code = codeOf(f)
+    const style = styleForRegion(code, groupByCode, choropleth)
+    const el = `<path d="${d}" fill="${style.fillColor}" fill-opacity="${style.fillOpacity}" stroke="${style.strokeColor}" stroke-width="${style.strokeWeight * strokeScale}"/>`
+    if (groupByCode.has(code) || (style.zIndex || 0) > 1) raised.push(el)
+    else base.push(el)
+  })
+  // County and metro area maps get state borders for orientation
+  const stateBorders = level !== 'state'
+    ? `<path d="${compactPath(path(mesh(topology, topology.objects.states, (a, b) => a !== b)))}" fill="none" stroke="#475569" stroke-opacity="0.7" stroke-width="${strokeScale * 1.5}"/>`
+    : ''
+
+  // Measure the scale in the main panel: the contiguous US when it is part of the map
+  const panels = new Set(target.features.map(f => (INSET_STATES.has(stateOf(f)) ? stateOf(f) : 'main')))
+  const mainFeatures = target.features.filter(f => !INSET_STATES.has(stateOf(f)))
+  const bar = scaleBar(projection, geoCentroid(mainFeatures.length ? featureCollection(mainFeatures) : target), 160)
+  const attribution = `Boundaries: US Census Bureau (us-atlas 1:10m)${panels.size > 1 ? ' · Insets are not to scale' : ''}`
+
+  const title = name?.trim() || 'Selection'
+  const subtitle = subtitleFor(level, items)
+  const footerY = height - FOOTER_HEIGHT / 2
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<title>${xmlEscape(title)}</title>`,
+    `<defs><clipPath id="map-frame"><rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}"/></clipPath></defs>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${MARGIN}" y="${MARGIN + 24}" font-size="30" font-weight="bold" fill="#111827">${xmlEscape(truncate(title, 70))}</text>`,
+    subtitle ? `<text x="${MARGIN}" y="${MARGIN + 50}" font-size="15" fill="#4b5563">${xmlEscape(subtitle)}</text>` : '',
+    `<g clip-path="url(#map-frame)" stroke-linejoin="round">${base.join('')}${stateBorders}${raised.join('')}</g>`,
+    legend.length ? `<g>${legendSvg(legend, width - MARGIN - LEGEND_WIDTH, frame.y, frame.height)}</g>` : '',
+    bar
+      ? `<g stroke="#111827" stroke-width="2" fill="none"><path d="M${MARGIN},${footerY - 6}V${footerY}H${MARGIN + bar.width}V${footerY - 6}"/></g>` +
+        `<text x="${MARGIN + bar.width + 8}" y="${footerY + 4}" font-size="13" fill="#111827">${bar.label}</text>`
+      : '',
+    `<text x="${width - MARGIN}" y="${footerY + 4}" font-size="11" fill="#6b7280" text-anchor="end">${xmlEscape(attribution)}</text>`,
+    '</svg>'
+  ].join('')
+  return { svg, width, height }
+}
+
+// Draw the SVG onto a canvas `width` pixels wide and encode it
+async function rasterize(svg, layoutWidth, layoutHeight, width, type, quality) {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+  try {
+    const image = new Image()
+    image.src = url
+    await image.decode()
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = Math.round((width * layoutHeight) / layoutWidth)
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality))
+    if (!blob) throw new Error('The image is too large for this browser; choose a smaller size')
+    return { blob, width: canvas.width, height: canvas.height }
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+// Render the map image and hand it to the browser. Options are those of renderMapSvg plus
+// `size`, the pixel width for PNG and PDF.
+export async function exportMapImage(format, { size = IMAGE_SIZES[1].id, ...options }) {
+  const { svg, width, height } = await renderMapSvg(options)
+  let blob
+  if (format === 'svg') {
+    blob = new Blob([svg], { type: 'image/svg+xml' })
+  } else if (format === 'png') {
+    blob = (await rasterize(svg, width, height, size, 'image/png')).blob
+  } else if (format === 'pdf') {
+    const jpeg = await rasterize(svg, width, height, size, 'image/jpeg', 0.92)
+    blob = jpegPdf(new Uint8Array(await jpeg.blob.arrayBuffer()), {
+      width: jpeg.width,
+      height: jpeg.height,
+      pageWidth: PDF_PAGE_WIDTH,
+      pageHeight: Math.round((PDF_PAGE_WIDTH * height) / width)
+    })
+  } else {
+    throw new Error(`Unknown image format: ${format}`)
+  }
+  const { extension } = IMAGE_FORMATS.find(f => f.id === format)
+  downloadBlob(blob, `${fileBasename(options.name)}-map.${extension}`)
+}
@@ -0,0 +1,51 @@
+import { createGoogleMap } from './googleMapProvider'
+import { createSvgMap } from './svgMapProvider'
+
+// The app talks to the map only through this interface, so the same selection, shading and
+// click-to-toggle logic runs on Google Maps or on the offline SVG renderer.
+//
+//   id                      'google' | 'svg'
+//   setFeatures(fc)         replace the rendered polygons (null clears them); each feature's
+//                           selection code is in `properties.code`. The last few collections
+//                           stay rendered off screen, so passing one of them again swaps it
+//                           back in without rebuilding it
+//   setStyle(fn)            fn(code) -> { fillColor, fillOpacity, strokeColor, strokeWeight, zIndex },
+//                           applied to every region
+//   updateStyle(codes)      run the style function again for these regions only, after the
+//                           data it reads changed (e.g. a toggled selection)
+//   setHighlight(code)      outline one region (e.g. under the pointer); null clears it
+//   setDrawMode(mode)       'click' (default) | 'lasso' | 'rect' | 'radius'
+//   fitTo(codes)            zoom and pan so the regions with these codes fill the map
+//   panTo(code)             center a region at the current zoom, unless its center is already in view
+//   on(event, handler)      subscribe, returns an unsubscribe function:
+//                             'view'            { center: { lat, lng }, zoom }
+//                             'click'           { code } for a click on a polygon
+//                             'hover'           { code, x, y } pointer over a polygon, in container pixels
+//                             'hoverend'        pointer left the polygons
+//                             'backgroundClick' { lat, lng } click outside any polygon
+//                             'draw'            { ring: [[lng, lat]], subtract } for a finished lasso or
+//                                               rectangle, { point: { lat, lng }, subtract } for a radius
+//                                               center; `subtract` is true when Alt was held
+//   destroy()               remove the map and all listeners
+//
+// Options for createMapProvider: { center, zoom, theme }, where theme is 'light' (default) or
+// 'dark' for the base map.
+//
+// Views use Google-style zoom levels on every renderer so shared links open at the same place.
+// Which region lies under a point is answered locally by lib/hitTest, not by the renderer.
+
+export const DEFAULT_VIEW = { center: { lat: 39.8283, lng: -98.5795 }, zoom: 4 } // USA center
+
+export const MAP_RENDERERS = [
+  { id: 'auto', label: 'Google Maps when a key is set' },
+  { id: 'svg', label: 'Offline map (no key needed)' }
+]
+
+// Google Maps when a key is set (unless the offline map is forced), otherwise the SVG renderer
+export function rendererFor(apiKey, preference) {
+  return apiKey && preference !== 'svg' ? 'google' : 'svg'
+}
+
+export function createMapProvider(kind, container, options) {
+  return kind === 'google' ? createGoogleMap(container, options) : createSvgMap(container, options)
+}
@@ -0,0 +1,70 @@
+import { majorityLevel, parseCsv, resolveEntry, resolveRecord } from './importer'
+
+// Header names that hold the metric value, lower-cased
+const VALUE_COLUMNS = ['value', 'metric', 'amount', 'count', 'total', 'revenue', 'population', 'pop']
+
+function toNumber(text) {
+  const cleaned = String(text ?? '').trim().replace(/[$,%\s]/g, '')
+  if (!cleaned) return NaN
+  return Number(cleaned)
+}
+
+// A header names its columns; data rows end in a number ("CA, 100", "Cook County IL 5")
+function headerRow(row) {
+  if (row.some(c => VALUE_COLUMNS.includes(c.trim().toLowerCase()))) return true
+  return row.some(c => /[a-z]/i.test(c)) && !row.some(c => /\d\s*%?$/.test(c.trim()))
+}
+
+// Parse pasted/uploaded "region, value" data into { level, name, values: { code: number }, unmatched }.
+// With a header row the value column is the first one named like a value (or the last numeric
+// column); without one, the last cell of each row is the value and the rest names the region.
+// `options` ({ level }, the level being edited) are passed on to the importer's resolvers.
+export function parseMetric(text, options = {}) {
+  const rows = parseCsv(text)
+  if (!rows.length) throw new Error('No data found')
+
+  let entries
+  let metricName = 'Value'
+  if (headerRow(rows[0])) {
+    const header = rows[0].map(h => h.trim())
+    const lower = header.map(h => h.toLowerCase())
+    let valueCol = lower.findIndex(h => VALUE_COLUMNS.includes(h))
+    if (valueCol === -1) {
+      // Last column whose cells are mostly numeric
+      for (let c = header.length - 1; c >= 0 && valueCol === -1; c--) {
+        const numeric = rows.slice(1).filter(r => Number.isFinite(toNumber(r[c]))).length
+        if (numeric >= (rows.length - 1) / 2) valueCol = c
+      }
+    }
+    if (valueCol === -1) throw new Error('Could not find a numeric value column')
+    metricName = header[valueCol]
+    entries = rows.slice(1).map((r, i) => {
+      const record = Object.fromEntries(header.map((h, j) => [h, j === valueCol ? '' : (r[j] ?? '')]))
+      const fallback = r.filter((_, j) => j !== valueCol).join(', ')
+      return { source: `Row ${i + 2}: ${r.join(', ')}`, hit: resolveRecord(record, options) || resolveEntry(fallback, options), value: toNumber(r[valueCol]) }
+    })
+  } else {
+    entries = rows.map((r, i) => {
+      const cells = r.length === 1 ? r[0].trim().split(/\s+(?=[-\d.$]+%?$)/) : r
+      const value = toNumber(cells[cells.length - 1])
+      const label = cells.slice(0, -1).join(', ')
+      return { source: `Row ${i + 1}: ${r.join(', ')}`, hit: resolveEntry(label, options), value }
+    })
+  }
+
+  const level = majorityLevel(entries.map(e => e.hit))
+  const values = {}
+  const unmatched = []
+  entries.forEach(e => {
+    if (!e.hit || e.hit.level !== level || !Number.isFinite(e.value)) unmatched.push(e.source)
+    else values[e.hit.code] = e.value
+  })
+  return { level, name: metricName, values, unmatched }
+}
+
+export function formatValue(value) {
+  if (!Number.isFinite(value)) return '—'
+  const abs = Math.abs(value)
+  const digits = abs >= 100 || Number.isInteger(value) ? 0 : abs >= 1 ? 2 : 3
+  return value.toLocaleString(undefined, { maximumFractionDigits: digits })
+}
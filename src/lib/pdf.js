@@ -0,0 +1,48 @@
+// Minimal PDF writer: a single page showing one JPEG image stretched over the whole page.
+// Enough for map image exports without pulling in a PDF library; JPEG data is embedded as is
+// (DCTDecode), so nothing needs re-encoding.
+
+// `jpeg` is the encoded image (Uint8Array), `width`/`height` its pixel size and
+// `pageWidth`/`pageHeight` the page size in points (1/72 in)
+export function jpegPdf(jpeg, { width, height, pageWidth, pageHeight }) {
+  const encoder = new TextEncoder()
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  function write(part) {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  function object(id, dictionary, stream) {
+    offsets[id] = length
+    write(`${id} 0 obj\n${dictionary}\n`)
+    if (stream) {
+      write('stream\n')
+      write(stream)
+      write('\nendstream\n')
+    }
+    write('endobj\n')
+  }
+
+  const content = encoder.encode(`q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`)
+
+  write('%PDF-1.4\n')
+  // Binary marker so transfer tools treat the file as binary
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]))
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>')
+  object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>')
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`)
+  object(4, `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`, jpeg)
+  object(5, `<< /Length ${content.length} >>`, content)
+
+  const xref = length
+  // Each cross-reference entry is exactly 20 bytes
+  const entries = offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`)
+  write(`xref\n0 ${offsets.length}\n0000000000 65535 f \n${entries.join('')}`)
+  write(`trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
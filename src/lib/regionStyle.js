@@ -0,0 +1,48 @@
+import { classIndex } from './classify'
+
+// Polygon styles shared by the live map providers and the static map image export. Styles use
+// the Google Data layer vocabulary ({ fillColor, fillOpacity, strokeColor, strokeWeight, zIndex }).
+
+export const NO_DATA_COLOR = '#d1d5db'
+
+// Shared look for state and county polygons; selected regions take their group's color
+export function regionStyle(group) {
+  return {
+    fillColor: group ? group.color : '#93c5fd',
+    fillOpacity: group ? 0.55 : 0.15,
+    strokeColor: group ? group.color : '#2563eb',
+    strokeWeight: group ? 2 : 1
+  }
+}
+
+// Data-driven look: fill from the value's class, selection shown as an outline in the group's color
+export function choroplethStyle(value, choropleth, group) {
+  const idx = classIndex(value, choropleth.breaks)
+  return {
+    fillColor: idx === -1 ? NO_DATA_COLOR : choropleth.colors[idx],
+    fillOpacity: idx === -1 ? 0.3 : 0.8,
+    strokeColor: group ? group.color : '#ffffff',
+    strokeWeight: group ? 2.5 : 0.5,
+    zIndex: group ? 2 : 1
+  }
+}
+
+// Style for one region given the selection's groups and, in choropleth mode, the classed metric
+export function styleForRegion(code, groupByCode, choropleth) {
+  const group = code ? groupByCode.get(code) : undefined
+  return choropleth ? choroplethStyle(choropleth.values[code], choropleth, group) : regionStyle(group)
+}
+
+// Codes whose selection style differs between two groupByCode indexes. Only the group's color
+// affects the look, so moving regions between same-colored groups or renaming a group restyles
+// nothing.
+export function restyledCodes(before, after) {
+  const codes = []
+  before.forEach((group, code) => {
+    if (after.get(code)?.color !== group.color) codes.push(code)
+  })
+  after.forEach((_, code) => {
+    if (!before.has(code)) codes.push(code)
+  })
+  return codes
+}
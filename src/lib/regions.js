@@ -0,0 +1,54 @@
+import { crosswalk } from './crosswalk'
+import { countiesInState } from './gazetteer'
+
+// Census Bureau regions and their divisions, by state postal code
+export const CENSUS_REGIONS = [
+  {
+    id: 'northeast',
+    name: 'Northeast',
+    divisions: [
+      { id: 'new-england', name: 'New England', states: ['CT', 'ME', 'MA', 'NH', 'RI', 'VT'] },
+      { id: 'middle-atlantic', name: 'Middle Atlantic', states: ['NJ', 'NY', 'PA'] }
+    ]
+  },
+  {
+    id: 'midwest',
+    name: 'Midwest',
+    divisions: [
+      { id: 'east-north-central', name: 'East North Central', states: ['IL', 'IN', 'MI', 'OH', 'WI'] },
+      { id: 'west-north-central', name: 'West North Central', states: ['IA', 'KS', 'MN', 'MO', 'NE', 'ND', 'SD'] }
+    ]
+  },
+  {
+    id: 'south',
+    name: 'South',
+    divisions: [
+      { id: 'south-atlantic', name: 'South Atlantic', states: ['DE', 'DC', 'FL', 'GA', 'MD', 'NC', 'SC', 'VA', 'WV'] },
+      { id: 'east-south-central', name: 'East South Central', states: ['AL', 'KY', 'MS', 'TN'] },
+      { id: 'west-south-central', name: 'West South Central', states: ['AR', 'LA', 'OK', 'TX'] }
+    ]
+  },
+  {
+    id: 'west',
+    name: 'West',
+    divisions: [
+      { id: 'mountain', name: 'Mountain', states: ['AZ', 'CO', 'ID', 'MT', 'NV', 'NM', 'UT', 'WY'] },
+      { id: 'pacific', name: 'Pacific', states: ['AK', 'CA', 'HI', 'OR', 'WA'] }
+    ]
+  }
+]
+
+// Flat list of presets (each region followed by its divisions) with their member states
+export const REGION_PRESETS = CENSUS_REGIONS.flatMap(region => [
+  { id: region.id, name: region.name, kind: 'region', states: region.divisions.flatMap(d => d.states) },
+  ...region.divisions.map(d => ({ id: d.id, name: d.name, kind: 'division', states: d.states }))
+])
+
+// Codes a preset covers at a level: postal codes for states, every county FIPS for counties,
+// for metro areas every CBSA reaching into one of the preset's states and every ZIP code of the
+// preset's states (once loaded)
+export function presetCodes(preset, level) {
+  if (level === 'county') return preset.states.flatMap(st => countiesInState(st).map(c => c.fips))
+  if (level === 'cbsa' || level === 'zip') return crosswalk('state', preset.states, level).codes
+  return preset.states
+}
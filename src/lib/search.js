@@ -0,0 +1,49 @@
+// Small fuzzy matcher for the region picker. Scores a query against the searchable
+// fields of an option (name, code, FIPS, parent state name, metro places and counties); higher is
+// better, 0 means no match.
+
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+function scoreField(query, field) {
+  if (!field) return 0
+  if (field === query) return 100
+  if (field.startsWith(query)) return 80
+  const idx = field.indexOf(query)
+  if (idx > 0) return /[\s,.-]/.test(field[idx - 1]) ? 60 : 40
+
+  // Subsequence match ("lsang" -> "los angeles"), rewarding tight runs of characters
+  let fi = 0
+  let gaps = 0
+  for (const ch of query) {
+    const next = field.indexOf(ch, fi)
+    if (next === -1) return 0
+    if (next > fi) gaps++
+    fi = next + 1
+  }
+  return Math.max(1, 20 - gaps * 3)
+}
+
+export function fuzzyScore(query, option) {
+  const q = fold(query).trim()
+  if (!q) return 1
+  const fields = [fold(option.name), fold(option.code), fold(option.fips)]
+  const best = Math.max(...fields.map(f => scoreField(q, f)))
+  // "texas" should list Texas counties, but below counties whose own name matches
+  const stateScore = option.stateName ? Math.floor(scoreField(q, fold(option.stateName)) / 2) : 0
+  // Metro areas are also found by their main places and member counties, just below a match on their own name
+  const memberScore = option.members ? Math.floor(scoreField(q, fold(option.members)) * 0.75) : 0
+  return Math.max(best, stateScore, memberScore)
+}
+
+// Options that match the query, best first; ties keep their original order
+export function fuzzyFilter(query, options, limit = Infinity) {
+  if (!fold(query).trim()) return options.slice(0, limit)
+  return options
+    .map((option, index) => ({ option, index, score: fuzzyScore(query, option) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(r => r.option)
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest'
+import { labelFor, optionsForLevel } from './gazetteer'
+import { fuzzyFilter, fuzzyScore } from './search'
+
+describe('fuzzyScore', () => {
+  it('ranks exact, prefix, word and subsequence matches', () => {
+    const option = { name: 'Los Angeles County, CA', code: '06037', fips: '06037' }
+    expect(fuzzyScore('06037', option)).toBe(100)
+    expect(fuzzyScore('los', option)).toBe(80)
+    expect(fuzzyScore('angeles', option)).toBe(60)
+    expect(fuzzyScore('lsang', option)).toBeGreaterThan(0)
+    expect(fuzzyScore('xyz', option)).toBe(0)
+  })
+})
+
+describe('fuzzyFilter', () => {
+  const metros = optionsForLevel('cbsa')
+
+  it('finds metro areas by their main place', () => {
+    expect(labelFor('16980', 'cbsa')).toBe('Chicago, IL-IN-WI')
+    expect(fuzzyFilter('chicago', metros)[0].code).toBe('16980')
+    expect(fuzzyFilter('los angeles', metros)[0].code).toBe('31100')
+  })
+
+  it('finds metro areas by a member place or county below their own name', () => {
+    expect(fuzzyFilter('oakland', metros).map(o => o.code)).toContain('41860')
+    expect(fuzzyFilter('dupage', metros)[0].code).toBe('16980')
+  })
+})
@@ -0,0 +1,187 @@
+import { LEVEL_IDS } from './levels'
+
+// Client for the saved selections backend (`/api/selections`). Every backend call goes through
+// `createApiClient`, which adds the bearer token, a timeout and retries with backoff, and
+// checks what is sent and received.
+//
+// Selection, as sent and received:
+//   id      string | number, assigned by the server
+//   name    non-empty string
+//   level   a level id from lib/levels: 'state' | 'county' | 'cbsa' | 'zip'
+//   items   [code]
+//   groups  optional [{ id, name, color, items: [code] }]
+//
+// Failures are Errors with a `kind`:
+//   'network'  the backend could not be reached
+//   'timeout'  no answer within the timeout
+//   'http'     the backend answered with an error; `status` holds the HTTP status
+//   'invalid'  a request or response did not have the expected shape
+// Only 'network' and 'timeout' mean the backend is unreachable; retrying later may help.
+
+const DEFAULT_TIMEOUT_MS = 10000
+const DEFAULT_RETRIES = 2
+// First retry delay; doubled on every further attempt, with jitter
+const RETRY_BASE_MS = 500
+const MAX_RETRY_DELAY_MS = 8000
+// Statuses worth retrying: the request was not processed or the server is overloaded
+const RETRY_STATUSES = new Set([408, 429, 502, 503, 504])
+
+function apiError(kind, message, extra = {}) {
+  return Object.assign(new Error(message), { kind, ...extra })
+}
+
+export function isUnreachable(error) {
+  return error?.kind === 'network' || error?.kind === 'timeout'
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isCodeList = value => Array.isArray(value) && value.every(c => typeof c === 'string')
+const isId = value => (typeof value === 'string' && value !== '') || Number.isFinite(value)
+
+function isGroup(value) {
+  return isObject(value) && typeof value.name === 'string' && typeof value.color === 'string' && isCodeList(value.items)
+}
+
+// Problem with a selection about to be sent, or null when it is fine
+function selectionProblem(selection) {
+  if (!isObject(selection)) return 'selection must be an object'
+  if (typeof selection.name !== 'string' || !selection.name.trim()) return 'name is required'
+  if (!LEVEL_IDS.includes(selection.level)) return `level must be one of ${LEVEL_IDS.join(', ')}`
+  if (!isCodeList(selection.items)) return 'items must be a list of codes'
+  if (selection.groups !== undefined && !(Array.isArray(selection.groups) && selection.groups.every(isGroup))) return 'groups are malformed'
+  return null
+}
+
+// A server record in the shape above; unknown fields are dropped
+function parseSelection(data, where) {
+  if (!isObject(data) || !isId(data.id) || typeof data.name !== 'string' || !LEVEL_IDS.includes(data.level) || !isCodeList(data.items)) {
+    throw apiError('invalid', `${where} returned something that is not a selection`)
+  }
+  const selection = { id: data.id, name: data.name, level: data.level, items: data.items }
+  if (Array.isArray(data.groups)) selection.groups = data.groups.filter(isGroup)
+  return selection
+}
+
+function errorDetail(data, fallback) {
+  if (isObject(data)) {
+    const detail = data.detail || data.message || data.error
+    if (typeof detail === 'string') return detail
+    if (detail) return JSON.stringify(detail)
+  }
+  return typeof data === 'string' && data && data.length < 200 ? data : fallback
+}
+
+function retryDelay(attempt, res) {
+  const retryAfter = Number(res?.headers.get('Retry-After'))
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS)
+  const delay = RETRY_BASE_MS * 2 ** attempt
+  return Math.min(delay / 2 + Math.random() * delay / 2, MAX_RETRY_DELAY_MS)
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// `baseUrl` is the backend origin ('' for the same origin); `token` is sent as a bearer token
+export function createApiClient({ baseUrl = '', token = '', timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+  // One HTTP exchange with retries. Creating is not idempotent, so a POST is only retried when
+  // the server says it did not process it (429/503), never after a timeout or network error.
+  async function send(method, path, { body, accept = 'json' } = {}) {
+    const url = `${baseUrl}/api/selections${path}`
+    const label = `${method} /api/selections${path}`
+    const idempotent = method !== 'POST'
+    const headers = { Accept: accept === 'json' ? 'application/json' : '*/*' }
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+    if (token) headers.Authorization = `Bearer ${token}`
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController()
+      const timer = setTimeout(() => controller.abort(), timeoutMs)
+      let res
+      try {
+        res = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal: controller.signal })
+      } catch (e) {
+        const error = controller.signal.aborted
+          ? apiError('timeout', `${label} timed out after ${timeoutMs / 1000} s`)
+          : apiError('network', `${label} failed: the backend could not be reached`, { cause: e })
+        if (idempotent && attempt < retries) {
+          await sleep(retryDelay(attempt))
+          continue
+        }
+        throw error
+      } finally {
+        clearTimeout(timer)
+      }
+
+      if (!res.ok && RETRY_STATUSES.has(res.status) && (idempotent || res.status === 429 || res.status === 503) && attempt < retries) {
+        await sleep(retryDelay(attempt, res))
+        continue
+      }
+      if (accept === 'blob' && res.ok) return res.blob()
+
+      const text = await res.text()
+      let data = null
+      try {
+        data = text ? JSON.parse(text) : null
+      } catch {
+        data = text
+      }
+      if (!res.ok) {
+        const detail = res.status === 401 || res.status === 403
+          ? 'not authorized; check the API token in Settings'
+          : errorDetail(data, res.statusText)
+        throw apiError('http', `${label} failed: ${res.status} ${detail}`, { status: res.status })
+      }
+      return data
+    }
+  }
+
+  function checked(selection) {
+    const problem = selectionProblem(selection)
+    if (problem) throw apiError('invalid', `Invalid selection: ${problem}`)
+    return selection
+  }
+
+  const itemPath = id => `/${encodeURIComponent(id)}`
+
+  return {
+    baseUrl,
+
+    // Malformed records are skipped (and logged) so one bad row does not block syncing the rest
+    async listSelections() {
+      const data = await send('GET', '')
+      if (!Array.isArray(data)) throw apiError('invalid', 'GET /api/selections did not return a list')
+      return data.flatMap(record => {
+        try {
+          return [parseSelection(record, 'GET /api/selections')]
+        } catch (e) {
+          console.warn(e.message, record)
+          return []
+        }
+      })
+    },
+
+    async getSelection(id) {
+      return parseSelection(await send('GET', itemPath(id)), `GET /api/selections${itemPath(id)}`)
+    },
+
+    // The created record, `{ id }` when the backend only echoes the id, or null when it
+    // returns nothing
+    async createSelection(selection) {
+      const data = await send('POST', '', { body: checked(selection) })
+      if (isObject(data) && 'name' in data) return parseSelection(data, 'POST /api/selections')
+      return isObject(data) && isId(data.id) ? { id: data.id } : null
+    },
+
+    async updateSelection(id, selection) {
+      await send('PUT', itemPath(id), { body: checked(selection) })
+    },
+
+    async deleteSelection(id) {
+      await send('DELETE', itemPath(id))
+    },
+
+    // Server-side CSV of one selection, as a Blob
+    exportSelectionCsv(id) {
+      return send('GET', `${itemPath(id)}/export.csv`, { accept: 'blob' })
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createApiClient, isUnreachable } from './selectionsApi'
+
+const SELECTION = { id: 1, name: 'Midwest', level: 'state', items: ['IL', 'IN'] }
+
+function json(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', ...headers } })
+}
+
+// A fetch that answers each call with the next of `replies`: a Response, an Error to throw,
+// or 'hang' to wait until the request is aborted
+function stubFetch(...replies) {
+  const fetch = vi.fn((url, { signal }) => {
+    const reply = replies[Math.min(fetch.mock.calls.length - 1, replies.length - 1)]
+    if (reply === 'hang') {
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError'))))
+    }
+    return reply instanceof Error ? Promise.reject(reply) : Promise.resolve(reply.clone())
+  })
+  vi.stubGlobal('fetch', fetch)
+  return fetch
+}
+
+// Settles `promise` while running the retry and timeout timers
+async function settle(promise) {
+  const result = promise.then(value => ({ value }), error => ({ error }))
+  await vi.runAllTimersAsync()
+  return result
+}
+
+beforeEach(() => {
+  vi.useFakeTimers()
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
+
+describe('createApiClient', () => {
+  it('sends the bearer token to the backend origin', async () => {
+    const fetch = stubFetch(json([SELECTION]))
+    const client = createApiClient({ baseUrl: 'https://api.example.com', token: 'secret' })
+    const { value } = await settle(client.listSelections())
+    expect(value).toEqual([SELECTION])
+    const [url, init] = fetch.mock.calls[0]
+    expect(url).toBe('https://api.example.com/api/selections')
+    expect(init.headers.Authorization).toBe('Bearer secret')
+  })
+
+  it('retries reads after network errors and overloaded responses', async () => {
+    const fetch = stubFetch(new TypeError('fetch failed'), json({}, 503), json(SELECTION))
+    const { value } = await settle(createApiClient().getSelection(1))
+    expect(value).toEqual(SELECTION)
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  it('backs off between attempts, honoring Retry-After', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1)
+    stubFetch(new TypeError('fetch failed'), json({}, 429, { 'Retry-After': '3' }), json(SELECTION))
+    const start = Date.now()
+    await settle(createApiClient().getSelection(1))
+    // 500 ms for the first retry, then the 3 s the server asked for
+    expect(Date.now() - start).toBe(3500)
+  })
+
+  it('gives up after the configured retries', async () => {
+    const fetch = stubFetch(new TypeError('fetch failed'))
+    const { error } = await settle(createApiClient({ retries: 1 }).listSelections())
+    expect(error.kind).toBe('network')
+    expect(isUnreachable(error)).toBe(true)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('times out requests that get no answer', async () => {
+    const fetch = stubFetch('hang')
+    const { error } = await settle(createApiClient({ timeoutMs: 2000, retries: 0 }).listSelections())
+    expect(error.kind).toBe('timeout')
+    expect(error.message).toMatch(/timed out after 2 s/)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not retry a POST that may have been processed', async () => {
+    for (const reply of [new TypeError('fetch failed'), 'hang', json({}, 502)]) {
+      const fetch = stubFetch(reply, json(SELECTION))
+      const { error } = await settle(createApiClient().createSelection(SELECTION))
+      expect(error).toBeInstanceOf(Error)
+      expect(fetch).toHaveBeenCalledTimes(1)
+    }
+  })
+
+  it('retries a POST the server says it did not process', async () => {
+    const fetch = stubFetch(json({}, 503), json(SELECTION, 201))
+    const { value } = await settle(createApiClient().createSelection(SELECTION))
+    expect(value).toEqual(SELECTION)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('does not retry client errors', async () => {
+    const fetch = stubFetch(json({ detail: 'No such selection' }, 404))
+    const { error } = await settle(createApiClient().getSelection(7))
+    expect(error).toMatchObject({ kind: 'http', status: 404 })
+    expect(error.message).toMatch(/No such selection/)
+    expect(isUnreachable(error)).toBe(false)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('checks selections before sending them', async () => {
+    const fetch = stubFetch(json(SELECTION))
+    const { error } = await settle(createApiClient().createSelection({ ...SELECTION, level: 'planet' }))
+    expect(error.kind).toBe('invalid')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,163 @@
+// Minimal ESRI Shapefile writer for (Multi)Polygon or Point features with text attributes.
+// Produces the .shp/.shx/.dbf/.prj/.cpg set GIS tools expect, in WGS84 lon/lat. A shapefile holds
+// one shape type, taken from the first feature with a geometry.
+
+const SHAPE_POINT = 1
+const SHAPE_POLYGON = 5
+
+export const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+
+function signedArea(ring) {
+  let sum = 0
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1])
+  }
+  return sum / 2
+}
+
+// Shapefiles want outer rings clockwise and holes counter-clockwise
+function orient(ring, clockwise) {
+  const isClockwise = signedArea(ring) > 0
+  return isClockwise === clockwise ? ring : ring.slice().reverse()
+}
+
+function polygonRings(geometry) {
+  if (!geometry) return []
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+      : []
+  return polygons.flatMap(rings => rings.map((ring, i) => orient(ring, i === 0)))
+}
+
+function shapeTypeOf(features) {
+  return features.find(f => f.geometry)?.geometry.type === 'Point' ? SHAPE_POINT : SHAPE_POLYGON
+}
+
+function hasShape(geometry, shapeType) {
+  return shapeType === SHAPE_POINT ? geometry?.type === 'Point' : polygonRings(geometry).length > 0
+}
+
+function bboxOf(points) {
+  let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity
+  points.forEach(([x, y]) => {
+    if (x < xmin) xmin = x
+    if (y < ymin) ymin = y
+    if (x > xmax) xmax = x
+    if (y > ymax) ymax = y
+  })
+  return points.length ? [xmin, ymin, xmax, ymax] : [0, 0, 0, 0]
+}
+
+function writeHeader(view, fileLengthBytes, bbox, shapeType) {
+  view.setInt32(0, 9994)
+  view.setInt32(24, fileLengthBytes / 2)
+  view.setInt32(28, 1000, true)
+  view.setInt32(32, shapeType, true)
+  bbox.forEach((v, i) => view.setFloat64(36 + i * 8, v, true))
+}
+
+function writeShpShx(features, shapeType) {
+  const records = features.map(f => {
+    if (shapeType === SHAPE_POINT) {
+      // shape type + xy
+      const point = f.geometry.coordinates.slice(0, 2)
+      return { rings: [], points: [point], contentBytes: 4 + 16, bbox: bboxOf([point]) }
+    }
+    const rings = polygonRings(f.geometry)
+    const points = rings.flat()
+    // shape type + bbox + numParts + numPoints + part indexes + xy pairs
+    const contentBytes = 4 + 32 + 4 + 4 + rings.length * 4 + points.length * 16
+    return { rings, points, contentBytes, bbox: bboxOf(points) }
+  })
+  const allPoints = records.flatMap(r => r.points)
+  const bbox = bboxOf(allPoints)
+
+  const shpLength = 100 + records.reduce((n, r) => n + 8 + r.contentBytes, 0)
+  const shp = new DataView(new ArrayBuffer(shpLength))
+  const shx = new DataView(new ArrayBuffer(100 + records.length * 8))
+  writeHeader(shp, shpLength, bbox, shapeType)
+  writeHeader(shx, shx.byteLength, bbox, shapeType)
+
+  let offset = 100
+  records.forEach((r, i) => {
+    shx.setInt32(100 + i * 8, offset / 2)
+    shx.setInt32(104 + i * 8, r.contentBytes / 2)
+
+    shp.setInt32(offset, i + 1)
+    shp.setInt32(offset + 4, r.contentBytes / 2)
+    let p = offset + 8
+    shp.setInt32(p, shapeType, true); p += 4
+    if (shapeType === SHAPE_POINT) {
+      shp.setFloat64(p, r.points[0][0], true)
+      shp.setFloat64(p + 8, r.points[0][1], true)
+      offset += 8 + r.contentBytes
+      return
+    }
+    r.bbox.forEach(v => { shp.setFloat64(p, v, true); p += 8 })
+    shp.setInt32(p, r.rings.length, true); p += 4
+    shp.setInt32(p, r.points.length, true); p += 4
+    let start = 0
+    r.rings.forEach(ring => { shp.setInt32(p, start, true); p += 4; start += ring.length })
+    r.points.forEach(([x, y]) => {
+      shp.setFloat64(p, x, true)
+      shp.setFloat64(p + 8, y, true)
+      p += 16
+    })
+    offset += 8 + r.contentBytes
+  })
+  return { shp: shp.buffer, shx: shx.buffer }
+}
+
+// dBase III table with one character column per field; values are UTF-8 (see the .cpg file)
+function writeDbf(features, fields) {
+  const encoder = new TextEncoder()
+  const rows = features.map(f => fields.map(name => encoder.encode(String(f.properties?.[name] ?? ''))))
+  const widths = fields.map((_, col) => Math.min(254, Math.max(1, ...rows.map(r => r[col].length))))
+  const headerLength = 32 + fields.length * 32 + 1
+  const recordLength = 1 + widths.reduce((a, b) => a + b, 0)
+  const bytes = new Uint8Array(headerLength + rows.length * recordLength + 1)
+  const view = new DataView(bytes.buffer)
+
+  const now = new Date()
+  bytes[0] = 0x03
+  bytes[1] = now.getFullYear() - 1900
+  bytes[2] = now.getMonth() + 1
+  bytes[3] = now.getDate()
+  view.setUint32(4, rows.length, true)
+  view.setUint16(8, headerLength, true)
+  view.setUint16(10, recordLength, true)
+
+  fields.forEach((name, i) => {
+    const base = 32 + i * 32
+    bytes.set(encoder.encode(name.toUpperCase().slice(0, 10)), base)
+    bytes[base + 11] = 'C'.charCodeAt(0)
+    bytes[base + 16] = widths[i]
+  })
+  bytes[headerLength - 1] = 0x0d
+
+  rows.forEach((row, r) => {
+    let p = headerLength + r * recordLength
+    bytes[p++] = 0x20
+    row.forEach((value, col) => {
+      bytes.fill(0x20, p, p + widths[col])
+      bytes.set(value.slice(0, widths[col]), p)
+      p += widths[col]
+    })
+  })
+  bytes[bytes.length - 1] = 0x1a
+  return bytes.buffer
+}
+
+// Returns the component files of a polygon or point shapefile, keyed by extension
+export function writeShapefile(featureCollection, fields) {
+  const shapeType = shapeTypeOf(featureCollection.features)
+  const features = featureCollection.features.filter(f => hasShape(f.geometry, shapeType))
+  const { shp, shx } = writeShpShx(features, shapeType)
+  return {
+    shp,
+    shx,
+    dbf: writeDbf(features, fields),
+    prj: WGS84_PRJ,
+    cpg: 'UTF-8'
+  }
+}
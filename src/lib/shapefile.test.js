@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest'
+import { WGS84_PRJ, writeShapefile } from './shapefile'
+
+// A unit square, counter-clockwise as GeoJSON writes outer rings
+const SQUARE = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]
+
+function collection(...features) {
+  return { type: 'FeatureCollection', features }
+}
+
+function polygon(coordinates, properties = {}) {
+  return { type: 'Feature', properties, geometry: { type: 'Polygon', coordinates } }
+}
+
+describe('writeShapefile', () => {
+  it('writes a polygon record per feature with its bounding box', () => {
+    const { shp, shx, prj, cpg } = writeShapefile(collection(polygon([SQUARE])), ['name'])
+    const view = new DataView(shp)
+    expect(view.getInt32(0)).toBe(9994)
+    expect(view.getInt32(24) * 2).toBe(shp.byteLength)
+    expect(view.getInt32(32, true)).toBe(5)
+    expect([36, 44, 52, 60].map(o => view.getFloat64(o, true))).toEqual([0, 0, 1, 1])
+    // One record: header, type, bbox, one part of five points
+    expect(shp.byteLength).toBe(100 + 8 + 4 + 32 + 4 + 4 + 4 + 5 * 16)
+    expect(new DataView(shx).getInt32(100) * 2).toBe(100)
+    expect(prj).toBe(WGS84_PRJ)
+    expect(cpg).toBe('UTF-8')
+  })
+
+  it('turns outer rings clockwise', () => {
+    const { shp } = writeShapefile(collection(polygon([SQUARE])), [])
+    const view = new DataView(shp)
+    const points = [0, 1, 2].map(i => [view.getFloat64(156 + i * 16, true), view.getFloat64(164 + i * 16, true)])
+    // Clockwise from the origin goes up first
+    expect(points).toEqual([[0, 0], [0, 1], [1, 1]])
+  })
+
+  it('skips features without geometry', () => {
+    const { shp } = writeShapefile(collection(polygon([SQUARE]), { type: 'Feature', properties: {}, geometry: null }), [])
+    expect(new DataView(shp).getInt32(108, true)).toBe(5)
+    expect(shp.byteLength).toBe(100 + 8 + 4 + 32 + 4 + 4 + 4 + 5 * 16)
+  })
+
+  it('stores attributes as UTF-8 text columns', () => {
+    const { dbf } = writeShapefile(collection(polygon([SQUARE], { name: 'Doña Ana County, NM', code: '35013' })), ['name', 'code'])
+    const bytes = new Uint8Array(dbf)
+    const view = new DataView(dbf)
+    expect(view.getUint32(4, true)).toBe(1)
+    expect(new TextDecoder().decode(bytes.slice(32, 36))).toBe('NAME')
+    expect(String.fromCharCode(bytes[32 + 11])).toBe('C')
+    const headerLength = view.getUint16(8, true)
+    const record = new TextDecoder().decode(bytes.slice(headerLength + 1, headerLength + view.getUint16(10, true)))
+    expect(record).toBe('Doña Ana County, NM35013')
+  })
+})
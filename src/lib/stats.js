@@ -0,0 +1,100 @@
+import landArea from '../data/landArea.json'
+import statePopulation from '../data/statePopulation.json'
+import { getCbsa, getCounty, getState } from './gazetteer'
+
+// Summary figures for a selection: region count, land area and population, with a per-state
+// breakdown for county selections.
+//
+// Land area is TIGER ALAND per county (km², see scripts/build-gazetteer.js); a state's or metro
+// area's is the sum of its counties. ZIP codes are points and have none. Population is the 2020
+// Census resident count (P.L. 94-171), bundled for states and territories only. County and metro
+// area populations are not bundled: they come from a metric loaded under Shading and marked as
+// population counts. Metro areas sum the values of their counties.
+
+export const KM2_PER_SQ_MI = 2.589988110336
+
+const stateLandArea = {}
+Object.entries(landArea).forEach(([fips, km2]) => {
+  const state = getCounty(fips)?.state
+  if (state) stateLandArea[state] = (stateLandArea[state] || 0) + km2
+})
+
+export function landAreaOf(level, code) {
+  if (level === 'zip') return null
+  if (level === 'cbsa') {
+    const cbsa = getCbsa(code)
+    return cbsa ? cbsa.counties.reduce((sum, fips) => sum + (landArea[fips] || 0), 0) : null
+  }
+  return (level === 'county' ? landArea[code] : stateLandArea[code]) ?? null
+}
+
+export function populationOf(level, code, metric = null) {
+  if (level === 'state') return statePopulation[code] ?? null
+  if (!metric?.isPopulation) return null
+  const { values } = metric
+  if (metric.level === level) return Number.isFinite(values[code]) ? values[code] : null
+  if (level === 'cbsa' && metric.level === 'county') {
+    // Only when every county of the metro area has a value, so a partial sum never passes for
+    // its population
+    const counties = getCbsa(code)?.counties
+    if (!counties?.every(fips => Number.isFinite(values[fips]))) return null
+    return counties.reduce((sum, fips) => sum + values[fips], 0)
+  }
+  return null
+}
+
+function summarize(level, codes, metric) {
+  let area = 0
+  let areaKnown = 0
+  let population = 0
+  let populationKnown = 0
+  codes.forEach(code => {
+    const km2 = landAreaOf(level, code)
+    if (km2 !== null) {
+      area += km2
+      areaKnown++
+    }
+    const pop = populationOf(level, code, metric)
+    if (pop !== null) {
+      population += pop
+      populationKnown++
+    }
+  })
+  return {
+    count: codes.length,
+    // null when no region has a land area (ZIP codes)
+    landAreaKm2: codes.length && !areaKnown ? null : area,
+    // null when no region has a population; `populationKnown` tells how many contributed
+    population: populationKnown ? population : null,
+    populationKnown
+  }
+}
+
+// { count, landAreaKm2, population, populationKnown, metricTotal, byState }
+// `byState` lists per-state subtotals for county selections, largest first.
+export function selectionStats(level, codes, { metric } = {}) {
+  const stats = summarize(level, codes, metric)
+  if (metric && metric.level === level) {
+    const values = codes.map(c => metric.values[c]).filter(Number.isFinite)
+    stats.metricTotal = values.length ? { name: metric.name, total: values.reduce((a, b) => a + b, 0), count: values.length } : null
+  } else {
+    stats.metricTotal = null
+  }
+  stats.byState = []
+  if (level === 'county') {
+    const byState = new Map()
+    codes.forEach(code => {
+      const state = getCounty(code)?.state || code.slice(0, 2)
+      if (!byState.has(state)) byState.set(state, [])
+      byState.get(state).push(code)
+    })
+    stats.byState = [...byState.entries()]
+      .map(([state, stateCodes]) => ({ state, name: getState(state)?.name || state, ...summarize(level, stateCodes, metric) }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  }
+  return stats
+}
+
+export function formatArea(km2) {
+  return `${Math.round(km2 / KM2_PER_SQ_MI).toLocaleString()} sq mi`
+}
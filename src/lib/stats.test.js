@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest'
+import { countiesInState } from './gazetteer'
+import { formatArea, landAreaOf, populationOf, selectionStats } from './stats'
+
+describe('landAreaOf', () => {
+  it('sums county areas for states and metro areas', () => {
+    const counties = countiesInState('DE').map(c => c.fips)
+    const sum = counties.reduce((total, fips) => total + landAreaOf('county', fips), 0)
+    expect(landAreaOf('state', 'DE')).toBeCloseTo(sum)
+    const metro = ['06001', '06013', '06041', '06075', '06081'].reduce((total, fips) => total + landAreaOf('county', fips), 0)
+    expect(landAreaOf('cbsa', '41860')).toBeCloseTo(metro)
+  })
+
+  it('returns null for unknown regions', () => {
+    expect(landAreaOf('county', '99999')).toBeNull()
+    expect(landAreaOf('cbsa', '00000')).toBeNull()
+  })
+})
+
+describe('selectionStats', () => {
+  it('totals state populations from the bundled figures', () => {
+    const stats = selectionStats('state', ['CA', 'TX'])
+    expect(stats.count).toBe(2)
+    expect(stats.population).toBeGreaterThan(60e6)
+    expect(stats.populationKnown).toBe(2)
+    expect(stats.byState).toEqual([])
+  })
+
+  it('breaks county selections down by state, largest first', () => {
+    const stats = selectionStats('county', ['06075', '06001', '32003'])
+    expect(stats.byState.map(s => [s.state, s.count])).toEqual([['CA', 2], ['NV', 1]])
+    expect(stats.landAreaKm2).toBeCloseTo(stats.byState.reduce((sum, s) => sum + s.landAreaKm2, 0))
+  })
+
+  it('takes county populations only from a metric marked as population counts', () => {
+    const values = { '06075': 873965, '06001': 1682353 }
+    expect(selectionStats('county', ['06075', '06001'], { metric: { level: 'county', name: 'Population', values } }).population).toBeNull()
+    const stats = selectionStats('county', ['06075', '06001', '32003'], { metric: { level: 'county', name: 'Residents', values, isPopulation: true } })
+    expect(stats.population).toBe(873965 + 1682353)
+    expect(stats.populationKnown).toBe(2)
+  })
+
+  it('sums metro area populations from their counties', () => {
+    const values = { '06001': 1682353, '06013': 1165927, '06041': 262321, '06075': 873965, '06081': 764442 }
+    const metric = { level: 'county', name: 'Residents', values, isPopulation: true }
+    expect(populationOf('cbsa', '41860', metric)).toBe(4749008)
+    const partial = { ...metric, values: { ...values, '06081': undefined } }
+    expect(populationOf('cbsa', '41860', partial)).toBeNull()
+  })
+
+  it('totals a metric loaded for the same level', () => {
+    const metric = { level: 'county', name: 'Stores', values: { '06075': 3, '06001': 4 } }
+    expect(selectionStats('county', ['06075', '06001', '32003'], { metric }).metricTotal).toEqual({ name: 'Stores', total: 7, count: 2 })
+    expect(selectionStats('state', ['CA'], { metric }).metricTotal).toBeNull()
+  })
+
+  it('has no land area for ZIP codes, which are points', () => {
+    expect(landAreaOf('zip', '94102')).toBeNull()
+    expect(selectionStats('zip', ['94102', '94103']).landAreaKm2).toBeNull()
+    expect(selectionStats('zip', []).landAreaKm2).toBe(0)
+  })
+})
+
+describe('formatArea', () => {
+  it('shows square miles', () => {
+    expect(formatArea(2.589988110336 * 1500)).toBe(`${(1500).toLocaleString()} sq mi`)
+  })
+})
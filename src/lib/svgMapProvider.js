@@ -0,0 +1,395 @@
+import { geoPath } from 'd3-geo'
+import { geoAlbersUsaTerritories } from 'geo-albers-usa-territories'
+
+// Offline map provider: the bundled boundaries drawn as SVG paths in an Albers USA projection
+// with territory insets. No API key or network needed; pan by dragging, zoom with the wheel or
+// the +/- buttons. In lasso and rectangle draw modes dragging draws a shape instead.
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+// Google-style zoom level at which the whole country fits the container (scale 1)
+const BASE_ZOOM = 4
+const MIN_SCALE = 0.5
+const MAX_SCALE = 512
+// Pointer travel (px) after which a press is a drag rather than a click
+const DRAG_THRESHOLD = 4
+// Points per rectangle side, so the rectangle stays a rectangle on screen once unprojected
+const RECT_SIDE_POINTS = 16
+// Share of the map the regions fill after fitTo
+const FIT_PADDING = 0.9
+const BACKGROUNDS = { light: '#f8fafc', dark: '#0f172a' }
+// Rendered feature collections kept for switching back (e.g. between levels) without rebuilding
+const MAX_CACHED_LAYERS = 4
+
+function svgElement(name, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, name)
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v))
+  return el
+}
+
+// Screen-space rectangle between two corners as a closed ring of points
+function rectangleRing(a, b) {
+  const corners = [[a.x, a.y], [b.x, a.y], [b.x, b.y], [a.x, b.y]]
+  return corners.flatMap((c, i) => {
+    const next = corners[(i + 1) % 4]
+    return Array.from({ length: RECT_SIDE_POINTS }, (_, j) => {
+      const t = j / RECT_SIDE_POINTS
+      return [c[0] + (next[0] - c[0]) * t, c[1] + (next[1] - c[1]) * t]
+    })
+  })
+}
+
+function zoomButton(label, title, onClick) {
+  const button = document.createElement('button')
+  button.type = 'button'
+  button.textContent = label
+  button.title = title
+  button.className = 'w-8 h-8 bg-white border rounded shadow text-lg leading-none hover:bg-gray-50'
+  button.addEventListener('click', onClick)
+  return button
+}
+
+export function createSvgMap(container, { center, zoom, theme = 'light' }) {
+  const svg = svgElement('svg', { width: '100%', height: '100%' })
+  svg.style.display = 'block'
+  svg.style.background = BACKGROUNDS[theme] || BACKGROUNDS.light
+  svg.style.touchAction = 'none'
+  svg.style.cursor = 'grab'
+  // Pans and zooms; holds the <g> of the feature collection on display
+  const root = svgElement('g')
+  // Shape being drawn, in screen coordinates (not affected by pan/zoom)
+  const sketch = svgElement('path', { fill: '#2563eb', 'fill-opacity': 0.1, stroke: '#1d4ed8', 'stroke-width': 2, 'stroke-dasharray': '6 4', 'pointer-events': 'none' })
+  svg.append(root, sketch)
+
+  const controls = document.createElement('div')
+  controls.className = 'absolute right-2 bottom-6 z-10 flex flex-col gap-1'
+  controls.append(
+    zoomButton('+', 'Zoom in', () => zoomBy(2)),
+    zoomButton('−', 'Zoom out', () => zoomBy(0.5))
+  )
+  container.style.position = 'relative'
+  container.append(svg, controls)
+
+  const handlers = { view: new Set(), click: new Set(), hover: new Set(), hoverend: new Set(), backgroundClick: new Set(), draw: new Set() }
+  const emit = (event, payload) => handlers[event].forEach(h => h(payload))
+
+  let width = 0
+  let height = 0
+  const projection = geoAlbersUsaTerritories()
+  const path = geoPath(projection)
+  let transform = { k: 1, x: 0, y: 0 }
+  let current = null // FeatureCollection on display
+  let features = []
+  let styleFn = null
+  let highlighted = null
+  let drawMode = null
+  let layer = null
+  let elements = new Map() // code -> [path elements]
+  // FeatureCollection -> { layer, elements }, most recently shown last
+  const rendered = new Map()
+
+  // Scale the projection so the country fills the container at scale 1
+  function fit() {
+    width = container.clientWidth || 800
+    height = container.clientHeight || 500
+    const factor = Math.min(width / 960, height / 560)
+    projection.scale(1070 * factor).translate([width / 2, height / 2])
+  }
+
+  function applyTransform() {
+    root.setAttribute('transform', `translate(${transform.x},${transform.y}) scale(${transform.k})`)
+  }
+
+  function getView() {
+    const point = [(width / 2 - transform.x) / transform.k, (height / 2 - transform.y) / transform.k]
+    const lngLat = projection.invert(point)
+    const zoomLevel = Math.round((BASE_ZOOM + Math.log2(transform.k)) * 100) / 100
+    return lngLat
+      ? { center: { lat: lngLat[1], lng: lngLat[0] }, zoom: zoomLevel }
+      : { center: { lat: 39.8283, lng: -98.5795 }, zoom: zoomLevel }
+  }
+
+  function setView(view) {
+    const k = Math.min(MAX_SCALE, Math.max(MIN_SCALE, 2 ** ((view?.zoom ?? BASE_ZOOM) - BASE_ZOOM)))
+    const p = view?.center ? projection([view.center.lng, view.center.lat]) : null
+    const [px, py] = p || [width / 2, height / 2]
+    transform = { k, x: width / 2 - px * k, y: height / 2 - py * k }
+    applyTransform()
+  }
+
+  let viewTimer = null
+  function viewChanged() {
+    clearTimeout(viewTimer)
+    viewTimer = setTimeout(() => emit('view', getView()), 150)
+  }
+
+  // Zoom by `factor` keeping the container point (cx, cy) fixed
+  function zoomBy(factor, cx = width / 2, cy = height / 2) {
+    const k = Math.min(MAX_SCALE, Math.max(MIN_SCALE, transform.k * factor))
+    transform = { k, x: cx - (cx - transform.x) * (k / transform.k), y: cy - (cy - transform.y) * (k / transform.k) }
+    applyTransform()
+    viewChanged()
+  }
+
+  function applyStyle(code, els) {
+    const style = styleFn ? styleFn(code) : {}
+    els.forEach(el => {
+      el.setAttribute('fill', style.fillColor || '#93c5fd')
+      el.setAttribute('fill-opacity', style.fillOpacity ?? 0.15)
+      el.setAttribute('stroke', style.strokeColor || '#2563eb')
+      el.setAttribute('stroke-width', (style.strokeWeight ?? 1) + (code === highlighted ? 2 : 0))
+    })
+    return style
+  }
+
+  function restyle() {
+    const raised = []
+    elements.forEach((els, code) => {
+      const style = applyStyle(code, els)
+      if ((style.zIndex || 0) > 1) raised.push(...els)
+    })
+    // SVG has no z-index: draw raised (e.g. selected) outlines last so they are not covered
+    raised.push(...(elements.get(highlighted) || []))
+    raised.forEach(el => layer.appendChild(el))
+  }
+
+  function build(fc) {
+    const g = svgElement('g')
+    const byCode = new Map()
+    fc.features.forEach(f => {
+      const d = path(f)
+      if (!d) return
+      const code = f.properties?.code
+      const el = svgElement('path', { d, 'vector-effect': 'non-scaling-stroke', 'stroke-linejoin': 'round' })
+      el.dataset.code = code
+      g.appendChild(el)
+      if (!byCode.has(code)) byCode.set(code, [])
+      byCode.get(code).push(el)
+    })
+    return { layer: g, elements: byCode }
+  }
+
+  // Show `fc`, reusing its paths when it was rendered recently
+  function show(fc) {
+    current = fc
+    features = fc ? fc.features : []
+    highlighted = null
+    if (!fc) {
+      layer = null
+      elements = new Map()
+      root.replaceChildren()
+      return
+    }
+    const entry = rendered.get(fc) || build(fc)
+    rendered.delete(fc)
+    rendered.set(fc, entry)
+    while (rendered.size > MAX_CACHED_LAYERS) rendered.delete(rendered.keys().next().value)
+    layer = entry.layer
+    elements = entry.elements
+    root.replaceChildren(layer)
+    restyle()
+  }
+
+  function containerPoint(e) {
+    const rect = container.getBoundingClientRect()
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+  }
+
+  function toLngLat({ x, y }) {
+    return projection.invert([(x - transform.x) / transform.k, (y - transform.y) / transform.k])
+  }
+
+  function codeAt(target) {
+    return target?.closest?.('path[data-code]')?.dataset.code || null
+  }
+
+  // Pointer handling: drag to pan (or draw), click on a polygon to select, hover for tooltips
+  let drag = null
+  let sketchPoints = null
+  let hovering = false
+
+  function sketchRing() {
+    if (drawMode === 'rect') return rectangleRing(sketchPoints[0], sketchPoints[sketchPoints.length - 1])
+    return sketchPoints.map(p => [p.x, p.y])
+  }
+
+  function onPointerDown(e) {
+    if (e.button !== 0) return
+    svg.setPointerCapture(e.pointerId)
+    if (drawMode === 'lasso' || drawMode === 'rect') {
+      sketchPoints = [containerPoint(e)]
+      return
+    }
+    drag = { start: containerPoint(e), origin: { ...transform }, moved: false }
+  }
+
+  function onPointerMove(e) {
+    const point = containerPoint(e)
+    if (sketchPoints) {
+      const last = sketchPoints[sketchPoints.length - 1]
+      if (drawMode === 'rect') sketchPoints = [sketchPoints[0], point]
+      else if (Math.hypot(point.x - last.x, point.y - last.y) >= 3) sketchPoints.push(point)
+      sketch.setAttribute('d', `M${sketchRing().map(p => p.join(',')).join('L')}Z`)
+      return
+    }
+    if (drag) {
+      const dx = point.x - drag.start.x
+      const dy = point.y - drag.start.y
+      if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return
+      drag.moved = true
+      svg.style.cursor = 'grabbing'
+      transform = { ...drag.origin, x: drag.origin.x + dx, y: drag.origin.y + dy }
+      applyTransform()
+      return
+    }
+    const code = codeAt(e.target)
+    if (code) {
+      hovering = true
+      emit('hover', { code, ...point })
+    } else if (hovering) {
+      hovering = false
+      emit('hoverend')
+    }
+  }
+
+  function onPointerUp(e) {
+    if (sketchPoints) {
+      const ring = sketchPoints.length > 1 ? sketchRing().map(([x, y]) => toLngLat({ x, y })).filter(Boolean) : []
+      sketchPoints = null
+      sketch.removeAttribute('d')
+      if (ring.length >= 3) emit('draw', { ring, subtract: e.altKey })
+      return
+    }
+    if (!drag) return
+    const { moved } = drag
+    drag = null
+    svg.style.cursor = drawMode ? 'crosshair' : 'grab'
+    if (moved) {
+      viewChanged()
+      return
+    }
+    const lngLat = toLngLat(containerPoint(e))
+    if (drawMode === 'radius') {
+      if (lngLat) emit('draw', { point: { lat: lngLat[1], lng: lngLat[0] }, subtract: e.altKey })
+      return
+    }
+    // Pointer capture retargets events to the svg, so find the polygon under the pointer
+    const code = codeAt(document.elementFromPoint(e.clientX, e.clientY))
+    if (code) {
+      emit('click', { code })
+    } else if (lngLat) {
+      emit('backgroundClick', { lat: lngLat[1], lng: lngLat[0] })
+    }
+  }
+
+  function onPointerLeave() {
+    if (hovering) {
+      hovering = false
+      emit('hoverend')
+    }
+  }
+
+  function onWheel(e) {
+    e.preventDefault()
+    const { x, y } = containerPoint(e)
+    zoomBy(Math.exp(-e.deltaY * 0.002), x, y)
+  }
+
+  svg.addEventListener('pointerdown', onPointerDown)
+  svg.addEventListener('pointermove', onPointerMove)
+  svg.addEventListener('pointerup', onPointerUp)
+  svg.addEventListener('pointerleave', onPointerLeave)
+  svg.addEventListener('wheel', onWheel, { passive: false })
+
+  // Refit on resize, keeping the same geographic center and zoom
+  const resizeObserver = new ResizeObserver(() => {
+    if (container.clientWidth === width && container.clientHeight === height) return
+    const view = getView()
+    fit()
+    setView(view)
+    // Paths are in projected coordinates, which depend on the container size
+    rendered.clear()
+    show(current)
+  })
+  resizeObserver.observe(container)
+
+  fit()
+  setView({ center, zoom })
+
+  return {
+    id: 'svg',
+
+    setFeatures(fc) {
+      show(fc)
+    },
+
+    setStyle(fn) {
+      styleFn = fn
+      restyle()
+    },
+
+    updateStyle(codes) {
+      codes.forEach(code => {
+        const els = elements.get(code)
+        if (!els) return
+        const style = applyStyle(code, els)
+        // Raised outlines (and the highlight) on top, the rest to the bottom so they cover nothing
+        if ((style.zIndex || 0) > 1 || code === highlighted) els.forEach(el => layer.appendChild(el))
+        else els.forEach(el => layer.prepend(el))
+      })
+    },
+
+    setHighlight(code) {
+      if (code === highlighted) return
+      const previous = highlighted
+      highlighted = code
+      if (elements.has(previous)) applyStyle(previous, elements.get(previous))
+      if (elements.has(code)) {
+        applyStyle(code, elements.get(code))
+        elements.get(code).forEach(el => layer.appendChild(el))
+      }
+    },
+
+    fitTo(codes) {
+      const wanted = new Set(codes)
+      const fc = { type: 'FeatureCollection', features: features.filter(f => wanted.has(f.properties?.code)) }
+      if (!fc.features.length) return
+      const [[x0, y0], [x1, y1]] = path.bounds(fc)
+      const k = Math.min(MAX_SCALE, Math.max(MIN_SCALE, FIT_PADDING * Math.min(width / (x1 - x0 || 1), height / (y1 - y0 || 1))))
+      transform = { k, x: width / 2 - (k * (x0 + x1)) / 2, y: height / 2 - (k * (y0 + y1)) / 2 }
+      applyTransform()
+      viewChanged()
+    },
+
+    panTo(code) {
+      const fc = { type: 'FeatureCollection', features: features.filter(f => f.properties?.code === code) }
+      if (!fc.features.length) return
+      const [[x0, y0], [x1, y1]] = path.bounds(fc)
+      const cx = transform.x + (transform.k * (x0 + x1)) / 2
+      const cy = transform.y + (transform.k * (y0 + y1)) / 2
+      if (cx >= 0 && cx <= width && cy >= 0 && cy <= height) return
+      transform = { ...transform, x: transform.x + width / 2 - cx, y: transform.y + height / 2 - cy }
+      applyTransform()
+      viewChanged()
+    },
+
+    setDrawMode(mode) {
+      drawMode = mode && mode !== 'click' ? mode : null
+      svg.style.cursor = drawMode ? 'crosshair' : 'grab'
+    },
+
+    on(event, handler) {
+      const set = handlers[event]
+      if (!set) return () => {}
+      set.add(handler)
+      return () => set.delete(handler)
+    },
+
+    destroy() {
+      clearTimeout(viewTimer)
+      resizeObserver.disconnect()
+      Object.values(handlers).forEach(set => set.clear())
+      svg.remove()
+      controls.remove()
+    }
+  }
+}
@@ -0,0 +1,250 @@
+import * as local from './localStore'
+import { isUnreachable } from './selectionsApi'
+
+// Local-first saved selections. Every change is written to IndexedDB and recorded in a
+// per-record sync queue; `syncWithServer` pushes the queue to /api/selections (through an API
+// client from lib/selectionsApi) whenever the backend answers and pulls changes made elsewhere.
+//
+// Local record shape:
+//   localId     stable client id
+//   id          server id once created on the backend
+//   name, level, items
+//   groups      named groups [{ id, name, color, items }]; items is their union
+//   base        last { name, level, items, groups } known to match the server, for conflict checks
+//   syncStatus  'synced' | 'pending' | 'conflict' | 'error'
+//   syncError   last error message for 'error'
+//   server      server copy when in conflict (null if it was deleted on the server)
+//   conflictOp  the local operation ('update' or 'delete') that hit the conflict
+//   deleted     true while a delete is waiting to be pushed
+
+export function newLocalId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `local-${Date.now()}-${Math.random().toString(36).slice(2)}`
+}
+
+export function payloadOf(record) {
+  const payload = { name: record.name, level: record.level, items: record.items || [] }
+  if (record.groups) payload.groups = record.groups
+  return payload
+}
+
+// Groups are only compared when both sides have them, so a backend that does not store them
+// does not look like it changed every record
+function sameContent(a, b) {
+  if (!a || !b) return false
+  return a.name === b.name && a.level === b.level &&
+    JSON.stringify(a.items || []) === JSON.stringify(b.items || []) &&
+    (!a.groups || !b.groups || JSON.stringify(a.groups) === JSON.stringify(b.groups))
+}
+
+// Merge a new operation into the record's pending one. Returns the resulting op, or null when
+// the two cancel out (a create that is deleted before it ever reached the server).
+function coalesce(previous, next) {
+  if (!previous) return next
+  if (previous === 'create') return next === 'delete' ? null : 'create'
+  return next
+}
+
+export async function enqueue(localId, op) {
+  const existing = await local.get(local.QUEUE, localId)
+  const merged = coalesce(existing?.op, op)
+  if (!merged) {
+    await local.remove(local.QUEUE, localId)
+    return null
+  }
+  // `revision` counts merged edits, so a push can tell whether the record changed while it ran
+  await local.put(local.QUEUE, { localId, op: merged, queuedAt: existing?.queuedAt || Date.now(), revision: (existing?.revision || 0) + 1 })
+  return merged
+}
+
+// Delete a selection locally and queue the deletion, or drop it outright when it never reached
+// the server. Deleting a selection in conflict settles the conflict: the delete is queued against
+// the server copy the user was shown, or there is nothing left to do when that copy is gone.
+export async function removeSelection(localId) {
+  const record = await local.get(local.SELECTIONS, localId)
+  if (!record) return
+  if (record.syncStatus === 'conflict') {
+    if (!record.server) {
+      await local.remove(local.QUEUE, localId)
+      await local.remove(local.SELECTIONS, localId)
+      return
+    }
+    await local.put(local.SELECTIONS, { ...record, base: payloadOf(record.server), deleted: true, syncStatus: 'pending', server: undefined, conflictOp: undefined })
+    await enqueue(localId, 'delete')
+    return
+  }
+  if (await enqueue(localId, 'delete') === null) {
+    // Never reached the server: nothing to sync
+    await local.remove(local.SELECTIONS, localId)
+    return
+  }
+  await local.put(local.SELECTIONS, { ...record, deleted: true, syncStatus: 'pending' })
+}
+
+export async function pendingCount() {
+  return (await local.getAll(local.QUEUE)).length
+}
+
+// Store the outcome of a pushed create or update. Saves made while the request was in flight
+// merged into the same queue entry: in that case the newer content is kept and stays queued
+// (as an update, now that the record exists on the server) on top of the new id and base.
+async function settle(api, entry, payload, id) {
+  const latest = await local.get(local.SELECTIONS, entry.localId)
+  const queued = await local.get(local.QUEUE, entry.localId)
+  if (!latest) {
+    // Deleted while its create was in flight: the queue entry cancelled out, so remove the copy
+    // that just reached the server
+    if (entry.op === 'create' && id !== null) await api.deleteSelection(id)
+    return
+  }
+  const unchanged = queued && queued.revision === entry.revision && !latest.deleted && sameContent(payloadOf(latest), payload)
+  if (unchanged) {
+    await local.put(local.SELECTIONS, { ...latest, id, base: payload, syncStatus: 'synced', syncError: null, server: undefined })
+    await local.remove(local.QUEUE, entry.localId)
+    return
+  }
+  await local.put(local.SELECTIONS, { ...latest, id, base: payload })
+  if (queued?.op === 'create') await local.put(local.QUEUE, { ...queued, op: 'update' })
+}
+
+// An unreachable backend stops the pass; other errors only affect one record
+async function push(api, entry, record, serverById) {
+  const payload = payloadOf(record)
+
+  if (entry.op === 'create') {
+    const created = await api.createSelection(payload)
+    let id = created && typeof created === 'object' ? created.id : undefined
+    if (id === undefined) {
+      // Backend did not echo the record; find it in a fresh list
+      const list = await api.listSelections()
+      id = list.find(s => sameContent(s, payload) && !serverById.has(s.id))?.id
+    }
+    await settle(api, entry, payload, id ?? null)
+    return
+  }
+
+  const server = serverById.get(record.id)
+  const serverChanged = !server || !sameContent(server, record.base)
+
+  if (entry.op === 'update') {
+    if (serverChanged && !sameContent(server, payload)) {
+      await local.put(local.SELECTIONS, { ...record, syncStatus: 'conflict', conflictOp: 'update', server: server || null })
+      return
+    }
+    await api.updateSelection(record.id, payload)
+    await settle(api, entry, payload, record.id)
+    return
+  }
+
+  if (entry.op === 'delete') {
+    if (server && serverChanged) {
+      // Someone edited it since we last synced: ask before deleting their changes
+      await local.put(local.SELECTIONS, { ...record, deleted: false, syncStatus: 'conflict', conflictOp: 'delete', server })
+      await local.remove(local.QUEUE, entry.localId)
+      return
+    }
+    if (server) {
+      try {
+        await api.deleteSelection(record.id)
+      } catch (e) {
+        if (e.status !== 404) throw e
+      }
+    }
+    await local.remove(local.SELECTIONS, entry.localId)
+    await local.remove(local.QUEUE, entry.localId)
+  }
+}
+
+// Bring server-side creations, edits and deletions into the local store for records that have
+// no pending local changes
+async function pull(serverList) {
+  const records = await local.getAll(local.SELECTIONS)
+  const queued = new Set((await local.getAll(local.QUEUE)).map(q => q.localId))
+  const byServerId = new Map(records.filter(r => r.id !== null && r.id !== undefined).map(r => [r.id, r]))
+  const serverIds = new Set(serverList.map(s => s.id))
+
+  for (const server of serverList) {
+    const record = byServerId.get(server.id)
+    const content = payloadOf(server)
+    if (!record) {
+      await local.put(local.SELECTIONS, {
+        localId: newLocalId(),
+        id: server.id,
+        ...content,
+        base: content,
+        syncStatus: 'synced',
+        createdAt: Date.now()
+      })
+    } else if (!queued.has(record.localId) && record.syncStatus === 'synced' && !sameContent(server, record.base)) {
+      await local.put(local.SELECTIONS, { ...record, ...content, base: content })
+    }
+  }
+
+  for (const record of records) {
+    const gone = record.id !== null && record.id !== undefined && !serverIds.has(record.id)
+    if (gone && !queued.has(record.localId) && record.syncStatus === 'synced') {
+      await local.remove(local.SELECTIONS, record.localId)
+    }
+  }
+}
+
+// One sync pass. Throws when the backend is unreachable so the caller can retry later.
+export async function syncWithServer(api) {
+  const serverList = await api.listSelections()
+  const serverById = new Map(serverList.map(s => [s.id, s]))
+  const queue = (await local.getAll(local.QUEUE)).sort((a, b) => a.queuedAt - b.queuedAt)
+
+  for (const entry of queue) {
+    const record = await local.get(local.SELECTIONS, entry.localId)
+    if (!record) {
+      await local.remove(local.QUEUE, entry.localId)
+      continue
+    }
+    if (record.syncStatus === 'conflict') continue
+    try {
+      await push(api, entry, record, serverById)
+    } catch (e) {
+      if (isUnreachable(e)) throw e
+      console.error(e)
+      // Re-read: the record may have been edited while the request ran
+      const latest = await local.get(local.SELECTIONS, entry.localId)
+      if (latest) await local.put(local.SELECTIONS, { ...latest, syncStatus: 'error', syncError: e.message })
+    }
+  }
+
+  await pull(await api.listSelections())
+}
+
+// Settle a conflict by keeping the local edit (pushed over the server copy on the next sync)
+// or by taking the server copy
+export async function resolveConflict(localId, choice) {
+  const record = await local.get(local.SELECTIONS, localId)
+  if (!record || record.syncStatus !== 'conflict') return
+  const { server } = record
+
+  if (choice === 'server') {
+    await local.remove(local.QUEUE, localId)
+    if (!server) {
+      await local.remove(local.SELECTIONS, localId)
+      return
+    }
+    const content = payloadOf(server)
+    await local.put(local.SELECTIONS, { ...record, ...content, base: content, syncStatus: 'synced', server: undefined })
+    return
+  }
+
+  if (record.conflictOp === 'delete') {
+    await local.put(local.SELECTIONS, { ...record, base: payloadOf(server), deleted: true, syncStatus: 'pending', server: undefined })
+    await local.put(local.QUEUE, { localId, op: 'delete', queuedAt: Date.now() })
+    return
+  }
+  if (!server) {
+    // Deleted on the server: recreate it from the local copy
+    await local.put(local.SELECTIONS, { ...record, id: null, base: null, syncStatus: 'pending', server: undefined })
+    await local.put(local.QUEUE, { localId, op: 'create', queuedAt: Date.now() })
+    return
+  }
+  await local.put(local.SELECTIONS, { ...record, base: payloadOf(server), syncStatus: 'pending', server: undefined })
+  await local.put(local.QUEUE, { localId, op: 'update', queuedAt: Date.now() })
+}
@@ -0,0 +1,236 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import * as local from './localStore'
+import { enqueue, pendingCount, removeSelection, resolveConflict, syncWithServer } from './sync'
+
+// localStore keeps everything in memory when IndexedDB is missing, as it is under Node
+
+// Backend double holding selections by id, like scripts/mock-api.js
+function fakeApi(initial = []) {
+  const server = new Map(initial.map(s => [s.id, { ...s }]))
+  let nextId = Math.max(0, ...initial.map(s => s.id)) + 1
+  return {
+    server,
+    listSelections: vi.fn(async () => [...server.values()].map(s => ({ ...s }))),
+    createSelection: vi.fn(async payload => {
+      const record = { ...payload, id: nextId++ }
+      server.set(record.id, record)
+      return { ...record }
+    }),
+    updateSelection: vi.fn(async (id, payload) => {
+      server.set(id, { ...payload, id })
+      return { ...payload, id }
+    }),
+    deleteSelection: vi.fn(async id => {
+      server.delete(id)
+    })
+  }
+}
+
+async function save(record, op) {
+  await local.put(local.SELECTIONS, record)
+  await enqueue(record.localId, op)
+}
+
+beforeEach(async () => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+  for (const store of [local.SELECTIONS, local.QUEUE]) {
+    for (const { localId } of await local.getAll(store)) await local.remove(store, localId)
+  }
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('syncWithServer', () => {
+  it('creates new selections on the server and marks them synced', async () => {
+    const api = fakeApi()
+    await save({ localId: 'a', id: null, name: 'West', level: 'state', items: ['CA'], base: null, syncStatus: 'pending' }, 'create')
+
+    await syncWithServer(api)
+
+    const record = await local.get(local.SELECTIONS, 'a')
+    expect(record.id).toBe(1)
+    expect(record.syncStatus).toBe('synced')
+    expect(record.base).toEqual({ name: 'West', level: 'state', items: ['CA'] })
+    expect(await pendingCount()).toBe(0)
+  })
+
+  it('pushes local edits when the server copy is unchanged', async () => {
+    const base = { name: 'West', level: 'state', items: ['CA'] }
+    const api = fakeApi([{ id: 7, ...base }])
+    await save({ localId: 'a', id: 7, name: 'West', level: 'state', items: ['CA', 'NV'], base, syncStatus: 'pending' }, 'update')
+
+    await syncWithServer(api)
+
+    expect(api.server.get(7).items).toEqual(['CA', 'NV'])
+    expect((await local.get(local.SELECTIONS, 'a')).syncStatus).toBe('synced')
+  })
+
+  it('flags a conflict when both sides changed', async () => {
+    const base = { name: 'West', level: 'state', items: ['CA'] }
+    const api = fakeApi([{ id: 7, name: 'West', level: 'state', items: ['OR'] }])
+    await save({ localId: 'a', id: 7, name: 'West', level: 'state', items: ['CA', 'NV'], base, syncStatus: 'pending' }, 'update')
+
+    await syncWithServer(api)
+
+    const record = await local.get(local.SELECTIONS, 'a')
+    expect(record.syncStatus).toBe('conflict')
+    expect(record.server.items).toEqual(['OR'])
+    expect(api.updateSelection).not.toHaveBeenCalled()
+    expect(await pendingCount()).toBe(1)
+  })
+
+  it('pulls selections created elsewhere', async () => {
+    const api = fakeApi([{ id: 3, name: 'East', level: 'state', items: ['NY'] }])
+
+    await syncWithServer(api)
+
+    const [record] = await local.getAll(local.SELECTIONS)
+    expect(record).toMatchObject({ id: 3, name: 'East', syncStatus: 'synced' })
+  })
+
+  it('deletes on the server and then locally', async () => {
+    const base = { name: 'West', level: 'state', items: ['CA'] }
+    const api = fakeApi([{ id: 7, ...base }])
+    await save({ localId: 'a', id: 7, ...base, base, deleted: true, syncStatus: 'pending' }, 'delete')
+
+    await syncWithServer(api)
+
+    expect(api.server.has(7)).toBe(false)
+    expect(await local.get(local.SELECTIONS, 'a')).toBeNull()
+  })
+
+  it('keeps an edit saved while its create is in flight', async () => {
+    const api = fakeApi()
+    const create = api.createSelection.getMockImplementation()
+    api.createSelection.mockImplementation(async payload => {
+      const created = await create(payload)
+      await save({ ...(await local.get(local.SELECTIONS, 'a')), items: ['CA', 'NV'] }, 'update')
+      return created
+    })
+    await save({ localId: 'a', id: null, name: 'West', level: 'state', items: ['CA'], base: null, syncStatus: 'pending' }, 'create')
+
+    await syncWithServer(api)
+
+    const record = await local.get(local.SELECTIONS, 'a')
+    expect(record).toMatchObject({ id: 1, items: ['CA', 'NV'], syncStatus: 'pending' })
+    expect(record.base.items).toEqual(['CA'])
+    expect(await local.get(local.QUEUE, 'a')).toMatchObject({ op: 'update' })
+
+    await syncWithServer(api)
+    expect(api.createSelection).toHaveBeenCalledTimes(1)
+    expect(api.server.get(1).items).toEqual(['CA', 'NV'])
+    expect(await pendingCount()).toBe(0)
+  })
+
+  it('keeps an edit saved while its update is in flight', async () => {
+    const base = { name: 'West', level: 'state', items: ['CA'] }
+    const api = fakeApi([{ id: 7, ...base }])
+    const update = api.updateSelection.getMockImplementation()
+    api.updateSelection.mockImplementationOnce(async (id, payload) => {
+      const updated = await update(id, payload)
+      await save({ ...(await local.get(local.SELECTIONS, 'a')), name: 'Pacific' }, 'update')
+      return updated
+    })
+    await save({ localId: 'a', id: 7, ...base, items: ['CA', 'OR'], base, syncStatus: 'pending' }, 'update')
+
+    await syncWithServer(api)
+
+    const record = await local.get(local.SELECTIONS, 'a')
+    expect(record).toMatchObject({ name: 'Pacific', syncStatus: 'pending' })
+    expect(record.base.items).toEqual(['CA', 'OR'])
+    expect(await pendingCount()).toBe(1)
+
+    await syncWithServer(api)
+    expect(api.server.get(7)).toMatchObject({ name: 'Pacific', items: ['CA', 'OR'] })
+    expect(await pendingCount()).toBe(0)
+  })
+
+  it('removes the server copy of a selection deleted while its create was in flight', async () => {
+    const api = fakeApi()
+    const create = api.createSelection.getMockImplementation()
+    api.createSelection.mockImplementation(async payload => {
+      const created = await create(payload)
+      await enqueue('a', 'delete')
+      await local.remove(local.SELECTIONS, 'a')
+      return created
+    })
+    await save({ localId: 'a', id: null, name: 'West', level: 'state', items: ['CA'], base: null, syncStatus: 'pending' }, 'create')
+
+    await syncWithServer(api)
+
+    expect(api.server.size).toBe(0)
+    expect(await local.getAll(local.SELECTIONS)).toEqual([])
+  })
+
+  it('stops at an unreachable backend and keeps the queue', async () => {
+    const api = fakeApi()
+    api.createSelection.mockRejectedValue(Object.assign(new Error('offline'), { kind: 'network' }))
+    api.listSelections.mockResolvedValueOnce([])
+    await save({ localId: 'a', id: null, name: 'West', level: 'state', items: ['CA'], base: null, syncStatus: 'pending' }, 'create')
+
+    await expect(syncWithServer(api)).rejects.toThrow('offline')
+    expect(await pendingCount()).toBe(1)
+  })
+})
+
+describe('resolveConflict', () => {
+  it('takes the server copy', async () => {
+    const server = { id: 7, name: 'West', level: 'state', items: ['OR'] }
+    await save({ localId: 'a', id: 7, name: 'West', level: 'state', items: ['CA'], syncStatus: 'conflict', conflictOp: 'update', server }, 'update')
+
+    await resolveConflict('a', 'server')
+
+    expect(await local.get(local.SELECTIONS, 'a')).toMatchObject({ items: ['OR'], syncStatus: 'synced' })
+    expect(await pendingCount()).toBe(0)
+  })
+
+  it('queues the local copy over the server one', async () => {
+    const server = { id: 7, name: 'West', level: 'state', items: ['OR'] }
+    await save({ localId: 'a', id: 7, name: 'West', level: 'state', items: ['CA'], syncStatus: 'conflict', conflictOp: 'update', server }, 'update')
+
+    await resolveConflict('a', 'local')
+
+    const api = fakeApi([server])
+    await syncWithServer(api)
+    expect(api.server.get(7).items).toEqual(['CA'])
+  })
+})
+
+describe('removeSelection', () => {
+  it('drops a selection that never reached the server', async () => {
+    await save({ localId: 'a', id: null, name: 'West', level: 'state', items: ['CA'], base: null, syncStatus: 'pending' }, 'create')
+
+    await removeSelection('a')
+
+    expect(await local.get(local.SELECTIONS, 'a')).toBeNull()
+    expect(await pendingCount()).toBe(0)
+  })
+
+  it('deletes a selection in conflict against the server copy', async () => {
+    const server = { id: 7, name: 'West', level: 'state', items: ['OR'] }
+    await save({ localId: 'a', id: 7, name: 'West', level: 'state', items: ['CA'], base: { name: 'West', level: 'state', items: ['CA'] }, syncStatus: 'conflict', conflictOp: 'update', server }, 'update')
+
+    await removeSelection('a')
+
+    const record = await local.get(local.SELECTIONS, 'a')
+    expect(record).toMatchObject({ deleted: true, syncStatus: 'pending' })
+    expect(record.server).toBeUndefined()
+    expect(record.conflictOp).toBeUndefined()
+
+    const api = fakeApi([server])
+    await syncWithServer(api)
+    expect(api.server.has(7)).toBe(false)
+    expect(await local.getAll(local.SELECTIONS)).toEqual([])
+  })
+
+  it('drops a selection in conflict whose server copy is gone', async () => {
+    await save({ localId: 'a', id: 7, name: 'West', level: 'state', items: ['CA'], syncStatus: 'conflict', conflictOp: 'update', server: null }, 'update')
+
+    await removeSelection('a')
+
+    expect(await local.get(local.SELECTIONS, 'a')).toBeNull()
+    expect(await pendingCount()).toBe(0)
+  })
+})
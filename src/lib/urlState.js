@@ -0,0 +1,96 @@
+// Shareable URL state: level, selection, name and map view in the query string.
+//
+//   ?level=county&sel=06037075.17031&name=West+Coast&map=39.83,-98.58,4
+//
+// County selections are grouped by state to keep long lists short: each group is the 2-digit
+// state FIPS followed by the 3-digit county codes ("06037075" = 06037 + 06075), groups are
+// joined with "."; other levels (state postal codes, CBSA codes, ZIP codes) join their codes with ".".
+//
+// Named groups replace `sel` with one `grp` param per group: name, color and selection joined
+// by "*" (the name may itself contain "*", so the last two fields are split off the end):
+//
+//   ?level=state&grp=Rep+A*ef4444*CA.NV&grp=Rep+B*22c55e*TX
+
+import { isDefaultGrouping } from './groups'
+import { getLevel, isLevel } from './levels'
+
+export const URL_KEYS = ['level', 'sel', 'grp', 'name', 'map']
+
+export function encodeSelection(level, items) {
+  if (level !== 'county') return [...items].sort().join('.')
+  const groups = new Map()
+  const sorted = [...items].sort()
+  sorted.forEach(fips => {
+    const st = fips.slice(0, 2)
+    groups.set(st, (groups.get(st) || st) + fips.slice(2))
+  })
+  return [...groups.values()].join('.')
+}
+
+export function decodeSelection(level, text) {
+  if (!text) return []
+  const parts = text.split('.').filter(Boolean)
+  if (level !== 'county') return parts.map(p => p.toUpperCase()).filter(p => getLevel(level).codePattern.test(p))
+  return parts.flatMap(group => {
+    if (!/^\d{2}(\d{3})+$/.test(group)) return []
+    const st = group.slice(0, 2)
+    const codes = []
+    for (let i = 2; i < group.length; i += 3) codes.push(st + group.slice(i, i + 3))
+    return codes
+  })
+}
+
+function encodeGroup(level, group) {
+  return `${group.name}*${group.color.slice(1)}*${encodeSelection(level, group.items)}`
+}
+
+function decodeGroup(level, text) {
+  const last = text.lastIndexOf('*')
+  const middle = text.lastIndexOf('*', last - 1)
+  if (middle < 0) return null
+  return {
+    name: text.slice(0, middle),
+    color: `#${text.slice(middle + 1, last)}`,
+    items: decodeSelection(level, text.slice(last + 1))
+  }
+}
+
+function parseView(text) {
+  const [lat, lng, zoom] = String(text || '').split(',').map(Number)
+  if (![lat, lng, zoom].every(Number.isFinite)) return null
+  return { center: { lat, lng }, zoom }
+}
+
+// Selection state from a URL's search params; missing values come back as null
+export function parseUrlState(params) {
+  const level = isLevel(params.get('level')) ? params.get('level') : params.has('level') ? 'state' : null
+  const sel = params.get('sel')
+  const groups = params.getAll('grp').map(g => decodeGroup(level || 'state', g)).filter(Boolean)
+  return {
+    level,
+    items: sel !== null ? decodeSelection(level || 'state', sel) : null,
+    groups: groups.length ? groups : null,
+    name: params.get('name'),
+    view: parseView(params.get('map'))
+  }
+}
+
+// Search params for the current state, keeping unrelated params (e.g. gmaps_key) from `base`
+export function buildSearchParams({ level, items, groups, name, view }, base = new URLSearchParams()) {
+  const params = new URLSearchParams(base)
+  URL_KEYS.forEach(k => params.delete(k))
+  params.set('level', level)
+  if (groups && !isDefaultGrouping(groups)) groups.forEach(g => params.append('grp', encodeGroup(level, g)))
+  else if (items.length) params.set('sel', encodeSelection(level, items))
+  if (name) params.set('name', name)
+  if (view) params.set('map', `${view.center.lat.toFixed(4)},${view.center.lng.toFixed(4)},${view.zoom}`)
+  return params
+}
+
+// Link to share: only the selection state, never settings like API keys or backend URLs
+export function shareUrl(state) {
+  const url = new URL(window.location.href)
+  url.search = buildSearchParams(state).toString()
+  url.hash = ''
+  return url.toString()
+}
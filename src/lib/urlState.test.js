@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest'
+import { defaultGroups } from './groups'
+import { buildSearchParams, decodeSelection, encodeSelection, parseUrlState } from './urlState'
+
+describe('encodeSelection', () => {
+  it('groups county FIPS codes by state', () => {
+    expect(encodeSelection('county', ['06075', '17031', '06037'])).toBe('06037075.17031')
+    expect(decodeSelection('county', '06037075.17031')).toEqual(['06037', '06075', '17031'])
+  })
+
+  it('joins the codes of other levels', () => {
+    expect(encodeSelection('state', ['TX', 'CA'])).toBe('CA.TX')
+    expect(decodeSelection('state', 'ca.tx')).toEqual(['CA', 'TX'])
+    expect(decodeSelection('zip', encodeSelection('zip', ['94102', '60601']))).toEqual(['60601', '94102'])
+  })
+
+  it('drops malformed codes', () => {
+    expect(decodeSelection('county', '0603707.17031')).toEqual(['17031'])
+    expect(decodeSelection('state', 'CA.CAL.1')).toEqual(['CA'])
+  })
+})
+
+describe('URL state', () => {
+  const view = { center: { lat: 39.8283, lng: -98.5795 }, zoom: 4 }
+
+  it('round-trips level, selection, name and view', () => {
+    const params = buildSearchParams({ level: 'county', items: ['06075', '06037'], groups: defaultGroups(['06075', '06037']), name: 'West Coast', view })
+    expect(parseUrlState(new URLSearchParams(params.toString()))).toEqual({
+      level: 'county',
+      items: ['06037', '06075'],
+      groups: null,
+      name: 'West Coast',
+      view
+    })
+  })
+
+  it('round-trips named groups, including names with "*"', () => {
+    const groups = [
+      { id: '1', name: 'Rep *A*', color: '#ef4444', items: ['CA', 'NV'] },
+      { id: '2', name: 'Rep B', color: '#22c55e', items: ['TX'] }
+    ]
+    const state = parseUrlState(buildSearchParams({ level: 'state', items: ['CA', 'NV', 'TX'], groups }))
+    expect(state.groups).toEqual(groups.map(({ id, ...g }) => g))
+    expect(state.items).toBeNull()
+  })
+
+  it('keeps unrelated params and replaces old state', () => {
+    const base = new URLSearchParams('gmaps_key=abc&sel=CA&name=Old')
+    const params = buildSearchParams({ level: 'state', items: [], groups: null, name: '' }, base)
+    expect(params.get('gmaps_key')).toBe('abc')
+    expect(params.has('sel')).toBe(false)
+    expect(params.has('name')).toBe(false)
+  })
+
+  it('falls back to states for an unknown level and ignores a broken view', () => {
+    const state = parseUrlState(new URLSearchParams('level=tract&sel=CA&map=1,2'))
+    expect(state.level).toBe('state')
+    expect(state.items).toEqual(['CA'])
+    expect(state.view).toBeNull()
+    expect(parseUrlState(new URLSearchParams('')).level).toBeNull()
+  })
+})
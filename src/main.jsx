@@ -2,16 +2,24 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App'
+import Compare from './Compare'
 import Test from './Test'
+import Viewer from './Viewer'
+import { ToastProvider } from './components/Toasts'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/test" element={<Test />} />
-      </Routes>
+      <ToastProvider>
+        <Routes>
+          <Route path="/" element={<App />} />
+          <Route path="/compare" element={<Compare />} />
+          <Route path="/test" element={<Test />} />
+          <Route path="/view/:id" element={<Viewer />} />
+          <Route path="/embed/:id" element={<Viewer embed />} />
+        </Routes>
+      </ToastProvider>
     </BrowserRouter>
   </React.StrictMode>,
 )
\ No newline at end of file